@@ -4,32 +4,83 @@
  */
 
 // Importar os módulos
-import { initializeRatesModule, getRateForCurrency, fetchCurrentRates } from './modules/rates.js';
+import { initializeRatesModule, getRateForCurrency, fetchCurrentRates, getRatesStatus } from './modules/rates.js';
 import { 
-  convertCurrency, 
-  applyNetworkFee,
   formatCurrency, 
   formatDate,
   validateConversionAmount
 } from './modules/conversion.js';
-import { addTransaction, getTransactionHistory } from './modules/transactions.js';
+import { convertFiat } from './modules/fiat-rates.js';
+import {
+  getSupportedAssets,
+  getAsset,
+  getAssetNetworks,
+  getNetwork,
+  NETWORKS,
+  getMinConversionAmount,
+  validateAddress
+} from './modules/asset-registry.js';
+import {
+  createQuote,
+  requote,
+  compareNetworks,
+  isQuoteExpired,
+  startQuoteCountdown,
+  stopQuoteCountdown
+} from './modules/quotes.js';
+import { initializeTransactionStore, addTransaction, getTransactionHistory, getTransactionById, isSellTransaction, getTransactionStatus, canTransition, updateTransactionStatus } from './modules/transactions.js';
 import { verifyIdentity, requestKYCApproval } from './modules/kyc.js';
 import { login, logout } from './modules/auth.js';
+import { initializeNotificationsModule } from './modules/notifications.js';
+import { initializeRateAlerts } from './modules/rate-alerts.js';
+import { initializeSellModule } from './modules/sell.js';
+import { initializeTransactionSync } from './modules/transaction-sync.js';
+import { maskPixKey, escapeHTML } from './modules/security.js';
+import { initializeTaxRules } from './modules/tax-rules.js';
+import { printReceipt, downloadReceiptPDF } from './modules/receipts.js';
+import { checkConversionLimits, getRemainingAllowance, describeAllowance } from './modules/limits.js';
+import { initializeNetworkFees, getNetworkFeeOptions, describeEta } from './modules/network-fees.js';
+import { initializeRecurringOrders } from './modules/recurring-orders.js';
+import { initializeLimitOrders, createLimitOrder, cancelLimitOrder, getOpenLimitOrders, LIMIT_ORDER_STATUSES } from './modules/limit-orders.js';
+import {
+  TRANSACTION_SORT_FIELDS,
+  getFilterableStatuses,
+  readFiltersFromURL,
+  writeFiltersToURL,
+  hasActiveFilters,
+  filterTransactions,
+  sortTransactions,
+  queryTransactions
+} from './modules/transaction-filters.js';
+import { NUMBER_FORMATS, exportTransactions, restoreTransactionsBackup } from './modules/transaction-export.js';
+import { renderTransactionDetail } from './modules/transaction-detail.js';
+import { createId } from './modules/ids.js';
 
 // Executar quando o DOM estiver carregado
-document.addEventListener('DOMContentLoaded', function() {
+document.addEventListener('DOMContentLoaded', async function() {
   console.log(`Inicializando FastCripto - ${CONFIG.appName}`);
   console.log(`Ambiente: ${CONFIG.environment}`);
   
+  // Limites, taxas de serviço e ordens programadas dependem do histórico de
+  // transações, que precisa estar carregado antes dos demais módulos
+  await initializeTransactionStore();
+  
   // Inicializar os módulos
+  initializeNotificationsModule();
+  initializeTaxRules();
   initializeRatesModule();
+  initializeNetworkFees();
+  initializeRateAlerts();
+  initializeRecurringOrders();
+  initializeLimitOrders();
   initializeInterface();
+  initializeSellModule();
+  initializeTransactionSync();
   setupEventListeners();
   
-  // Verificação de autenticação
-  if (isUserAuthenticated()) {
-    loadUserTransactions();
-  }
+  // O histórico é o do navegador atual (a autenticação ainda não foi
+  // integrada ao backend)
+  loadUserTransactions();
   
   console.log('FastCripto inicializada com sucesso!');
 });
@@ -38,17 +89,63 @@ document.addEventListener('DOMContentLoaded', function() {
 function initializeInterface() {
   setupTabNavigation();
   
+  // Opções de criptomoeda e rede geradas a partir do registro de ativos
+  renderCryptoOptions();
+  updateAvailableNetworks();
+  updateMinimumAmount();
+  updateLimitAllowance();
+  updateCryptoAmountInput();
+  setupTransactionFilters();
+  setupTransactionExport();
+}
+
+// Criar as opções de criptomoeda do conversor
+function renderCryptoOptions() {
+  const container = document.getElementById('crypto-options');
+  if (!container) return;
+  
+  container.innerHTML = getSupportedAssets().map((asset, index) => `
+    <label class="crypto-option">
+      <input type="radio" name="crypto-currency" value="${asset.symbol}" ${index === 0 ? 'checked' : ''} />
+      <span class="crypto-icon">${asset.icon}</span>
+      <span class="crypto-name">${asset.name}</span>
+      <span class="crypto-ticker">${asset.symbol}</span>
+    </label>
+  `).join('');
+}
+
+// Exibir o limite disponível do cliente junto ao campo de valor em Reais
+function updateLimitAllowance() {
+  const allowance = getRemainingAllowance();
+  
+  const brlAmountInput = document.getElementById('brl-amount');
+  if (brlAmountInput) {
+    brlAmountInput.max = allowance.available;
+  }
+  
+  const allowanceHelp = document.getElementById('brl-amount-allowance');
+  if (allowanceHelp) {
+    allowanceHelp.textContent = describeAllowance(allowance);
+    allowanceHelp.classList.toggle('exhausted', allowance.available <= 0);
+  }
+}
+
+// Atualizar o valor mínimo de conversão conforme a criptomoeda selecionada
+function updateMinimumAmount() {
+  const selectedCrypto = document.querySelector('input[name="crypto-currency"]:checked').value;
+  const minAmount = getMinConversionAmount(selectedCrypto);
+  
   // Definir valor mínimo no campo de valor em Reais
   const brlAmountInput = document.getElementById('brl-amount');
   if (brlAmountInput) {
-    brlAmountInput.min = CONFIG.minConversionAmount;
-    brlAmountInput.placeholder = `Ex: ${CONFIG.minConversionAmount}`;
+    brlAmountInput.min = minAmount;
+    brlAmountInput.placeholder = `Ex: ${minAmount}`;
   }
   
   // Definir valor mínimo na mensagem de ajuda
   const minAmountHelp = brlAmountInput?.parentElement.querySelector('small');
   if (minAmountHelp) {
-    minAmountHelp.textContent = `Mínimo: R$ ${CONFIG.minConversionAmount.toFixed(2)}`;
+    minAmountHelp.textContent = `Mínimo: ${formatCurrency(minAmount, 'BRL')}`;
   }
 }
 
@@ -89,6 +186,12 @@ function setupEventListeners() {
     proceedButton.addEventListener('click', handleProceedConversion);
   }
   
+  // Ordem limitada com os dados do conversor
+  const limitOrderButton = document.getElementById('btn-create-limit-order');
+  if (limitOrderButton) {
+    limitOrderButton.addEventListener('click', handleCreateLimitOrder);
+  }
+  
   // Botão de iniciar uma nova transação
   const newTransactionButton = document.getElementById('btn-new-transaction');
   if (newTransactionButton) {
@@ -108,6 +211,14 @@ function setupEventListeners() {
   const cryptoOptions = document.querySelectorAll('input[name="crypto-currency"]');
   cryptoOptions.forEach(option => {
     option.addEventListener('change', updateAvailableNetworks);
+    option.addEventListener('change', updateMinimumAmount);
+    option.addEventListener('change', updateCryptoAmountInput);
+  });
+  
+  // Direção da simulação: valor a pagar ou valor a receber
+  const directionOptions = document.querySelectorAll('input[name="input-direction"]');
+  directionOptions.forEach(option => {
+    option.addEventListener('change', updateInputDirection);
   });
   
   // Validação do endereço da carteira
@@ -115,76 +226,340 @@ function setupEventListeners() {
   if (walletInput) {
     walletInput.addEventListener('blur', validateWalletAddress);
   }
+  
+  // Estimativas de taxa de rede acompanham a rede escolhida, o congestionamento
+  // e, para tokens, as taxas da moeda nativa
+  const networkOptions = document.getElementById('network-options');
+  if (networkOptions) {
+    networkOptions.addEventListener('change', renderNetworkFeeOptions);
+  }
+  document.addEventListener('networkFeesUpdated', renderNetworkFeeOptions);
+  // Novas cotações só mudam os valores das opções, sem recriar a lista
+  document.addEventListener('ratesUpdated', updateNetworkFeeAmounts);
+  
+  // Guardar a velocidade escolhida, mantida ao recriar as opções
+  const feeOptions = document.getElementById('network-fee-options');
+  if (feeOptions) {
+    feeOptions.addEventListener('change', function(e) {
+      feeOptions.dataset.speed = e.target.value;
+    });
+  }
+  
+  // Manter a lista de transações atualizada (vendas são registradas e
+  // acompanhadas pelo módulo de venda)
+  document.addEventListener('transactionCreated', loadUserTransactions);
+  document.addEventListener('transactionStatusChanged', loadUserTransactions);
+  document.addEventListener('limitOrderUpdated', loadUserTransactions);
+  document.addEventListener('transactionsImported', loadUserTransactions);
+  document.addEventListener('transactionUpdated', loadUserTransactions);
+  document.addEventListener('transactionsRefreshed', loadUserTransactions);
+  
+  // Limite disponível muda com novas transações (inclusive as de outras abas),
+  // cancelamentos e o nível de KYC
+  document.addEventListener('transactionCreated', updateLimitAllowance);
+  document.addEventListener('transactionStatusChanged', updateLimitAllowance);
+  document.addEventListener('transactionsImported', updateLimitAllowance);
+  document.addEventListener('transactionsRefreshed', updateLimitAllowance);
+  document.addEventListener('kycLevelChanged', updateLimitAllowance);
+  document.addEventListener('limitOrderUpdated', updateLimitAllowance);
+  
+  // Cotação em PDF, antes de prosseguir
+  const quoteReceiptButton = document.getElementById('btn-quote-receipt');
+  if (quoteReceiptButton) {
+    quoteReceiptButton.addEventListener('click', function() {
+      if (window.currentConversion) {
+        downloadReceiptPDF(window.currentConversion);
+      }
+    });
+  }
+  
+  // Moeda de exibição dos equivalentes no resumo da conversão
+  const displayFiatSelect = document.getElementById('display-fiat');
+  if (displayFiatSelect) {
+    displayFiatSelect.addEventListener('change', function() {
+      if (window.currentConversion) {
+        updateConversionResult(window.currentConversion, window.currentConversion.currency);
+      }
+    });
+  }
+  
+  // Alterar os parâmetros da simulação invalida a cotação atual
+  // (as opções de rede são recriadas, então o listener fica no container)
+  const quoteInputs = document.querySelectorAll('#brl-amount, #crypto-amount, input[name="crypto-currency"], #network-options, #network-fee-options');
+  quoteInputs.forEach(input => {
+    input.addEventListener('change', discardCurrentQuote);
+  });
 }
 
 // Lidar com o cálculo de conversão
 function handleCalculateConversion() {
-  // Obter valor em Reais
+  // Obter criptomoeda selecionada
+  const selectedCrypto = document.querySelector('input[name="crypto-currency"]:checked').value;
+  const reverse = getInputDirection() === 'reverse';
+  
+  // Obter valor em Reais ou, na conversão reversa, o valor a receber
   const brlAmountInput = document.getElementById('brl-amount');
+  const cryptoAmountInput = document.getElementById('crypto-amount');
   const brlAmount = parseFloat(brlAmountInput.value);
+  const cryptoAmount = parseFloat(cryptoAmountInput.value);
+  const amountInput = reverse ? cryptoAmountInput : brlAmountInput;
   
   // Validar o valor
-  const validation = validateConversionAmount(brlAmount, CONFIG.minConversionAmount);
+  const validation = reverse
+    ? validateTargetCryptoAmount(cryptoAmount)
+    : validateConversionAmount(brlAmount, getMinConversionAmount(selectedCrypto));
   if (!validation.valid) {
     // Mostrar erro
-    showValidationError(brlAmountInput, validation.message);
+    showValidationError(amountInput, validation.message);
     return;
   } else {
     // Limpar erro se existir
-    clearValidationError(brlAmountInput);
+    clearValidationError(amountInput);
   }
   
-  // Obter criptomoeda selecionada
-  const selectedCrypto = document.querySelector('input[name="crypto-currency"]:checked').value;
-  
   // Obter rede selecionada
   const selectedNetwork = document.querySelector('input[name="network"]:checked').value;
   
-  // Obter taxa de câmbio
-  const rate = getRateForCurrency(selectedCrypto);
-  if (!rate) {
+  // Não cotar com taxas desatualizadas ou de referência
+  if (!checkRatesAvailability(selectedCrypto)) {
+    return;
+  }
+  
+  // Gerar cotação firme com a taxa atual
+  // O cálculo recusa valores que as taxas consumiriam por inteiro
+  let quote;
+  try {
+    quote = createQuote({
+      amountBRL: reverse ? undefined : brlAmount,
+      targetCryptoAmount: reverse ? cryptoAmount : undefined,
+      currency: selectedCrypto,
+      network: selectedNetwork,
+      walletAddress: document.getElementById('wallet-address').value.trim(),
+      feeSpeed: getSelectedFeeSpeed()
+    });
+  } catch (error) {
+    console.error('FastCripto: Erro ao calcular a conversão:', error);
+    showAlert(`Não foi possível calcular a conversão: ${error.message}`, 'error');
+    return;
+  }
+  if (!quote) {
     showAlert('Não foi possível obter a taxa de câmbio. Tente novamente.', 'error');
     return;
   }
   
-  // Calcular conversão
-  const conversion = convertCurrency(brlAmount, rate, CONFIG.fees);
+  // Na conversão reversa, o valor em reais calculado também precisa respeitar o mínimo
+  if (reverse) {
+    const minimumCheck = validateConversionAmount(quote.brlAmount, getMinConversionAmount(selectedCrypto));
+    if (!minimumCheck.valid) {
+      showValidationError(cryptoAmountInput, `O valor necessário (${formatCurrency(quote.brlAmount, 'BRL')}) é inferior ao mínimo. ${minimumCheck.message}`);
+      return;
+    }
+  }
+  
+  // A taxa de rede não pode consumir todo o valor convertido
+  if (quote.finalCryptoAmount <= 0) {
+    showValidationError(amountInput, `A taxa de rede (${formatCurrency(quote.networkFeeBRL, 'BRL')}) consome todo o valor convertido. Aumente o valor ou escolha uma velocidade mais lenta.`);
+    return;
+  }
+  
+  // Limites por transação, diário e mensal do nível de KYC
+  const limitCheck = checkConversionLimits(quote.brlAmount);
+  if (!limitCheck.valid) {
+    const message = reverse
+      ? `O valor necessário (${formatCurrency(quote.brlAmount, 'BRL')}) excede o seu limite. ${limitCheck.message}`
+      : limitCheck.message;
+    showValidationError(amountInput, message);
+    return;
+  }
+  
+  showQuote(quote);
+}
+
+// Validar o valor em cripto a receber
+function validateTargetCryptoAmount(amount) {
+  if (!amount || isNaN(amount) || amount <= 0) {
+    return { valid: false, message: 'Informe a quantidade a receber' };
+  }
+  
+  return { valid: true };
+}
+
+// Direção selecionada da simulação ('forward' ou 'reverse')
+function getInputDirection() {
+  const selected = document.querySelector('input[name="input-direction"]:checked');
+  return selected ? selected.value : 'forward';
+}
+
+// Alternar entre informar o valor em reais ou o valor em cripto a receber
+function updateInputDirection() {
+  const reverse = getInputDirection() === 'reverse';
+  
+  document.getElementById('brl-amount-group').classList.toggle('hidden', reverse);
+  document.getElementById('crypto-amount-group').classList.toggle('hidden', !reverse);
+  document.getElementById('brl-amount').required = !reverse;
+  document.getElementById('crypto-amount').required = reverse;
+  
+  // Preencher o campo que ficou visível com o valor da última simulação
+  if (window.currentConversion) {
+    if (reverse) {
+      document.getElementById('crypto-amount').value = window.currentConversion.finalCryptoAmount;
+    } else {
+      document.getElementById('brl-amount').value = window.currentConversion.brlAmount;
+    }
+  }
+  
+  discardCurrentQuote();
+}
+
+// Atualizar o campo de valor a receber conforme a criptomoeda selecionada
+function updateCryptoAmountInput() {
+  const selectedCrypto = document.querySelector('input[name="crypto-currency"]:checked').value;
+  const asset = getAsset(selectedCrypto);
+  
+  document.getElementById('crypto-amount-label').textContent = `Quantidade a receber (${selectedCrypto})`;
+  document.getElementById('crypto-amount').step = (10 ** -asset.decimals).toFixed(asset.decimals);
+}
+
+// Verificar se as taxas atuais podem ser usadas para cotar
+function checkRatesAvailability(currency) {
+  const status = getRatesStatus(currency);
+  const acknowledgement = document.getElementById('ack-stale-rates');
+  const acknowledgementGroup = acknowledgement.closest('.form-group');
   
-  // Aplicar taxa de rede
-  const networkFee = CONFIG.defaultNetworkFees[selectedCrypto];
-  const finalConversion = applyNetworkFee(conversion, networkFee);
+  if (!status.degraded) {
+    acknowledgementGroup.classList.add('hidden');
+    acknowledgement.checked = false;
+    return true;
+  }
   
+  // Taxas padrão nunca são usadas em cotações
+  if (status.isDefault) {
+    showAlert('Cotações indisponíveis no momento. Não é possível simular conversões com valores de referência.', 'error');
+    return false;
+  }
+  
+  // Taxas desatualizadas: bloquear ou exigir confirmação, conforme a configuração
+  if (CONFIG.staleRatesPolicy === 'acknowledge') {
+    acknowledgementGroup.classList.remove('hidden');
+    if (acknowledgement.checked) return true;
+    
+    showAlert(`A cotação de ${currency} está desatualizada e pode não refletir o mercado. Confirme que está ciente para continuar.`, 'warning');
+    return false;
+  }
+  
+  showAlert(`A cotação de ${currency} está desatualizada. As conversões ficam suspensas até a normalização das taxas.`, 'error');
+  return false;
+}
+
+// Exibir a cotação e armazená-la para uso posterior
+function showQuote(quote) {
   // Atualizar interface com o resultado
-  updateConversionResult(finalConversion, selectedCrypto);
+  updateConversionResult(quote, quote.currency);
   
   // Mostrar o resultado e o botão de prosseguir
   document.getElementById('conversion-result').classList.remove('hidden');
   document.getElementById('btn-proceed').classList.remove('hidden');
   
-  // Armazenar dados da conversão para uso posterior
-  window.currentConversion = {
-    ...finalConversion,
-    currency: selectedCrypto,
-    network: selectedNetwork,
-    walletAddress: document.getElementById('wallet-address').value.trim()
-  };
+  // Contagem regressiva da validade da cotação
+  startQuoteCountdown(quote, document.getElementById('quote-countdown'));
+  
+  window.currentConversion = quote;
+}
+
+// Descartar a cotação atual e esconder o resultado
+function discardCurrentQuote() {
+  if (!window.currentConversion) return;
+  
+  stopQuoteCountdown(document.getElementById('quote-countdown'));
+  window.currentConversion = null;
+  document.getElementById('conversion-result').classList.add('hidden');
+  document.getElementById('btn-proceed').classList.add('hidden');
 }
 
 // Atualizar interface com o resultado da conversão
 function updateConversionResult(conversion, currency) {
+  // Valores em BRL, com o equivalente na moeda de exibição escolhida
+  const displayFiat = document.getElementById('display-fiat')?.value || 'BRL';
+  const format = value => formatWithEquivalent(value, displayFiat, conversion.fiatRates);
+  
   // Atualizar valores no resumo
-  document.getElementById('result-brl-amount').textContent = formatCurrency(conversion.brlAmount, 'BRL');
-  document.getElementById('result-iof').textContent = `- ${formatCurrency(conversion.iofAmount, 'BRL')}`;
-  document.getElementById('result-ir').textContent = `- ${formatCurrency(conversion.incomeTaxAmount, 'BRL')}`;
-  document.getElementById('result-service-fee').textContent = `- ${formatCurrency(conversion.serviceAmount, 'BRL')}`;
-  document.getElementById('result-network-fee').textContent = `- ${formatCurrency(conversion.networkFeeBRL, 'BRL')}`;
-  document.getElementById('result-net-amount').textContent = formatCurrency(conversion.netAmount, 'BRL');
+  document.getElementById('result-brl-amount').textContent = format(conversion.brlAmount);
+  document.getElementById('result-iof').textContent = `- ${format(conversion.iofAmount)}`;
+  document.getElementById('result-ir').textContent = `- ${format(conversion.incomeTaxAmount)}`;
+  document.getElementById('result-service-fee').textContent = `- ${format(conversion.serviceAmount)}${describeServiceFeeTier(conversion)}`;
+  document.getElementById('result-network-fee').textContent = `- ${format(conversion.networkFeeBRL)}${describeNetworkFeeSpeed(conversion)}`;
+  document.getElementById('result-net-amount').textContent = format(conversion.netAmount);
   document.getElementById('result-crypto-amount').textContent = formatCurrency(conversion.finalCryptoAmount, currency);
-  document.getElementById('result-rate').textContent = formatCurrency(conversion.cryptoRate, 'BRL');
+  document.getElementById('result-rate').textContent = format(conversion.cryptoRate);
+  
+  renderNetworkComparison(conversion);
+}
+
+// Comparar a conversão em todas as redes compatíveis, destacando a mais barata
+function renderNetworkComparison(conversion) {
+  const container = document.getElementById('network-comparison');
+  if (!container) return;
+  
+  // Só há o que comparar em moedas com mais de uma rede
+  const options = compareNetworks(conversion);
+  container.classList.toggle('hidden', options.length < 2);
+  if (options.length < 2) return;
+  
+  const reverse = conversion.direction === 'reverse';
+  document.getElementById('network-comparison-amount').textContent = reverse ? 'Valor a pagar' : 'Você receberá';
+  
+  const body = document.getElementById('network-comparison-body');
+  body.innerHTML = options.map(option => `
+    <tr class="${option.cheapest ? 'cheapest' : ''} ${option.selected ? 'selected' : ''}">
+      <td>${getNetwork(option.network).name}${option.cheapest ? '<span class="cheapest-badge">Mais barata</span>' : ''}</td>
+      <td>${formatCurrency(option.networkFee, conversion.currency)} (${formatCurrency(option.networkFeeBRL, 'BRL')})</td>
+      <td>${reverse ? formatCurrency(option.brlAmount, 'BRL') : formatCurrency(option.finalCryptoAmount, conversion.currency)}</td>
+      <td>${describeEta(option.etaSeconds)}</td>
+      <td>${option.selected ? 'Selecionada' : `<button type="button" class="btn small" data-network="${option.network}">Usar esta rede</button>`}</td>
+    </tr>
+  `).join('');
+  
+  body.querySelectorAll('[data-network]').forEach(button => {
+    button.addEventListener('click', () => selectComparedNetwork(button.dataset.network));
+  });
+}
+
+// Trocar para uma rede da comparação e recalcular a cotação
+function selectComparedNetwork(networkId) {
+  const option = document.querySelector(`input[name="network"][value="${networkId}"]`);
+  if (!option) return;
+  
+  // O evento invalida a cotação atual e atualiza as estimativas de taxa
+  option.checked = true;
+  option.dispatchEvent(new Event('change', { bubbles: true }));
+  
+  handleCalculateConversion();
+}
+
+// Faixa e desconto aplicados à taxa de serviço, para o resumo da conversão
+function describeServiceFeeTier(conversion) {
+  return conversion.serviceFee ? ` (${conversion.serviceFee.label})` : '';
+}
+
+// Velocidade e tempo estimado da taxa de rede, para o resumo da conversão
+function describeNetworkFeeSpeed(conversion) {
+  const estimate = conversion.networkFeeEstimate;
+  return estimate ? ` (${estimate.label} · ${describeEta(estimate.etaSeconds)})` : '';
+}
+
+// Formatar um valor em BRL acrescentando o equivalente em outra moeda
+function formatWithEquivalent(valueBRL, fiat, fiatRates) {
+  const formatted = formatCurrency(valueBRL, 'BRL');
+  if (fiat === 'BRL' || typeof valueBRL !== 'number') return formatted;
+  
+  const equivalent = convertFiat(valueBRL, 'BRL', fiat, fiatRates);
+  if (equivalent === null) return formatted;
+  
+  return `${formatted} (≈ ${formatCurrency(equivalent, fiat)})`;
 }
 
 // Lidar com o prosseguimento da conversão
-function handleProceedConversion() {
+async function handleProceedConversion() {
   // Verificar se há uma conversão atual
   if (!window.currentConversion) {
     showAlert('Nenhuma conversão encontrada. Por favor, calcule novamente.', 'error');
@@ -196,16 +571,60 @@ function handleProceedConversion() {
     return;
   }
   
-  // Criar objeto de transação
+  // Cotação expirada: gerar uma nova com a taxa atual e pedir nova confirmação
+  if (isQuoteExpired(window.currentConversion)) {
+    if (!checkRatesAvailability(window.currentConversion.currency)) {
+      discardCurrentQuote();
+      return;
+    }
+    
+    let newQuote = null;
+    try {
+      newQuote = requote(window.currentConversion);
+    } catch (error) {
+      console.error('FastCripto: Erro ao renovar a cotação:', error);
+    }
+    if (!newQuote) {
+      discardCurrentQuote();
+      showAlert('A cotação expirou e não foi possível obter uma nova taxa. Tente novamente.', 'error');
+      return;
+    }
+    
+    showQuote(newQuote);
+    showAlert('A cotação expirou. Revise os novos valores e clique em Prosseguir para confirmar.', 'warning');
+    return;
+  }
+  
+  // Outra transação pode ter consumido o limite depois da cotação
+  const limitCheck = checkConversionLimits(window.currentConversion.brlAmount);
+  if (!limitCheck.valid) {
+    showAlert(limitCheck.message, 'error');
+    return;
+  }
+  
+  stopQuoteCountdown(document.getElementById('quote-countdown'));
+  
+  // Criar objeto de transação com a taxa travada na cotação
   const transaction = {
-    id: `TX${Date.now()}`,
+    id: createId('TX'),
     status: 'pending_kyc',
     createdAt: new Date(),
-    ...window.currentConversion
+    ...window.currentConversion,
+    walletAddress: document.getElementById('wallet-address').value.trim()
   };
+  window.currentConversion = null;
   
   // Adicionar à lista de transações
-  addTransactionToHistory(transaction);
+  try {
+    await addTransaction(transaction);
+  } catch (error) {
+    console.error('FastCripto: Erro ao registrar transação:', error);
+    document.getElementById('conversion-result').classList.add('hidden');
+    document.getElementById('btn-proceed').classList.add('hidden');
+    showAlert('Não foi possível registrar a transação. Calcule a conversão novamente.', 'error');
+    return;
+  }
+  updateLimitAllowance();
   
   // Navegar para a próxima etapa (KYC)
   showAlert('Transação iniciada! Por favor, complete a verificação KYC.', 'success');
@@ -219,6 +638,38 @@ function handleProceedConversion() {
   }, 1500);
 }
 
+// Criar uma ordem limitada com o valor, a moeda, a rede e a carteira do conversor
+function handleCreateLimitOrder() {
+  if (getInputDirection() === 'reverse') {
+    showAlert('Ordens limitadas são informadas pelo valor em reais a pagar.', 'error');
+    return;
+  }
+  
+  if (!validateWalletAddress()) {
+    return;
+  }
+  
+  const selectedCrypto = document.querySelector('input[name="crypto-currency"]:checked').value;
+  const limitRateInput = document.getElementById('limit-rate');
+  
+  try {
+    const order = createLimitOrder({
+      amountBRL: parseFloat(document.getElementById('brl-amount').value),
+      currency: selectedCrypto,
+      network: document.querySelector('input[name="network"]:checked').value,
+      walletAddress: document.getElementById('wallet-address').value.trim(),
+      feeSpeed: getSelectedFeeSpeed(),
+      limitRate: parseFloat(limitRateInput.value),
+      expiresInHours: parseInt(document.getElementById('limit-expiry').value, 10)
+    });
+    
+    clearValidationError(limitRateInput);
+    showAlert(`Ordem limitada criada: compra de ${formatCurrency(order.amountBRL, 'BRL')} em ${order.currency} quando a cotação atingir ${formatCurrency(order.limitRate, 'BRL')}.`, 'success');
+  } catch (error) {
+    showValidationError(limitRateInput, error.message);
+  }
+}
+
 // Atualizar etapa do processo de conversão na interface
 function updateConversionStep(stepNumber) {
   const steps = document.querySelectorAll('.conversion-steps .step');
@@ -231,109 +682,403 @@ function updateConversionStep(stepNumber) {
   });
 }
 
-// Adicionar transação ao histórico
-function addTransactionToHistory(transaction) {
-  // Obter histórico atual do LocalStorage
-  let transactions = getTransactionsFromStorage();
-  
-  // Adicionar nova transação
-  transactions.push(transaction);
-  
-  // Atualizar LocalStorage
-  localStorage.setItem('fastcripto_transactions', JSON.stringify(transactions));
-  
-  // Atualizar interface se estiver na seção de transações
-  if (document.querySelector('.tab-nav[data-tab="transactions"]').classList.contains('active')) {
-    loadUserTransactions();
-  }
-}
-
-// Obter transações do LocalStorage
-function getTransactionsFromStorage() {
-  const stored = localStorage.getItem('fastcripto_transactions');
-  return stored ? JSON.parse(stored) : [];
-}
-
 // Carregar transações do usuário
+// Busca, filtros, ordenação e página vêm dos parâmetros da URL
 function loadUserTransactions() {
-  const transactions = getTransactionsFromStorage();
+  const transactions = getTransactionHistory();
+  const limitOrders = getOpenLimitOrders();
   const emptyState = document.getElementById('transactions-empty');
   const transactionsList = document.getElementById('transactions-list');
+  const browser = document.getElementById('transactions-browser');
   
-  if (transactions.length === 0) {
+  // Filtros só fazem sentido com transações registradas
+  if (browser) browser.classList.toggle('hidden', transactions.length === 0);
+  
+  if (transactions.length === 0 && limitOrders.length === 0) {
     // Mostrar estado vazio
     if (emptyState) emptyState.style.display = 'block';
     if (transactionsList) transactionsList.innerHTML = '';
+    renderTransactionsPagination(null);
     return;
   }
   
   // Esconder estado vazio e mostrar as transações
   if (emptyState) emptyState.style.display = 'none';
-  if (transactionsList) {
-    // Limpar lista atual
-    transactionsList.innerHTML = '';
-    
-    // Ordenar transações do mais recente para o mais antigo
-    const sortedTransactions = [...transactions].sort((a, b) => 
-      new Date(b.createdAt) - new Date(a.createdAt)
-    );
-    
-    // Criar elementos para cada transação
-    sortedTransactions.forEach(transaction => {
-      const transactionCard = createTransactionCard(transaction);
-      transactionsList.appendChild(transactionCard);
+  if (!transactionsList) return;
+  
+  const filters = readFiltersFromURL();
+  const result = queryTransactions(transactions, filters);
+  
+  // Limpar lista atual
+  transactionsList.innerHTML = '';
+  
+  // Ordens limitadas em aberto aparecem no início da primeira página
+  if (result.page === 1) {
+    limitOrders.forEach(order => {
+      transactionsList.appendChild(createLimitOrderCard(order));
     });
   }
+  
+  // Criar elementos apenas para as transações da página atual
+  result.items.forEach(transaction => {
+    transactionsList.appendChild(createTransactionCard(transaction));
+  });
+  
+  if (transactions.length > 0 && result.total === 0) {
+    transactionsList.insertAdjacentHTML('beforeend', '<p class="transactions-no-results">Nenhuma transação encontrada com os filtros selecionados.</p>');
+  }
+  
+  const summary = document.getElementById('transactions-summary');
+  if (summary) {
+    summary.textContent = result.total === 0
+      ? ''
+      : `${result.start}–${result.end} de ${result.total} transações${hasActiveFilters(filters) ? ` (filtradas de ${transactions.length})` : ''}`;
+  }
+  
+  renderTransactionSort(filters);
+  renderTransactionsPagination(result);
+  renderSelectedTransaction();
+}
+
+// ID da transação aberta no painel de detalhes (parâmetro tx da URL)
+function getSelectedTransactionId() {
+  return new URLSearchParams(window.location.search).get('tx');
+}
+
+// Abrir ou fechar o painel de detalhes, refletindo a transação na URL
+function selectTransaction(id) {
+  const url = new URL(window.location.href);
+  if (id) {
+    url.searchParams.set('tx', id);
+  } else {
+    url.searchParams.delete('tx');
+  }
+  window.history.replaceState(window.history.state, '', url);
+  
+  const panel = renderSelectedTransaction();
+  if (panel) {
+    panel.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    panel.focus({ preventScroll: true });
+  }
+}
+
+// Exibir o painel de detalhes da transação selecionada
+// Refeito a cada atualização da lista, para acompanhar status e confirmações
+function renderSelectedTransaction() {
+  const panel = document.getElementById('transaction-detail');
+  if (!panel) return null;
+  
+  const id = getSelectedTransactionId();
+  const transaction = id ? getTransactionById(id) : undefined;
+  
+  document.querySelectorAll('.transaction-card.selectable').forEach(card => {
+    card.classList.toggle('selected', Boolean(transaction) && card.dataset.id === id);
+  });
+  
+  if (!transaction) {
+    panel.classList.add('hidden');
+    panel.innerHTML = '';
+    return null;
+  }
+  
+  panel.innerHTML = renderTransactionDetail(transaction);
+  panel.classList.remove('hidden');
+  
+  panel.querySelector('[data-action="close-detail"]').addEventListener('click', () => selectTransaction(null));
+  
+  const copyButton = panel.querySelector('[data-action="copy-address"]');
+  if (copyButton) {
+    copyButton.addEventListener('click', () => copyTransactionAddress(panel.querySelector('.transaction-detail-address').textContent));
+  }
+  
+  return panel;
+}
+
+// Copiar o endereço completo da transação para a área de transferência
+function copyTransactionAddress(address) {
+  navigator.clipboard.writeText(address)
+    .then(() => showAlert('Endereço copiado.', 'success'))
+    .catch(() => showAlert('Não foi possível copiar. Selecione o endereço e copie manualmente.', 'error'));
+}
+
+// Configurar busca, filtros, ordenação e paginação do histórico de transações
+function setupTransactionFilters() {
+  const form = document.getElementById('transaction-filters');
+  if (!form) return;
+  
+  // Opções geradas a partir dos status e do registro de ativos
+  document.getElementById('filter-status').insertAdjacentHTML('beforeend', getFilterableStatuses().map(({ status, label }) => 
+    `<option value="${status}">${label}</option>`
+  ).join(''));
+  document.getElementById('filter-asset').insertAdjacentHTML('beforeend', getSupportedAssets().map(asset => 
+    `<option value="${asset.symbol}">${asset.name} (${asset.symbol})</option>`
+  ).join(''));
+  document.getElementById('filter-network').insertAdjacentHTML('beforeend', Object.values(NETWORKS).map(network => 
+    `<option value="${network.id}">${network.name}</option>`
+  ).join(''));
+  document.getElementById('transaction-sort').insertAdjacentHTML('beforeend', Object.entries(TRANSACTION_SORT_FIELDS).map(([field, label]) => 
+    `<button type="button" class="btn small" data-sort="${field}">${label}</button>`
+  ).join(''));
+  
+  // Filtros abertos por um link são exibidos no formulário
+  const filters = readFiltersFromURL();
+  Object.keys(filters).forEach(key => {
+    const input = document.getElementById(`filter-${key}`);
+    if (input) input.value = filters[key];
+  });
+  
+  form.addEventListener('submit', e => e.preventDefault());
+  form.addEventListener('input', applyTransactionFilters);
+  
+  document.getElementById('btn-clear-filters').addEventListener('click', function() {
+    form.reset();
+    applyTransactionFilters();
+  });
+  
+  document.querySelectorAll('#transaction-sort [data-sort]').forEach(button => {
+    button.addEventListener('click', () => sortTransactionsBy(button.dataset.sort));
+  });
+}
+
+// Configurar a exportação do histórico e a restauração de backups
+function setupTransactionExport() {
+  const formatSelect = document.getElementById('export-format');
+  if (!formatSelect) return;
+  
+  const numberFormatSelect = document.getElementById('export-number-format');
+  numberFormatSelect.innerHTML = Object.entries(NUMBER_FORMATS).map(([id, { label }]) => 
+    `<option value="${id}">${label}</option>`
+  ).join('');
+  
+  // O formato dos números só se aplica ao CSV
+  formatSelect.addEventListener('change', function() {
+    numberFormatSelect.disabled = formatSelect.value !== 'csv';
+  });
+  
+  document.getElementById('btn-export-transactions').addEventListener('click', function() {
+    handleExportTransactions(formatSelect.value, numberFormatSelect.value);
+  });
+  
+  const fileInput = document.getElementById('import-transactions-file');
+  fileInput.addEventListener('change', function() {
+    if (fileInput.files.length > 0) {
+      handleImportTransactions(fileInput.files[0]);
+    }
+    // Permitir escolher o mesmo arquivo novamente
+    fileInput.value = '';
+  });
+}
+
+// Exportar o histórico no formato escolhido
+// CSV e OFX seguem os filtros e a ordenação da lista; o backup JSON inclui
+// todas as transações
+function handleExportTransactions(format, numberFormat) {
+  const history = getTransactionHistory();
+  let transactions = history;
+  
+  if (format !== 'json') {
+    const filters = readFiltersFromURL();
+    transactions = sortTransactions(filterTransactions(history, filters), filters.sort, filters.dir);
+  }
+  
+  if (transactions.length === 0) {
+    showAlert(history.length === 0 ? 'Não há transações para exportar.' : 'Nenhuma transação encontrada com os filtros selecionados.', 'warning');
+    return;
+  }
+  
+  exportTransactions(transactions, format, { numberFormat });
+}
+
+// Restaurar um backup JSON, sem duplicar transações já registradas
+function handleImportTransactions(file) {
+  const reader = new FileReader();
+  
+  reader.onload = async function() {
+    try {
+      const { imported, skipped, rejected } = await restoreTransactionsBackup(reader.result);
+      
+      const details = [
+        skipped > 0 ? `${skipped} já registrada(s)` : null,
+        rejected > 0 ? `${rejected} inválida(s)` : null
+      ].filter(Boolean).join(', ');
+      showAlert(`${imported} transação(ões) importada(s)${details ? ` (${details})` : ''}.`, imported > 0 ? 'success' : 'info');
+    } catch (error) {
+      showAlert(`Não foi possível restaurar o backup: ${error.message}`, 'error');
+    }
+  };
+  reader.onerror = function() {
+    showAlert('Não foi possível ler o arquivo selecionado.', 'error');
+  };
+  
+  reader.readAsText(file);
+}
+
+// Aplicar os filtros do formulário, voltando para a primeira página
+function applyTransactionFilters() {
+  const filters = { ...readFiltersFromURL(), page: 1 };
+  document.querySelectorAll('#transaction-filters [id^="filter-"]').forEach(input => {
+    filters[input.id.replace('filter-', '')] = input.value.trim();
+  });
+  
+  writeFiltersToURL(filters);
+  loadUserTransactions();
+}
+
+// Ordenar pelo campo escolhido; escolher o mesmo campo inverte a direção
+function sortTransactionsBy(field) {
+  const filters = readFiltersFromURL();
+  const dir = filters.sort === field
+    ? (filters.dir === 'asc' ? 'desc' : 'asc')
+    : (['createdAt', 'brlAmount'].includes(field) ? 'desc' : 'asc');
+  
+  writeFiltersToURL({ ...filters, sort: field, dir, page: 1 });
+  loadUserTransactions();
+}
+
+// Destacar o campo e a direção da ordenação atual
+function renderTransactionSort(filters) {
+  document.querySelectorAll('#transaction-sort [data-sort]').forEach(button => {
+    const active = button.dataset.sort === filters.sort;
+    const label = TRANSACTION_SORT_FIELDS[button.dataset.sort];
+    
+    button.classList.toggle('active', active);
+    button.textContent = active ? `${label} ${filters.dir === 'asc' ? '↑' : '↓'}` : label;
+    button.setAttribute('aria-pressed', active);
+  });
+}
+
+// Exibir a navegação entre páginas (oculta quando há uma única página)
+function renderTransactionsPagination(result) {
+  const container = document.getElementById('transactions-pagination');
+  if (!container) return;
+  
+  container.classList.toggle('hidden', !result || result.pageCount <= 1);
+  if (!result || result.pageCount <= 1) {
+    container.innerHTML = '';
+    return;
+  }
+  
+  container.innerHTML = `
+    <button type="button" class="btn small" data-page="${result.page - 1}" ${result.page === 1 ? 'disabled' : ''}>Anterior</button>
+    <span>Página ${result.page} de ${result.pageCount}</span>
+    <button type="button" class="btn small" data-page="${result.page + 1}" ${result.page === result.pageCount ? 'disabled' : ''}>Próxima</button>
+  `;
+  
+  container.querySelectorAll('[data-page]').forEach(button => {
+    button.addEventListener('click', function() {
+      writeFiltersToURL({ ...readFiltersFromURL(), page: Number(button.dataset.page) });
+      loadUserTransactions();
+      document.getElementById('transactions').scrollIntoView({ behavior: 'smooth' });
+    });
+  });
 }
 
 // Criar elemento HTML para um card de transação
 function createTransactionCard(transaction) {
   const card = document.createElement('div');
-  card.className = 'transaction-card';
+  card.className = 'transaction-card selectable';
   card.dataset.id = transaction.id;
   
   // Determinar classe de status para estilização
-  let statusClass = '';
-  let statusText = '';
-  
-  switch(transaction.status) {
-    case 'pending_kyc':
-      statusClass = 'pending';
-      statusText = 'Pendente (KYC)';
-      break;
-    case 'processing':
-      statusClass = 'processing';
-      statusText = 'Processando';
-      break;
-    case 'completed':
-      statusClass = 'completed';
-      statusText = 'Concluída';
-      break;
-    case 'cancelled':
-      statusClass = 'cancelled';
-      statusText = 'Cancelada';
-      break;
-    default:
-      statusClass = 'pending';
-      statusText = 'Pendente';
-  }
+  const status = getTransactionStatus(transaction);
   
   const date = transaction.createdAt ? new Date(transaction.createdAt) : new Date();
   
+  // Vendas: cripto → BRL, pago na chave PIX; compras: BRL → cripto, na carteira
+  const amountText = isSellTransaction(transaction)
+    ? `${formatCurrency(transaction.cryptoAmount, transaction.currency)} → ${formatCurrency(transaction.netAmount, 'BRL')}`
+    : `${formatCurrency(transaction.brlAmount, 'BRL')} → ${formatCurrency(transaction.finalCryptoAmount, transaction.currency)}`;
+  const destinationText = isSellTransaction(transaction)
+    ? `PIX ${maskPixKey(transaction.pixKeyType, transaction.pixKey)}`
+    : truncateWalletAddress(transaction.walletAddress);
+  
+  // IDs, endereços e chaves podem vir de um backup importado: sempre escapar
+  card.innerHTML = `
+    <div class="transaction-header">
+      <div class="transaction-id">${escapeHTML(transaction.id)}</div>
+      <div class="transaction-status ${status.className}">${escapeHTML(status.label)}</div>
+    </div>
+    <div class="transaction-body">
+      <div class="transaction-details">
+        <div class="transaction-amount">${escapeHTML(amountText)}</div>
+        <div class="transaction-wallet">${escapeHTML(destinationText)}</div>
+      </div>
+      <div class="transaction-date">${escapeHTML(formatDate(date))}</div>
+    </div>
+    <div class="transaction-actions">
+      <button type="button" class="btn small" data-action="details">Detalhes</button>
+      <button type="button" class="btn small" data-receipt="print">Imprimir comprovante</button>
+      <button type="button" class="btn small" data-receipt="pdf">Baixar PDF</button>
+      ${canCustomerCancel(transaction) ? '<button type="button" class="btn small" data-action="cancel">Cancelar</button>' : ''}
+    </div>
+  `;
+  
+  // Detalhes da transação, pelo botão ou por um clique no card
+  card.addEventListener('click', e => {
+    if (e.target.closest('button, a')) return;
+    selectTransaction(transaction.id);
+  });
+  card.querySelector('[data-action="details"]').addEventListener('click', () => selectTransaction(transaction.id));
+  
+  // Comprovante da transação, para impressão ou em PDF
+  card.querySelector('[data-receipt="print"]').addEventListener('click', () => printReceipt(transaction));
+  card.querySelector('[data-receipt="pdf"]').addEventListener('click', () => downloadReceiptPDF(transaction));
+  
+  const cancelButton = card.querySelector('[data-action="cancel"]');
+  if (cancelButton) {
+    cancelButton.addEventListener('click', async () => {
+      try {
+        await updateTransactionStatus(transaction.id, 'cancelled', { reason: 'Cancelada pelo cliente', actor: 'customer' });
+      } catch (error) {
+        showAlert(`Não foi possível cancelar a transação: ${error.message}`, 'error');
+      }
+    });
+  }
+  
+  return card;
+}
+
+// Compras podem ser canceladas pelo cliente até o pagamento; vendas são
+// canceladas pelo backend
+function canCustomerCancel(transaction) {
+  return !isSellTransaction(transaction) && canTransition(transaction, 'cancelled');
+}
+
+// Criar elemento HTML para uma ordem limitada em aberto
+function createLimitOrderCard(order) {
+  const card = document.createElement('div');
+  card.className = 'transaction-card limit-order';
+  card.dataset.id = order.id;
+  
+  const status = LIMIT_ORDER_STATUSES[order.status];
+  
   card.innerHTML = `
     <div class="transaction-header">
-      <div class="transaction-id">${transaction.id}</div>
-      <div class="transaction-status ${statusClass}">${statusText}</div>
+      <div class="transaction-id">${escapeHTML(order.id)}</div>
+      <div class="transaction-status ${status.className}">${escapeHTML(status.label)}</div>
     </div>
     <div class="transaction-body">
       <div class="transaction-details">
-        <div class="transaction-amount">${formatCurrency(transaction.brlAmount, 'BRL')} → ${formatCurrency(transaction.finalCryptoAmount, transaction.currency)}</div>
-        <div class="transaction-wallet">${truncateWalletAddress(transaction.walletAddress)}</div>
+        <div class="transaction-amount">${escapeHTML(`${formatCurrency(order.amountBRL, 'BRL')} em ${order.currency} com cotação de até ${formatCurrency(order.limitRate, 'BRL')}`)}</div>
+        <div class="transaction-wallet">${escapeHTML(truncateWalletAddress(order.walletAddress))}</div>
       </div>
-      <div class="transaction-date">${formatDate(date)}</div>
+      <div class="transaction-date">Válida até ${escapeHTML(formatDate(new Date(order.expiresAt)))}</div>
+    </div>
+    <div class="transaction-actions">
+      <button type="button" class="btn small" data-action="cancel-limit-order">Cancelar ordem</button>
     </div>
   `;
   
+  // A ordem pode ter sido executada ou expirado desde a exibição da lista
+  card.querySelector('[data-action="cancel-limit-order"]').addEventListener('click', () => {
+    try {
+      cancelLimitOrder(order.id);
+    } catch (error) {
+      showAlert(`Não foi possível cancelar a ordem: ${error.message}`, 'error');
+      loadUserTransactions();
+    }
+  });
+  
   return card;
 }
 
@@ -355,41 +1100,87 @@ function updateAvailableNetworks() {
   // Obter criptomoeda selecionada
   const selectedCrypto = document.querySelector('input[name="crypto-currency"]:checked').value;
   
-  // Obter opções de rede
-  const btcNetworkOption = document.querySelector('.network-btc').parentElement;
-  const ethNetworkOption = document.querySelector('.network-eth').parentElement;
-  const bscNetworkOption = document.querySelector('.network-bsc').parentElement;
+  // Mostrar apenas as redes compatíveis com a criptomoeda
+  const container = document.getElementById('network-options');
+  if (!container) return;
   
-  // Resetar todas as opções
-  btcNetworkOption.style.display = 'none';
-  ethNetworkOption.style.display = 'none';
-  bscNetworkOption.style.display = 'none';
+  container.innerHTML = getAssetNetworks(selectedCrypto).map((network, index) => `
+    <label class="network-option">
+      <input type="radio" name="network" value="${network.id}" ${index === 0 ? 'checked' : ''} />
+      <span>${network.name}</span>
+    </label>
+  `).join('');
   
-  // Mostrar apenas as redes compatíveis com a criptomoeda
-  switch(selectedCrypto) {
-    case 'BTC':
-      btcNetworkOption.style.display = 'flex';
-      document.querySelector('.network-btc').checked = true;
-      break;
-    case 'ETH':
-      ethNetworkOption.style.display = 'flex';
-      document.querySelector('.network-eth').checked = true;
-      break;
-    case 'USDT':
-      ethNetworkOption.style.display = 'flex';
-      bscNetworkOption.style.display = 'flex';
-      document.querySelector('.network-eth').checked = true;
-      break;
-    case 'BNB':
-      bscNetworkOption.style.display = 'flex';
-      document.querySelector('.network-bsc').checked = true;
-      break;
-    default:
-      // Mostrar todas as redes para outras criptomoedas
-      btcNetworkOption.style.display = 'flex';
-      ethNetworkOption.style.display = 'flex';
-      bscNetworkOption.style.display = 'flex';
+  // Exemplo de endereço da primeira rede
+  const walletInput = document.getElementById('wallet-address');
+  const [defaultNetwork] = getAssetNetworks(selectedCrypto);
+  if (walletInput && defaultNetwork) {
+    walletInput.placeholder = `Ex: ${defaultNetwork.addressExample}`;
   }
+  
+  renderNetworkFeeOptions();
+}
+
+// Exibir as opções de velocidade da taxa de rede para a moeda e rede selecionadas
+function renderNetworkFeeOptions() {
+  const container = document.getElementById('network-fee-options');
+  const selectedCrypto = document.querySelector('input[name="crypto-currency"]:checked')?.value;
+  const selectedNetwork = document.querySelector('input[name="network"]:checked')?.value;
+  if (!container || !selectedCrypto || !selectedNetwork) return;
+  
+  const options = getNetworkFeeOptions({ currency: selectedCrypto, network: selectedNetwork });
+  
+  if (options.length === 0) {
+    container.innerHTML = '<p class="network-fee-unavailable">Estimativa de taxa de rede indisponível no momento.</p>';
+    return;
+  }
+  
+  // Manter a velocidade escolhida, mesmo depois de um período sem estimativas
+  const selectedSpeed = options.some(option => option.speed === container.dataset.speed)
+    ? container.dataset.speed
+    : 'normal';
+  
+  container.innerHTML = options.map(option => `
+    <label class="network-fee-option">
+      <input type="radio" name="network-fee-speed" value="${option.speed}" ${option.speed === selectedSpeed ? 'checked' : ''} />
+      <span class="fee-speed">${option.label}</span>
+      <span class="fee-eta">${describeEta(option.etaSeconds)}</span>
+      <span class="fee-amount">${formatCurrency(Number(option.amount), selectedCrypto)}</span>
+      <span class="fee-rate">${option.feeRate} ${option.feeRateUnit}</span>
+    </label>
+  `).join('');
+}
+
+// Atualizar prazo e valor das opções de taxa de rede já exibidas (tokens
+// pagam a taxa na moeda nativa, convertida pela cotação)
+// A lista só é recriada se as opções disponíveis mudaram
+function updateNetworkFeeAmounts() {
+  const container = document.getElementById('network-fee-options');
+  const selectedCrypto = document.querySelector('input[name="crypto-currency"]:checked')?.value;
+  const selectedNetwork = document.querySelector('input[name="network"]:checked')?.value;
+  if (!container || !selectedCrypto || !selectedNetwork) return;
+  
+  const options = getNetworkFeeOptions({ currency: selectedCrypto, network: selectedNetwork });
+  const labels = options.map(option => {
+    const input = container.querySelector(`input[name="network-fee-speed"][value="${option.speed}"]`);
+    return input ? input.closest('.network-fee-option') : null;
+  });
+  if (options.length === 0 || labels.includes(null) || container.querySelectorAll('input[name="network-fee-speed"]').length !== options.length) {
+    renderNetworkFeeOptions();
+    return;
+  }
+  
+  options.forEach((option, index) => {
+    labels[index].querySelector('.fee-eta').textContent = describeEta(option.etaSeconds);
+    labels[index].querySelector('.fee-amount').textContent = formatCurrency(Number(option.amount), selectedCrypto);
+    labels[index].querySelector('.fee-rate').textContent = `${option.feeRate} ${option.feeRateUnit}`;
+  });
+}
+
+// Velocidade escolhida para a taxa de rede
+function getSelectedFeeSpeed() {
+  const selected = document.querySelector('input[name="network-fee-speed"]:checked');
+  return selected ? selected.value : 'normal';
 }
 
 // Validar endereço da carteira
@@ -402,4 +1193,47 @@ function validateWalletAddress() {
     return false;
   }
   
-  const selectedCrypto = document.querySelector('input[name
+  const selectedCrypto = document.querySelector('input[name="crypto-currency"]:checked').value;
+  const selectedNetwork = document.querySelector('input[name="network"]:checked').value;
+  
+  // Formato de endereço e compatibilidade de rede vêm do registro de ativos
+  const validation = validateAddress(selectedCrypto, selectedNetwork, walletValue);
+  if (!validation.valid) {
+    showValidationError(walletInput, validation.message);
+    return false;
+  }
+  
+  clearValidationError(walletInput);
+  return true;
+}
+
+// Exibir mensagem de erro de validação
+function showValidationError(inputElement, message) {
+  clearValidationError(inputElement);
+  
+  const errorElement = document.createElement('div');
+  errorElement.className = 'validation-error';
+  errorElement.textContent = message;
+  
+  inputElement.classList.add('input-error');
+  inputElement.parentNode.appendChild(errorElement);
+}
+
+// Limpar mensagem de erro de validação
+function clearValidationError(inputElement) {
+  const errorElement = inputElement.parentNode.querySelector('.validation-error');
+  if (errorElement) {
+    errorElement.remove();
+  }
+  
+  inputElement.classList.remove('input-error');
+}
+
+// Exibir alerta para o usuário
+function showAlert(message, type = 'info') {
+  if (window.showInAppNotification) {
+    window.showInAppNotification(message, type);
+  } else {
+    alert(message);
+  }
+}
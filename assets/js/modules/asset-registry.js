@@ -0,0 +1,196 @@
+/**
+ * FastCripto - Registro de Ativos e Redes
+ * Fonte única das criptomoedas suportadas, suas redes, precisão,
+ * formato de endereço e valores mínimos
+ */
+
+// Redes blockchain suportadas
+// nativeAsset: moeda em que a taxa de rede é paga; fee: modelo da taxa, em
+// que o custo é feeRate (na unidade informada) × size, e unitScale é o número
+// de casas entre a unidade da taxa e a menor unidade da moeda nativa
+// explorer: explorador de blocos, com os prefixos dos links de transação e
+// de endereço; confirmations: confirmações a partir das quais a transação é
+// considerada definitiva
+export const NETWORKS = {
+  BTC: {
+    id: 'BTC',
+    name: 'Bitcoin',
+    addressLabel: 'Bitcoin',
+    addressPattern:
+      /^[13][a-km-zA-HJ-NP-Z1-9]{25,34}$|^bc1[ac-hj-np-z02-9]{39,59}$/,
+    addressExample: 'bc1q...',
+    nativeAsset: 'BTC',
+    // Transação P2WPKH típica (1 entrada, 2 saídas), em vbytes
+    fee: { unit: 'sat/vB', unitScale: 0, size: 141 },
+    explorer: {
+      name: 'mempool.space',
+      tx: 'https://mempool.space/tx/',
+      address: 'https://mempool.space/address/',
+    },
+    confirmations: 3,
+  },
+  ETH: {
+    id: 'ETH',
+    name: 'Ethereum',
+    addressLabel: 'Ethereum',
+    addressPattern: /^0x[a-fA-F0-9]{40}$/,
+    addressExample: '0x1234...',
+    nativeAsset: 'ETH',
+    // Gas de uma transferência simples e de uma transferência ERC-20
+    fee: { unit: 'gwei', unitScale: 9, size: 21000, tokenSize: 65000 },
+    explorer: {
+      name: 'Etherscan',
+      tx: 'https://etherscan.io/tx/',
+      address: 'https://etherscan.io/address/',
+    },
+    confirmations: 12,
+  },
+  BSC: {
+    id: 'BSC',
+    name: 'BSC',
+    // Mesmo formato de endereço do Ethereum
+    addressLabel: 'BSC',
+    addressPattern: /^0x[a-fA-F0-9]{40}$/,
+    addressExample: '0x1234...',
+    nativeAsset: 'BNB',
+    // Gas de uma transferência simples e de uma transferência BEP-20
+    fee: { unit: 'gwei', unitScale: 9, size: 21000, tokenSize: 60000 },
+    explorer: {
+      name: 'BscScan',
+      tx: 'https://bscscan.com/tx/',
+      address: 'https://bscscan.com/address/',
+    },
+    confirmations: 15,
+  },
+  XRPL: {
+    id: 'XRPL',
+    name: 'XRP Ledger',
+    addressLabel: 'Ripple',
+    addressPattern: /^r[0-9a-zA-Z]{24,34}$/,
+    addressExample: 'r...',
+    nativeAsset: 'XRP',
+    // Custo fixo por transação, em drops (1 XRP = 1.000.000 drops)
+    fee: { unit: 'drops', unitScale: 0, size: 1 },
+    explorer: {
+      name: 'XRPL Explorer',
+      tx: 'https://livenet.xrpl.org/transactions/',
+      address: 'https://livenet.xrpl.org/accounts/',
+    },
+    // Um ledger validado já é definitivo
+    confirmations: 1,
+  },
+};
+
+// Criptomoedas suportadas, na ordem de exibição
+// decimals: casas decimais exibidas (e entregues); unitDecimals: casas da
+// menor unidade da moeda (satoshi, wei...); defaultRate: taxa de referência
+// usada quando nenhuma fonte responde; minAmount (opcional): mínimo de
+// conversão em BRL, só para ativos que precisem de um diferente de
+// CONFIG.minConversionAmount
+export const ASSETS = {
+  BTC: {
+    symbol: 'BTC',
+    name: 'Bitcoin',
+    icon: '₿',
+    decimals: 8,
+    unitDecimals: 8,
+    networks: ['BTC'],
+    defaultRate: 250000,
+  },
+  ETH: {
+    symbol: 'ETH',
+    name: 'Ethereum',
+    icon: 'Ξ',
+    decimals: 6,
+    unitDecimals: 18,
+    networks: ['ETH'],
+    defaultRate: 15000,
+  },
+  USDT: {
+    symbol: 'USDT',
+    name: 'Tether',
+    icon: '₮',
+    decimals: 2,
+    unitDecimals: 6,
+    networks: ['ETH', 'BSC'],
+    defaultRate: 5.05,
+  },
+  BNB: {
+    symbol: 'BNB',
+    name: 'BNB',
+    icon: '◆',
+    decimals: 6,
+    unitDecimals: 18,
+    networks: ['BSC'],
+    defaultRate: 1500,
+  },
+  XRP: {
+    symbol: 'XRP',
+    name: 'XRP',
+    icon: '✕',
+    decimals: 2,
+    unitDecimals: 6,
+    networks: ['XRPL'],
+    defaultRate: 2.7,
+  },
+};
+
+// Obter a lista de criptomoedas suportadas
+export function getSupportedAssets() {
+  return Object.values(ASSETS);
+}
+
+// Obter os dados de uma criptomoeda
+export function getAsset(symbol) {
+  return ASSETS[symbol] || null;
+}
+
+// Obter os dados de uma rede
+export function getNetwork(networkId) {
+  return NETWORKS[networkId] || null;
+}
+
+// Link do explorador de blocos da rede para uma transação ('tx') ou um
+// endereço ('address'); null se a rede não tiver explorador configurado
+export function getExplorerUrl(networkId, type, value) {
+  const network = getNetwork(networkId);
+  if (!network || !network.explorer || !network.explorer[type] || !value) {
+    return null;
+  }
+
+  return `${network.explorer[type]}${encodeURIComponent(value)}`;
+}
+
+// Obter as redes compatíveis com uma criptomoeda
+export function getAssetNetworks(symbol) {
+  const asset = getAsset(symbol);
+  return asset ? asset.networks.map((networkId) => NETWORKS[networkId]) : [];
+}
+
+// Valor mínimo de conversão (em BRL) de uma criptomoeda
+// Sem mínimo próprio no registro, vale CONFIG.minConversionAmount
+export function getMinConversionAmount(symbol) {
+  return getAsset(symbol)?.minAmount ?? CONFIG.minConversionAmount;
+}
+
+// Valida um endereço de carteira para a criptomoeda e a rede informadas
+export function validateAddress(symbol, networkId, address) {
+  const asset = getAsset(symbol);
+  const network = getNetwork(networkId);
+
+  if (!asset || !network || !asset.networks.includes(networkId)) {
+    return {
+      valid: false,
+      message: `A rede ${networkId} não é compatível com ${symbol}`,
+    };
+  }
+
+  if (!network.addressPattern.test(address)) {
+    return {
+      valid: false,
+      message: `Endereço ${network.addressLabel} inválido`,
+    };
+  }
+
+  return { valid: true };
+}
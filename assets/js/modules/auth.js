@@ -6,3 +6,14 @@ export function login(username, password) {
 export function logout() {
   return 'User logged out';
 }
+
+// Identificador do usuário atual, usado para separar dados salvos no navegador
+export function getCurrentUserId() {
+  return localStorage.getItem('fastcripto_user_id') || 'local';
+}
+
+// Tipo do cliente atual, usado na aplicação das regras tributárias
+// ('individual' para pessoa física, 'business' para pessoa jurídica)
+export function getCustomerType() {
+  return localStorage.getItem('fastcripto_customer_type') || 'individual';
+}
@@ -3,82 +3,343 @@
  * Lógica de cálculo e processamento das conversões
  */
 
+import { SUPPORTED_FIATS } from './fiat-rates.js';
+import { getAsset } from './asset-registry.js';
+import {
+  toUnits,
+  fromUnits,
+  formatUnits,
+  mulDiv,
+  quantize,
+} from './decimal.js';
+
+// Casas decimais do BRL (centavos)
+const BRL_DECIMALS = 2;
+
+// Casas decimais usadas para taxas de câmbio e percentuais de taxas
+const RATE_DECIMALS = 8;
+
+// Arredondamento de cada item da conversão
+// Tributos seguem o arredondamento comercial; a taxa de serviço e o valor em
+// cripto são arredondados para baixo, a favor do cliente e da tesouraria,
+// respectivamente; a taxa de rede nunca é subestimada. Na venda, o valor
+// bruto em BRL da cripto depositada é arredondado para baixo
+export const ROUNDING_POLICY = {
+  brlAmount: 'halfUp',
+  saleAmount: 'down',
+  iofAmount: 'halfUp',
+  incomeTaxAmount: 'halfUp',
+  serviceAmount: 'down',
+  cryptoAmount: 'down',
+  networkFee: 'up',
+  networkFeeBRL: 'halfUp',
+};
+
 // Realiza a conversão de BRL para a criptomoeda selecionada
-export function convertCurrency(amountBRL, cryptoRate, fees) {
+// Os cálculos são feitos em centavos e na menor unidade da criptomoeda; os
+// valores inteiros ficam em `units` (texto) e os demais campos são derivados
+// deles apenas para exibição
+export function convertCurrency(amountBRL, cryptoRate, fees, currency) {
+  const { decimals, unitDecimals } = getUnitPrecision(currency);
+  const rateUnits = toUnits(cryptoRate, RATE_DECIMALS, 'halfUp');
+  const brlUnits = toUnits(amountBRL, BRL_DECIMALS, ROUNDING_POLICY.brlAmount);
+
   // Calcular deduções
-  const iofAmount = amountBRL * fees.iof;
-  const incomeTaxAmount = amountBRL * fees.incomeTax;
-  const serviceAmount = amountBRL * fees.service;
+  const feeAmount = (fee, mode) =>
+    mulDiv(
+      brlUnits,
+      toUnits(fee, RATE_DECIMALS),
+      10n ** BigInt(RATE_DECIMALS),
+      mode
+    );
+
+  const iofUnits = feeAmount(fees.iof, ROUNDING_POLICY.iofAmount);
+  const incomeTaxUnits = feeAmount(
+    fees.incomeTax,
+    ROUNDING_POLICY.incomeTaxAmount
+  );
+  const serviceUnits = feeAmount(fees.service, ROUNDING_POLICY.serviceAmount);
 
   // Calcular valor líquido após taxas
-  const netAmount = amountBRL - iofAmount - incomeTaxAmount - serviceAmount;
+  const netUnits = brlUnits - iofUnits - incomeTaxUnits - serviceUnits;
 
-  // Calcular valor em cripto (sem taxa de rede)
-  const cryptoAmount = netAmount / cryptoRate;
+  // Calcular valor em cripto (sem taxa de rede), limitado às casas entregues
+  const cryptoUnits = quantize(
+    mulDiv(
+      netUnits,
+      10n ** BigInt(unitDecimals + RATE_DECIMALS - BRL_DECIMALS),
+      rateUnits,
+      ROUNDING_POLICY.cryptoAmount
+    ),
+    unitDecimals,
+    decimals,
+    ROUNDING_POLICY.cryptoAmount
+  );
+
+  const units = {
+    brlAmount: brlUnits,
+    iofAmount: iofUnits,
+    incomeTaxAmount: incomeTaxUnits,
+    serviceAmount: serviceUnits,
+    netAmount: netUnits,
+    cryptoAmount: cryptoUnits,
+    cryptoRate: rateUnits,
+  };
 
   return {
-    brlAmount: amountBRL,
-    iofAmount,
-    incomeTaxAmount,
-    serviceAmount,
-    netAmount,
-    cryptoAmount,
-    cryptoRate,
+    brlAmount: fromUnits(brlUnits, BRL_DECIMALS),
+    iofAmount: fromUnits(iofUnits, BRL_DECIMALS),
+    incomeTaxAmount: fromUnits(incomeTaxUnits, BRL_DECIMALS),
+    serviceAmount: fromUnits(serviceUnits, BRL_DECIMALS),
+    netAmount: fromUnits(netUnits, BRL_DECIMALS),
+    cryptoAmount: fromUnits(cryptoUnits, unitDecimals),
+    cryptoRate: fromUnits(rateUnits, RATE_DECIMALS),
+    currency,
+    unitDecimals,
+    units: stringifyUnits(units),
   };
 }
 
 // Aplica taxa de rede à conversão
 export function applyNetworkFee(conversion, networkFee) {
   // Clonar o objeto de conversão
-  const result = { ...conversion };
-
-  // Converter networkFee para BRL (taxa de rede é expressa em cripto)
-  const networkFeeBRL = networkFee * result.cryptoRate;
+  const result = { ...conversion, units: { ...conversion.units } };
+  const { unitDecimals } = result;
+  const rateUnits = BigInt(result.units.cryptoRate);
 
-  // Adicionar taxa de rede
-  result.networkFeeBRL = networkFeeBRL;
-  result.networkFee = networkFee;
+  // Taxa de rede é expressa em cripto; converter para BRL
+  const networkFeeUnits = toNetworkFeeUnits(networkFee, result.currency);
+  const networkFeeBRLUnits = mulDiv(
+    networkFeeUnits,
+    rateUnits,
+    10n ** BigInt(unitDecimals + RATE_DECIMALS - BRL_DECIMALS),
+    ROUNDING_POLICY.networkFeeBRL
+  );
 
   // Ajustar valor em cripto final
-  result.finalCryptoAmount = result.cryptoAmount - networkFee;
+  const finalUnits = BigInt(result.units.cryptoAmount) - networkFeeUnits;
+
+  Object.assign(
+    result.units,
+    stringifyUnits({
+      networkFee: networkFeeUnits,
+      networkFeeBRL: networkFeeBRLUnits,
+      finalCryptoAmount: finalUnits,
+    })
+  );
+
+  result.networkFee = fromUnits(networkFeeUnits, unitDecimals);
+  result.networkFeeBRL = fromUnits(networkFeeBRLUnits, BRL_DECIMALS);
+  result.finalCryptoAmount = fromUnits(finalUnits, unitDecimals);
 
   return result;
 }
 
+// Realiza a conversão reversa: calcula o valor bruto em BRL necessário para
+// entregar ao menos targetAmount da criptomoeda, já descontados IOF, IR,
+// taxa de serviço e taxa de rede
+// O resultado é sempre uma conversão direta do valor encontrado, para que o
+// resumo exibido seja idêntico ao de quem informou o valor em reais
+export function convertCurrencyReverse(
+  targetAmount,
+  cryptoRate,
+  fees,
+  currency,
+  networkFee
+) {
+  const { decimals, unitDecimals } = getUnitPrecision(currency);
+  const cryptoScale =
+    10n ** BigInt(unitDecimals + RATE_DECIMALS - BRL_DECIMALS);
+  const percentScale = 10n ** BigInt(RATE_DECIMALS);
+
+  // Só é possível entregar valores nas casas decimais do ativo
+  const targetUnits = quantize(
+    toUnits(targetAmount, unitDecimals, 'up'),
+    unitDecimals,
+    decimals,
+    'up'
+  );
+
+  const forward = (brlUnits) =>
+    applyNetworkFee(
+      convertCurrency(
+        formatUnits(brlUnits, BRL_DECIMALS),
+        cryptoRate,
+        fees,
+        currency
+      ),
+      networkFee
+    );
+  const delivers = (conversion) =>
+    BigInt(conversion.units.finalCryptoAmount) >= targetUnits;
+
+  // Parcela do valor bruto que sobra após IOF, IR e taxa de serviço
+  const keptRate =
+    percentScale -
+    toUnits(fees.iof, RATE_DECIMALS) -
+    toUnits(fees.incomeTax, RATE_DECIMALS) -
+    toUnits(fees.service, RATE_DECIMALS);
+  if (keptRate <= 0n) {
+    throw new Error('As taxas consomem todo o valor da conversão');
+  }
+
+  // Invertendo as fórmulas: o valor em cripto (antes da taxa de rede) precisa
+  // cobrir o pedido e a taxa de rede nas casas entregues, o que exige um
+  // valor líquido mínimo em centavos
+  const cryptoUnits = quantize(
+    targetUnits + toNetworkFeeUnits(networkFee, currency),
+    unitDecimals,
+    decimals,
+    'up'
+  );
+  const netUnits = mulDiv(
+    cryptoUnits,
+    toUnits(cryptoRate, RATE_DECIMALS, 'halfUp'),
+    cryptoScale,
+    'up'
+  );
+
+  // O líquido é o bruto × keptRate, menos os arredondamentos de IOF e IR
+  // (meio centavo cada) e da taxa de serviço (até um centavo): fica acima de
+  // bruto × keptRate − 1 e abaixo de bruto × keptRate + 2 centavos. Nenhum
+  // valor abaixo de lower entrega o pedido e upper sempre entrega; o menor
+  // valor que entrega está entre os dois
+  const lower =
+    netUnits > 2n ? mulDiv(netUnits - 2n, percentScale, keptRate, 'down') : 0n;
+  const upper = mulDiv(netUnits + 1n, percentScale, keptRate, 'up');
+
+  let brlUnits = lower;
+  let conversion = forward(brlUnits);
+  while (brlUnits < upper && !delivers(conversion)) {
+    brlUnits += 1n;
+    conversion = forward(brlUnits);
+  }
+
+  return {
+    ...conversion,
+    targetCryptoAmount: fromUnits(targetUnits, unitDecimals),
+    units: { ...conversion.units, targetCryptoAmount: targetUnits.toString() },
+  };
+}
+
+// Realiza a conversão de venda: da criptomoeda para BRL, pago via PIX
+// O cliente paga a taxa de rede do depósito na própria carteira, então só
+// IOF, IR e taxa de serviço são descontados do valor bruto
+export function convertCryptoToBRL(cryptoAmount, cryptoRate, fees, currency) {
+  const { decimals, unitDecimals } = getUnitPrecision(currency);
+  const rateUnits = toUnits(cryptoRate, RATE_DECIMALS, 'halfUp');
+
+  // Só é possível receber depósitos nas casas decimais do ativo
+  const cryptoUnits = quantize(
+    toUnits(cryptoAmount, unitDecimals, 'down'),
+    unitDecimals,
+    decimals,
+    'down'
+  );
+
+  const brlUnits = mulDiv(
+    cryptoUnits,
+    rateUnits,
+    10n ** BigInt(unitDecimals + RATE_DECIMALS - BRL_DECIMALS),
+    ROUNDING_POLICY.saleAmount
+  );
+
+  // Calcular deduções
+  const feeAmount = (fee, mode) =>
+    mulDiv(
+      brlUnits,
+      toUnits(fee, RATE_DECIMALS),
+      10n ** BigInt(RATE_DECIMALS),
+      mode
+    );
+
+  const iofUnits = feeAmount(fees.iof, ROUNDING_POLICY.iofAmount);
+  const incomeTaxUnits = feeAmount(
+    fees.incomeTax,
+    ROUNDING_POLICY.incomeTaxAmount
+  );
+  const serviceUnits = feeAmount(fees.service, ROUNDING_POLICY.serviceAmount);
+
+  // Valor líquido pago via PIX
+  const netUnits = brlUnits - iofUnits - incomeTaxUnits - serviceUnits;
+
+  return {
+    side: 'sell',
+    cryptoAmount: fromUnits(cryptoUnits, unitDecimals),
+    brlAmount: fromUnits(brlUnits, BRL_DECIMALS),
+    iofAmount: fromUnits(iofUnits, BRL_DECIMALS),
+    incomeTaxAmount: fromUnits(incomeTaxUnits, BRL_DECIMALS),
+    serviceAmount: fromUnits(serviceUnits, BRL_DECIMALS),
+    netAmount: fromUnits(netUnits, BRL_DECIMALS),
+    cryptoRate: fromUnits(rateUnits, RATE_DECIMALS),
+    unitDecimals,
+    units: stringifyUnits({
+      cryptoAmount: cryptoUnits,
+      brlAmount: brlUnits,
+      iofAmount: iofUnits,
+      incomeTaxAmount: incomeTaxUnits,
+      serviceAmount: serviceUnits,
+      netAmount: netUnits,
+      cryptoRate: rateUnits,
+    }),
+  };
+}
+
+// Casas decimais exibidas e da menor unidade de uma criptomoeda
+function getUnitPrecision(currency) {
+  const asset = getAsset(currency);
+  if (!asset) {
+    throw new Error(`Criptomoeda não suportada: ${currency}`);
+  }
+
+  return { decimals: asset.decimals, unitDecimals: asset.unitDecimals };
+}
+
+// Taxa de rede na menor unidade, arredondada para cima nas casas entregues:
+// descontada do valor em cripto, mantém o valor final nessas casas
+function toNetworkFeeUnits(networkFee, currency) {
+  const { decimals, unitDecimals } = getUnitPrecision(currency);
+  return quantize(
+    toUnits(networkFee, unitDecimals, ROUNDING_POLICY.networkFee),
+    unitDecimals,
+    decimals,
+    ROUNDING_POLICY.networkFee
+  );
+}
+
+// Unidades são guardadas como texto, pois BigInt não é serializável em JSON
+function stringifyUnits(units) {
+  return Object.fromEntries(
+    Object.entries(units).map(([key, value]) => [key, value.toString()])
+  );
+}
+
 // Formata valores monetários
 export function formatCurrency(value, currency = 'BRL') {
-  if (typeof value !== 'number') {
+  if (typeof value !== 'number' || !Number.isFinite(value)) {
     return 'N/A';
   }
 
-  if (currency === 'BRL') {
+  if (SUPPORTED_FIATS[currency]) {
     return new Intl.NumberFormat('pt-BR', {
       style: 'currency',
-      currency: 'BRL',
+      currency,
     }).format(value);
   } else {
-    // Para criptomoedas, usamos formato com mais casas decimais
+    // Para criptomoedas, usamos formato com mais casas decimais, arredondado
+    // para baixo: nunca exibir mais do que o valor entregue
     const precision = getCryptoPrecision(currency);
-    return `${value.toFixed(precision)} ${currency}`;
+    return `${formatUnits(
+      toUnits(value, precision, ROUNDING_POLICY.cryptoAmount),
+      precision
+    )} ${currency}`;
   }
 }
 
 // Determina a precisão adequada para cada criptomoeda
 function getCryptoPrecision(currency) {
-  switch (currency) {
-    case 'BTC':
-      return 8;
-    case 'ETH':
-      return 6;
-    case 'USDT':
-      return 2;
-    case 'BNB':
-      return 6;
-    case 'XRP':
-      return 2;
-    default:
-      return 4;
-  }
+  const asset = getAsset(currency);
+  return asset ? asset.decimals : 4;
 }
 
 // Formata data para exibição
@@ -0,0 +1,124 @@
+/**
+ * FastCripto - Módulo de Aritmética Decimal
+ * Valores monetários como inteiros (BigInt) na menor unidade da moeda:
+ * centavos para BRL e satoshis, wei etc. para criptomoedas
+ */
+
+// Modos de arredondamento suportados
+// down: em direção a zero | up: para longe de zero
+// halfUp: metade para longe de zero | halfEven: metade para o par (bancário)
+export const ROUNDING_MODES = ['down', 'up', 'halfUp', 'halfEven'];
+
+// Converte um número ou texto decimal para unidades inteiras com a escala
+// informada (ex.: toUnits('12.345', 2, 'halfUp') === 1235n)
+export function toUnits(value, decimals, mode = 'halfUp') {
+  const { digits, scale } = parseDecimal(value);
+  return rescale(digits, scale, decimals, mode);
+}
+
+// Converte unidades inteiras para número (uso em exibição e gráficos)
+export function fromUnits(units, decimals) {
+  return Number(formatUnits(units, decimals));
+}
+
+// Converte unidades inteiras para texto decimal exato
+export function formatUnits(units, decimals) {
+  const value = BigInt(units);
+  const negative = value < 0n;
+  const digits = (negative ? -value : value)
+    .toString()
+    .padStart(decimals + 1, '0');
+
+  const integer = digits.slice(0, digits.length - decimals);
+  const fraction = decimals ? `.${digits.slice(-decimals)}` : '';
+
+  return `${negative ? '-' : ''}${integer}${fraction}`;
+}
+
+// Calcula (a * b) / divisor com o arredondamento informado, sem perda
+export function mulDiv(a, b, divisor, mode) {
+  return divide(BigInt(a) * BigInt(b), BigInt(divisor), mode);
+}
+
+// Ajusta unidades de uma escala para outra
+// (ex.: de wei, 18 casas, para 6 casas arredondando para baixo)
+export function rescale(units, fromDecimals, toDecimals, mode) {
+  const value = BigInt(units);
+  if (toDecimals >= fromDecimals) {
+    return value * 10n ** BigInt(toDecimals - fromDecimals);
+  }
+
+  return divide(value, 10n ** BigInt(fromDecimals - toDecimals), mode);
+}
+
+// Arredonda unidades para um múltiplo de 10^(decimals - keepDecimals),
+// mantendo a escala (ex.: wei arredondado ao microether)
+export function quantize(units, decimals, keepDecimals, mode) {
+  if (keepDecimals >= decimals) return BigInt(units);
+
+  return rescale(
+    rescale(units, decimals, keepDecimals, mode),
+    keepDecimals,
+    decimals
+  );
+}
+
+// Divisão inteira com arredondamento explícito
+function divide(numerator, divisor, mode) {
+  if (!ROUNDING_MODES.includes(mode)) {
+    throw new Error(`Modo de arredondamento desconhecido: ${mode}`);
+  }
+  if (divisor === 0n) {
+    throw new Error('Divisão por zero');
+  }
+
+  // Trabalhar com valores positivos e reaplicar o sinal no final
+  const negative = numerator < 0n !== divisor < 0n;
+  const n = numerator < 0n ? -numerator : numerator;
+  const d = divisor < 0n ? -divisor : divisor;
+
+  let quotient = n / d;
+  const remainder = n % d;
+
+  if (remainder !== 0n) {
+    const twice = remainder * 2n;
+
+    switch (mode) {
+      case 'up':
+        quotient += 1n;
+        break;
+      case 'halfUp':
+        if (twice >= d) quotient += 1n;
+        break;
+      case 'halfEven':
+        if (twice > d || (twice === d && quotient % 2n === 1n)) {
+          quotient += 1n;
+        }
+        break;
+    }
+  }
+
+  return negative ? -quotient : quotient;
+}
+
+// Lê um número ou texto decimal como inteiro + escala, sem passar por float
+// Números são lidos pela sua representação textual mais curta (String)
+function parseDecimal(value) {
+  const text = String(value).trim();
+  const match = /^([+-]?)(\d*)(?:\.(\d*))?(?:e([+-]?\d+))?$/i.exec(text);
+
+  if (!match || (!match[2] && !match[3])) {
+    throw new Error(`Valor decimal inválido: ${value}`);
+  }
+
+  const [, sign, integer, fraction = '', exponent = '0'] = match;
+  let digits = BigInt(`${integer}${fraction}` || '0');
+  let scale = fraction.length - Number(exponent);
+
+  if (scale < 0) {
+    digits *= 10n ** BigInt(-scale);
+    scale = 0;
+  }
+
+  return { digits: sign === '-' ? -digits : digits, scale };
+}
@@ -0,0 +1,68 @@
+/**
+ * FastCripto - Módulo de Moedas Fiduciárias
+ * Câmbio entre moedas fiduciárias (base USD) usado para exibir equivalentes
+ * e para normalizar cotações de provedores que não cotam em BRL
+ */
+
+import {
+  createSeededRandom,
+  getMockSettings,
+  parseSeed,
+} from './mock-market.js';
+
+// Moedas fiduciárias suportadas para exibição
+export const SUPPORTED_FIATS = {
+  BRL: { name: 'Real', symbol: 'R$' },
+  USD: { name: 'Dólar americano', symbol: 'US$' },
+  EUR: { name: 'Euro', symbol: '€' },
+};
+
+// Variáveis do módulo
+let mockFiatRandom = null;
+
+// Obter o câmbio atual, expresso em unidades de cada moeda por 1 USD
+export async function fetchFiatRates() {
+  if (CONFIG.useMockRates) {
+    return getMockFiatRates();
+  }
+
+  const response = await fetch(`${CONFIG.apiBaseUrl}/rates/fiat`);
+  if (!response.ok) {
+    throw new Error(`Erro ao obter câmbio: ${response.status}`);
+  }
+
+  const data = await response.json();
+  if (data.base !== 'USD' || !data.rates || !data.rates.BRL) {
+    throw new Error('Resposta de câmbio em formato inválido');
+  }
+
+  return { USD: 1, ...data.rates };
+}
+
+// Câmbio simulado para ambiente de desenvolvimento
+function getMockFiatRates() {
+  const baseRates = { BRL: 5.04, EUR: 0.92 };
+
+  // Mesma semente do simulador de cotações, para que a sequência se repita
+  if (!mockFiatRandom) {
+    const { seed } = getMockSettings();
+    mockFiatRandom = createSeededRandom(parseSeed(seed ?? 'fastcripto:fiat'));
+  }
+
+  // Adicionar variação de até 0,2%
+  const result = { USD: 1 };
+  for (const [fiat, rate] of Object.entries(baseRates)) {
+    result[fiat] = rate * (1 + (mockFiatRandom() * 2 - 1) * 0.002);
+  }
+
+  return result;
+}
+
+// Converter um valor entre moedas fiduciárias usando o câmbio informado
+// Retorna null se o câmbio de alguma das moedas não estiver disponível
+export function convertFiat(amount, from, to, fiatRates) {
+  if (from === to) return amount;
+  if (!fiatRates || !fiatRates[from] || !fiatRates[to]) return null;
+
+  return (amount / fiatRates[from]) * fiatRates[to];
+}
@@ -0,0 +1,41 @@
+/**
+ * FastCripto - Utilitários de IndexedDB
+ * Funções auxiliares para usar a API do IndexedDB com Promises
+ */
+
+// Abrir (ou criar) um banco de dados, aplicando o upgrade de schema
+export function openDatabase(name, version, upgrade) {
+  return new Promise((resolve, reject) => {
+    if (!window.indexedDB) {
+      reject(new Error('IndexedDB não é suportado neste navegador'));
+      return;
+    }
+
+    const request = window.indexedDB.open(name, version);
+
+    request.onupgradeneeded = (event) => {
+      upgrade(request.result, event.oldVersion, request.transaction);
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+    request.onblocked = () =>
+      reject(new Error(`Banco ${name} bloqueado por outra aba aberta`));
+  });
+}
+
+// Converter uma requisição do IndexedDB em Promise
+export function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Aguardar a conclusão de uma transação do IndexedDB
+export function transactionDone(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
@@ -0,0 +1,25 @@
+/**
+ * FastCripto - Módulo de Identificadores
+ * Geração de IDs únicos para transações, cotações, ordens e alertas
+ */
+
+// Formato dos IDs gerados: prefixo, horário em milissegundos e sufixo com o
+// contador e uma parte aleatória (ex.: TX1744299000000-01A3F9C2)
+export const ID_PATTERN = /^[A-Z]{2}\d{13}-[0-9A-Z]{8}$/;
+
+// Variáveis do módulo
+let sequence = 0;
+
+// Gerar um ID com o prefixo informado (ex.: 'TX', 'QT')
+// O contador evita colisões no mesmo milissegundo nesta aba e a parte
+// aleatória, entre abas
+export function createId(prefix, now = Date.now()) {
+  sequence = (sequence + 1) % 36 ** 2;
+
+  const counter = sequence.toString(36).padStart(2, '0');
+  const random = Array.from(crypto.getRandomValues(new Uint8Array(3)))
+    .map((byte) => byte.toString(16).padStart(2, '0'))
+    .join('');
+
+  return `${prefix}${now}-${counter}${random}`.toUpperCase();
+}
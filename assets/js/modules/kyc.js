@@ -9,3 +9,29 @@ export function verifyIdentity(userData) {
 export function requestKYCApproval(userId) {
   return `KYC approval requested for user ${userId}`;
 }
+
+// Níveis de verificação do cliente, do menor para o maior
+export const KYC_LEVELS = {
+  none: 'Sem verificação',
+  basic: 'Básico',
+  intermediate: 'Intermediário',
+  advanced: 'Avançado',
+};
+
+// Nível de verificação do cliente atual
+export function getKYCLevel() {
+  const level = localStorage.getItem('fastcripto_kyc_level');
+  return KYC_LEVELS[level] ? level : 'none';
+}
+
+// Registrar um novo nível de verificação (ex.: após aprovação do KYC)
+export function setKYCLevel(level) {
+  if (!KYC_LEVELS[level]) {
+    throw new Error(`Nível de KYC desconhecido: ${level}`);
+  }
+
+  localStorage.setItem('fastcripto_kyc_level', level);
+  document.dispatchEvent(
+    new CustomEvent('kycLevelChanged', { detail: { level } })
+  );
+}
@@ -0,0 +1,309 @@
+/**
+ * FastCripto - Módulo de Ordens Limitadas
+ * Ordens de compra executadas quando a cotação atinge o valor definido pelo
+ * cliente, avaliadas a cada atualização de cotação
+ */
+
+import { getCurrentUserId } from './auth.js';
+import { getRateForCurrency, getRatesStatus } from './rates.js';
+import { createQuote } from './quotes.js';
+import { formatCurrency, validateConversionAmount } from './conversion.js';
+import { getMinConversionAmount, validateAddress } from './asset-registry.js';
+import { addTransaction } from './transactions.js';
+import { checkConversionLimits } from './limits.js';
+import { FEE_SPEEDS } from './network-fees.js';
+import { createId } from './ids.js';
+import { runExclusive } from './tab-locks.js';
+
+// Status das ordens limitadas
+export const LIMIT_ORDER_STATUSES = {
+  open: { label: 'Ordem limitada aberta', className: 'limit-open' },
+  filled: { label: 'Executada', className: 'completed' },
+  expired: { label: 'Expirada', className: 'cancelled' },
+  cancelled: { label: 'Cancelada', className: 'cancelled' },
+  failed: { label: 'Não executada', className: 'cancelled' },
+};
+
+// Prazos de validade oferecidos, em horas
+const LIMIT_ORDER_EXPIRY_OPTIONS = {
+  24: '24 horas',
+  168: '7 dias',
+  720: '30 dias',
+};
+
+// Inicializa as ordens e a avaliação a cada atualização de cotação
+export function initializeLimitOrders() {
+  document.addEventListener('ratesUpdated', (event) => {
+    evaluateLimitOrders(event.detail.rates);
+  });
+
+  expireLimitOrders();
+
+  if (CONFIG.debugMode) {
+    console.log('FastCripto: Módulo de ordens limitadas inicializado');
+  }
+}
+
+// Chave de armazenamento das ordens do usuário atual
+function getStorageKey() {
+  return `fastcripto_limit_orders_${getCurrentUserId()}`;
+}
+
+// Obter as ordens limitadas do usuário atual
+export function getLimitOrders() {
+  const stored = localStorage.getItem(getStorageKey());
+  return stored ? JSON.parse(stored) : [];
+}
+
+// Ordens que ainda aguardam a cotação
+export function getOpenLimitOrders() {
+  return getLimitOrders().filter((order) => order.status === 'open');
+}
+
+// Salvar as ordens limitadas do usuário atual
+function saveLimitOrders(orders) {
+  localStorage.setItem(getStorageKey(), JSON.stringify(orders));
+}
+
+// Criar uma ordem de compra de amountBRL quando a cotação de currency
+// for igual ou inferior a limitRate
+export function createLimitOrder({
+  amountBRL,
+  currency,
+  network,
+  walletAddress,
+  feeSpeed = 'normal',
+  limitRate,
+  expiresInHours,
+}) {
+  const amountCheck = validateConversionAmount(
+    amountBRL,
+    getMinConversionAmount(currency)
+  );
+  if (!amountCheck.valid) throw new Error(amountCheck.message);
+
+  // O valor fica reservado nos limites diário e mensal enquanto a ordem
+  // estiver em aberto, somado às reservas das demais ordens
+  const limitCheck = checkConversionLimits(amountBRL);
+  if (!limitCheck.valid) throw new Error(limitCheck.message);
+
+  const addressCheck = validateAddress(currency, network, walletAddress);
+  if (!addressCheck.valid) throw new Error(addressCheck.message);
+
+  if (!FEE_SPEEDS[feeSpeed]) {
+    throw new Error('Velocidade da taxa de rede inválida');
+  }
+  if (!LIMIT_ORDER_EXPIRY_OPTIONS[expiresInHours]) {
+    throw new Error('Prazo de validade inválido');
+  }
+  if (!limitRate || isNaN(limitRate) || limitRate <= 0) {
+    throw new Error('Informe a cotação limite');
+  }
+
+  // Uma ordem que seria executada de imediato deve ser feita pelo conversor
+  const currentRate = getRateForCurrency(currency);
+  if (currentRate && currentRate <= limitRate) {
+    throw new Error(
+      `A cotação atual de ${currency} (${formatCurrency(
+        currentRate,
+        'BRL'
+      )}) já está abaixo do limite. Faça a conversão imediata.`
+    );
+  }
+
+  const createdAt = new Date();
+  const order = {
+    id: createId('LO', createdAt.getTime()),
+    amountBRL,
+    currency,
+    network,
+    walletAddress,
+    feeSpeed,
+    limitRate,
+    status: 'open',
+    createdAt: createdAt.toISOString(),
+    expiresAt: new Date(
+      createdAt.getTime() + expiresInHours * 3600 * 1000
+    ).toISOString(),
+    closedAt: null,
+    transactionId: null,
+    message: null,
+  };
+
+  const orders = getLimitOrders();
+  orders.push(order);
+  saveLimitOrders(orders);
+
+  notifyLimitOrderUpdated(order);
+
+  return order;
+}
+
+// Cancelar uma ordem em aberto
+export function cancelLimitOrder(id) {
+  const orders = getLimitOrders();
+  const order = orders.find((candidate) => candidate.id === id);
+  if (!order || order.status !== 'open') {
+    throw new Error(`Ordem limitada não está em aberto: ${id}`);
+  }
+
+  closeOrder(order, 'cancelled');
+  saveLimitOrders(orders);
+
+  notifyLimitOrderUpdated(order);
+
+  return order;
+}
+
+// Encerrar as ordens em aberto com validade vencida
+export function expireLimitOrders(now = new Date()) {
+  const orders = getLimitOrders();
+  const expired = orders.filter(
+    (order) => order.status === 'open' && new Date(order.expiresAt) <= now
+  );
+  if (expired.length === 0) return [];
+
+  expired.forEach((order) => {
+    closeOrder(
+      order,
+      'expired',
+      `Ordem limitada ${order.id} expirou sem que ${
+        order.currency
+      } atingisse ${formatCurrency(order.limitRate, 'BRL')}`
+    );
+  });
+  saveLimitOrders(orders);
+
+  expired.forEach(notifyLimitOrderUpdated);
+
+  return expired;
+}
+
+// Avaliar as ordens em aberto contra as taxas recebidas
+// A ordem é executada com a taxa que a disparou, pelo mesmo cálculo da
+// conversão manual; taxas desatualizadas ou de referência não disparam ordens
+// Com o aplicativo aberto em várias abas, só uma avalia as ordens por vez
+export async function evaluateLimitOrders(rates, now = new Date()) {
+  const closed = await runExclusive(getStorageKey(), () =>
+    runLimitOrders(rates, now)
+  );
+  return closed || [];
+}
+
+// Avaliar as ordens em aberto, a partir das ordens salvas
+async function runLimitOrders(rates, now) {
+  expireLimitOrders(now);
+
+  const orders = getLimitOrders();
+  const closed = [];
+
+  for (const order of orders.filter((o) => o.status === 'open')) {
+    const rate = rates[order.currency];
+    if (typeof rate !== 'number' || rate > order.limitRate) continue;
+    if (getRatesStatus(order.currency).degraded) continue;
+
+    const executed = await executeOrder(order, createId('TX'));
+    if (!executed) continue;
+
+    // Gravar antes da próxima ordem, para que a reserva desta não seja
+    // contada junto com a transação que acabou de registrar
+    saveLimitOrders(orders);
+    closed.push(executed);
+  }
+
+  if (closed.length === 0) return [];
+
+  closed.forEach(notifyLimitOrderUpdated);
+
+  return closed;
+}
+
+// Registrar a transação de uma ordem disparada
+// Ordens recusadas (limite excedido, taxa de rede maior que o valor, falha ao
+// registrar a transação) são encerradas sem transação; retorna null se a
+// cotação voltou a subir antes da execução, mantendo a ordem em aberto
+async function executeOrder(order, transactionId) {
+  // A reserva da própria ordem é liberada para a execução
+  const limitCheck = checkConversionLimits(order.amountBRL, new Date(), {
+    excludeLimitOrderId: order.id,
+  });
+  if (!limitCheck.valid) {
+    closeOrder(order, 'failed', describeFailure(order, limitCheck.message));
+    return order;
+  }
+
+  const quote = createQuote({
+    amountBRL: order.amountBRL,
+    currency: order.currency,
+    network: order.network,
+    walletAddress: order.walletAddress,
+    feeSpeed: order.feeSpeed,
+  });
+  if (quote && quote.cryptoRate > order.limitRate) return null;
+  if (!quote || quote.finalCryptoAmount <= 0) {
+    closeOrder(
+      order,
+      'failed',
+      describeFailure(
+        order,
+        quote
+          ? 'a taxa de rede consome todo o valor convertido'
+          : 'não foi possível obter a taxa de câmbio'
+      )
+    );
+    return order;
+  }
+
+  // Uma falha aqui não pode interromper a avaliação das demais ordens
+  try {
+    await addTransaction(
+      {
+        id: transactionId,
+        status: 'pending_kyc',
+        createdAt: new Date(),
+        ...quote,
+        limitOrderId: order.id,
+      },
+      { actor: 'system' }
+    );
+  } catch (error) {
+    closeOrder(order, 'failed', describeFailure(order, error.message));
+    return order;
+  }
+
+  order.transactionId = transactionId;
+  closeOrder(
+    order,
+    'filled',
+    `Ordem limitada executada: ${formatCurrency(
+      quote.brlAmount,
+      'BRL'
+    )} → ${formatCurrency(
+      quote.finalCryptoAmount,
+      order.currency
+    )} a ${formatCurrency(quote.cryptoRate, 'BRL')} (${transactionId})`
+  );
+
+  return order;
+}
+
+// Mensagem de uma ordem disparada que não pôde ser executada
+function describeFailure(order, reason) {
+  return `Ordem limitada ${order.id} não executada: ${reason}`;
+}
+
+// Encerrar uma ordem com o status informado
+function closeOrder(order, status, message = null) {
+  order.status = status;
+  order.closedAt = new Date().toISOString();
+  order.message = message;
+}
+
+// Publicar a alteração de uma ordem para a interface e as notificações
+function notifyLimitOrderUpdated(order) {
+  document.dispatchEvent(
+    new CustomEvent('limitOrderUpdated', {
+      detail: { order, message: order.message },
+    })
+  );
+}
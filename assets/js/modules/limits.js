@@ -0,0 +1,155 @@
+/**
+ * FastCripto - Módulo de Limites de Conversão
+ * Limites por transação, diário e mensal conforme o nível de KYC do cliente,
+ * calculados sobre as transações já registradas e as ordens limitadas em
+ * aberto
+ */
+
+import { getTransactionHistory, INACTIVE_STATUSES } from './transactions.js';
+import { getKYCLevel, KYC_LEVELS } from './kyc.js';
+import { formatCurrency } from './conversion.js';
+import { getOpenLimitOrders } from './limit-orders.js';
+
+// Limites padrão por nível de KYC, em BRL
+// CONFIG.conversionLimits substitui os valores informados, por nível
+const DEFAULT_CONVERSION_LIMITS = {
+  none: { perTransaction: 1000, daily: 1000, monthly: 3000 },
+  basic: { perTransaction: 5000, daily: 10000, monthly: 30000 },
+  intermediate: { perTransaction: 30000, daily: 50000, monthly: 200000 },
+  advanced: { perTransaction: 200000, daily: 500000, monthly: 2000000 },
+};
+
+// Limites do nível de KYC informado
+export function getConversionLimits(level = getKYCLevel()) {
+  const overrides = (CONFIG.conversionLimits || {})[level] || {};
+  return { ...DEFAULT_CONVERSION_LIMITS[level], ...overrides };
+}
+
+// Valor em BRL já convertido no dia e no mês (calendário local), compras
+// e vendas, e o valor reservado pelas ordens limitadas em aberto
+// A ordem informada em excludeLimitOrderId não conta na reserva (usado na
+// execução da própria ordem)
+export function getLimitUsage(now = new Date(), { excludeLimitOrderId } = {}) {
+  const startOfDay = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  const startOfMonth = new Date(now.getFullYear(), now.getMonth(), 1);
+
+  const reserved = getOpenLimitOrders()
+    .filter((order) => order.id !== excludeLimitOrderId)
+    .reduce((sum, order) => sum + order.amountBRL, 0);
+
+  const usage = getTransactionHistory()
+    .filter((t) => !INACTIVE_STATUSES.includes(t.status))
+    .reduce(
+      (usage, t) => {
+        const createdAt = new Date(t.createdAt);
+        const amount = t.brlAmount || 0;
+
+        if (createdAt >= startOfMonth) usage.monthly += amount;
+        if (createdAt >= startOfDay) usage.daily += amount;
+        return usage;
+      },
+      { daily: 0, monthly: 0 }
+    );
+
+  return { ...usage, reserved: roundCents(reserved) };
+}
+
+// Quanto o cliente ainda pode converter
+// available é o maior valor aceito em uma nova transação; o valor reservado
+// por ordens limitadas em aberto já está descontado dos limites diário e
+// mensal
+export function getRemainingAllowance(now = new Date(), options = {}) {
+  const level = getKYCLevel();
+  const limits = getConversionLimits(level);
+  const used = getLimitUsage(now, options);
+
+  // Arredondar ao centavo para não acumular erro de ponto flutuante
+  const remaining = {
+    perTransaction: limits.perTransaction,
+    daily: roundCents(Math.max(0, limits.daily - used.daily - used.reserved)),
+    monthly: roundCents(
+      Math.max(0, limits.monthly - used.monthly - used.reserved)
+    ),
+  };
+
+  return {
+    level,
+    levelLabel: KYC_LEVELS[level],
+    limits,
+    used,
+    remaining,
+    available: Math.min(
+      remaining.perTransaction,
+      remaining.daily,
+      remaining.monthly
+    ),
+  };
+}
+
+// Verifica se um valor bruto em BRL cabe nos limites do cliente
+// options.excludeLimitOrderId: ordem limitada cuja reserva não deve contar
+export function checkConversionLimits(
+  amountBRL,
+  now = new Date(),
+  options = {}
+) {
+  const allowance = getRemainingAllowance(now, options);
+  const { limits, remaining, levelLabel, used } = allowance;
+  const format = (value) => formatCurrency(value, 'BRL');
+  const reservedNote =
+    used.reserved > 0
+      ? ` (${format(used.reserved)} reservados em ordens limitadas)`
+      : '';
+
+  if (amountBRL > limits.perTransaction) {
+    return {
+      valid: false,
+      allowance,
+      message: `Valor acima do limite por transação do nível ${levelLabel} (${format(
+        limits.perTransaction
+      )})`,
+    };
+  }
+
+  if (amountBRL > remaining.daily) {
+    return {
+      valid: false,
+      allowance,
+      message: `Limite diário excedido: restam ${format(
+        remaining.daily
+      )} de ${format(limits.daily)} hoje${reservedNote}`,
+    };
+  }
+
+  if (amountBRL > remaining.monthly) {
+    return {
+      valid: false,
+      allowance,
+      message: `Limite mensal excedido: restam ${format(
+        remaining.monthly
+      )} de ${format(limits.monthly)} neste mês${reservedNote}`,
+    };
+  }
+
+  return { valid: true, allowance };
+}
+
+// Texto do limite disponível, exibido junto ao campo de valor
+export function describeAllowance(allowance) {
+  const format = (value) => formatCurrency(value, 'BRL');
+
+  return (
+    `Disponível: ${format(allowance.remaining.daily)} hoje · ` +
+    `${format(allowance.remaining.monthly)} no mês · ` +
+    `até ${format(allowance.limits.perTransaction)} por transação ` +
+    `(nível ${allowance.levelLabel})` +
+    (allowance.used.reserved > 0
+      ? ` · ${format(allowance.used.reserved)} reservados em ordens limitadas`
+      : '')
+  );
+}
+
+// Arredonda um valor em BRL ao centavo
+function roundCents(value) {
+  return Math.round(value * 100) / 100;
+}
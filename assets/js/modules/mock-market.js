@@ -0,0 +1,165 @@
+/**
+ * FastCripto - Simulador de Mercado
+ * Gera cotações reproduzíveis a partir de uma semente, com cenários
+ * roteirizados para testar situações extremas do mercado
+ */
+
+import { getSupportedAssets } from './asset-registry.js';
+
+// Taxas iniciais do simulador, em BRL
+const BASE_RATES = {
+  BTC: 254871.35,
+  ETH: 14875.22,
+  USDT: 5.04,
+  BNB: 1543.67,
+  XRP: 2.67,
+};
+
+// Oscilação máxima por atualização no passeio aleatório (0.005 = 0,5%)
+const DEFAULT_VOLATILITY = 0.005;
+
+// Atualização a partir da qual o evento do cenário começa
+const DEFAULT_SCENARIO_START = 3;
+
+// Cenários disponíveis
+export const MOCK_SCENARIOS = {
+  normal: 'Mercado normal',
+  flashCrash: 'Queda brusca de 30% com recuperação gradual',
+  outage: 'Fonte de cotação fora do ar',
+  spike: 'Alta súbita de 20%',
+  garbage: 'Fonte retornando dados inválidos',
+};
+
+// Roteiro dos cenários, em número de atualizações
+const FLASH_CRASH_DEPTH = 0.3;
+const FLASH_CRASH_HOLD = 2;
+const FLASH_CRASH_RECOVERY = 4;
+const SPIKE_SIZE = 0.2;
+const SPIKE_DURATION = 3;
+const OUTAGE_DURATION = 5;
+
+// Respostas inválidas enviadas em sequência no cenário 'garbage',
+// uma por atualização
+const GARBAGE_RESPONSES = [
+  () => null,
+  (rates) => mapRates(rates, (rate) => String(rate)),
+  (rates) => mapRates(rates, (rate) => -rate),
+  (rates) => mapRates(rates, () => NaN),
+  () => ({}),
+  (rates) => mapRates(rates, (rate) => rate * 1000),
+];
+
+// Gerador pseudoaleatório determinístico (mulberry32)
+export function createSeededRandom(seed) {
+  let state = seed >>> 0;
+
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Converte uma semente qualquer (número ou texto) em inteiro de 32 bits
+export function parseSeed(value) {
+  const number = Number(value);
+  if (value !== '' && Number.isInteger(number)) return number >>> 0;
+
+  // Hash FNV-1a para sementes em texto
+  let hash = 0x811c9dc5;
+  for (const char of String(value)) {
+    hash ^= char.charCodeAt(0);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+// Semente e cenário ativos
+// Os parâmetros da URL (?mockScenario=flashCrash&mockSeed=42) têm prioridade
+// sobre o CONFIG, para que o QA possa reproduzir um cenário por link
+export function getMockSettings() {
+  const params = new URLSearchParams(globalThis.location?.search || '');
+
+  return {
+    scenario: params.get('mockScenario') || CONFIG.mockScenario || null,
+    seed: params.get('mockSeed') ?? CONFIG.mockSeed ?? null,
+  };
+}
+
+// Cria um mercado simulado
+// Cada chamada a next() corresponde a uma atualização de cotação; como o
+// roteiro depende apenas da semente e do número da atualização, a mesma
+// configuração sempre produz a mesma sequência de taxas
+export function createMockMarket({
+  seed = 1,
+  scenario = 'normal',
+  startTick = DEFAULT_SCENARIO_START,
+  volatility = DEFAULT_VOLATILITY,
+} = {}) {
+  if (!MOCK_SCENARIOS[scenario]) {
+    throw new Error(`Cenário de simulação desconhecido: ${scenario}`);
+  }
+
+  const random = createSeededRandom(parseSeed(seed));
+  const walk = {};
+  let tick = 0;
+
+  return {
+    seed,
+    scenario,
+    get tick() {
+      return tick;
+    },
+    next() {
+      tick += 1;
+
+      // O passeio aleatório avança sempre, para que o cenário seja aplicado
+      // sobre a mesma trajetória de preços do mercado normal
+      for (const { symbol, defaultRate } of getSupportedAssets()) {
+        const previous = walk[symbol] ?? BASE_RATES[symbol] ?? defaultRate;
+        walk[symbol] = previous * (1 + (random() * 2 - 1) * volatility);
+      }
+
+      return applyScenario(scenario, tick - startTick, walk);
+    },
+  };
+}
+
+// Aplica o roteiro do cenário às taxas do passeio aleatório
+// elapsed é o número de atualizações desde o início do evento
+function applyScenario(scenario, elapsed, rates) {
+  if (elapsed < 0) return { ...rates };
+
+  switch (scenario) {
+    case 'flashCrash': {
+      const recovered = Math.max(0, elapsed - FLASH_CRASH_HOLD + 1);
+      const depth =
+        FLASH_CRASH_DEPTH * Math.max(0, 1 - recovered / FLASH_CRASH_RECOVERY);
+      return mapRates(rates, (rate) => rate * (1 - depth));
+    }
+    case 'spike':
+      return elapsed < SPIKE_DURATION
+        ? mapRates(rates, (rate) => rate * (1 + SPIKE_SIZE))
+        : { ...rates };
+    case 'outage':
+      if (elapsed < OUTAGE_DURATION) {
+        throw new Error('Simulação: fonte de cotação fora do ar');
+      }
+      return { ...rates };
+    case 'garbage':
+      return elapsed < GARBAGE_RESPONSES.length
+        ? GARBAGE_RESPONSES[elapsed](rates)
+        : { ...rates };
+    default:
+      return { ...rates };
+  }
+}
+
+// Aplica uma função a cada taxa
+function mapRates(rates, transform) {
+  return Object.fromEntries(
+    Object.entries(rates).map(([symbol, rate]) => [symbol, transform(rate)])
+  );
+}
@@ -0,0 +1,279 @@
+/**
+ * FastCripto - Módulo de Taxas de Rede
+ * Estima a taxa de rede de cada blockchain a partir do congestionamento
+ * atual (sat/vB no Bitcoin, preço do gas nas redes EVM), com opções de
+ * velocidade e tempo estimado de confirmação
+ */
+
+import { getRateForCurrency } from './rates.js';
+import { getAsset, getNetwork } from './asset-registry.js';
+import { toUnits, formatUnits, mulDiv, rescale, quantize } from './decimal.js';
+import {
+  createSeededRandom,
+  parseSeed,
+  getMockSettings,
+} from './mock-market.js';
+
+// Opções de velocidade oferecidas ao cliente
+export const FEE_SPEEDS = {
+  slow: 'Lenta',
+  normal: 'Normal',
+  fast: 'Rápida',
+};
+
+// Casas decimais das taxas em BRL usadas na conversão entre moedas
+const RATE_DECIMALS = 8;
+
+// Intervalo padrão de atualização das estimativas, em segundos
+const DEFAULT_REFRESH_INTERVAL = 60;
+
+// Estimativas de referência por rede, usadas até a primeira resposta da
+// fonte e quando ela falha (feeRate na unidade da rede; etaSeconds: tempo
+// estimado até a confirmação)
+const DEFAULT_FEE_MARKET = {
+  BTC: {
+    slow: { feeRate: 4, etaSeconds: 3600 },
+    normal: { feeRate: 12, etaSeconds: 1800 },
+    fast: { feeRate: 25, etaSeconds: 600 },
+  },
+  ETH: {
+    slow: { feeRate: 8, etaSeconds: 300 },
+    normal: { feeRate: 15, etaSeconds: 120 },
+    fast: { feeRate: 30, etaSeconds: 30 },
+  },
+  BSC: {
+    slow: { feeRate: 1, etaSeconds: 60 },
+    normal: { feeRate: 3, etaSeconds: 15 },
+    fast: { feeRate: 5, etaSeconds: 6 },
+  },
+  XRPL: {
+    slow: { feeRate: 12, etaSeconds: 10 },
+    normal: { feeRate: 15, etaSeconds: 5 },
+    fast: { feeRate: 20, etaSeconds: 4 },
+  },
+};
+
+// Tipos de fonte de estimativas disponíveis
+// Novas fontes podem ser registradas com registerNetworkFeeSource
+const FEE_SOURCE_TYPES = {
+  api: fetchApiFeeMarket,
+  mock: getMockFeeMarket,
+};
+
+// Variáveis do módulo
+let feeMarket = DEFAULT_FEE_MARKET;
+let feeMarketProvenance = 'default';
+let feeMarketUpdatedAt = null;
+let refreshInterval = null;
+let mockRandom = null;
+let mockCongestion = 1;
+
+// Inicializa as estimativas e a atualização periódica
+export function initializeNetworkFees() {
+  refreshNetworkFees();
+
+  const interval = CONFIG.networkFeeRefreshSeconds ?? DEFAULT_REFRESH_INTERVAL;
+  if (refreshInterval) clearInterval(refreshInterval);
+  refreshInterval = setInterval(refreshNetworkFees, interval * 1000);
+}
+
+// Registrar um novo tipo de fonte de estimativas
+// fetcher(source) deve retornar (ou resolver) um mapa rede → velocidades
+export function registerNetworkFeeSource(type, fetcher) {
+  FEE_SOURCE_TYPES[type] = fetcher;
+}
+
+// Fonte de estimativas configurada
+// CONFIG.networkFeeSource tem prioridade; sem ela, o simulador acompanha
+// CONFIG.useMockRates e, fora dele, vale a API da FastCripto
+function getFeeSource() {
+  if (CONFIG.networkFeeSource) return CONFIG.networkFeeSource;
+  if (CONFIG.useMockRates) return { type: 'mock' };
+
+  return { type: 'api', url: `${CONFIG.apiBaseUrl}/network-fees` };
+}
+
+// Buscar novas estimativas na fonte configurada
+export async function refreshNetworkFees() {
+  const source = getFeeSource();
+  const fetcher = FEE_SOURCE_TYPES[source.type];
+
+  try {
+    if (!fetcher) {
+      throw new Error(`Fonte de taxas de rede desconhecida: ${source.type}`);
+    }
+
+    const market = await fetcher(source);
+
+    // Redes com estimativa inválida mantêm a estimativa anterior
+    const accepted = Object.fromEntries(
+      Object.entries(market || {}).filter(
+        ([networkId, speeds]) => getNetwork(networkId) && isValidSpeeds(speeds)
+      )
+    );
+    if (Object.keys(accepted).length === 0) {
+      throw new Error('Resposta de taxas de rede em formato inválido');
+    }
+
+    feeMarket = { ...feeMarket, ...accepted };
+    feeMarketProvenance = source.type === 'mock' ? 'mock' : 'live';
+    feeMarketUpdatedAt = new Date();
+
+    document.dispatchEvent(
+      new CustomEvent('networkFeesUpdated', {
+        detail: { market: feeMarket, updatedAt: feeMarketUpdatedAt },
+      })
+    );
+  } catch (error) {
+    console.warn(
+      'FastCripto: Usando as últimas estimativas de taxa de rede:',
+      error
+    );
+  }
+
+  return feeMarket;
+}
+
+// Estima a taxa de rede de um envio, na moeda enviada
+// rate é a taxa em BRL da moeda enviada (a da cotação, ou a atual se não
+// informada); a taxa da moeda nativa é consultada quando o envio é de um token
+// Retorna null se a rede não for compatível ou faltar alguma taxa
+export function estimateNetworkFee({
+  currency,
+  network,
+  speed = 'normal',
+  rate,
+}) {
+  const asset = getAsset(currency);
+  const networkId = network || (asset && asset.networks[0]);
+  const networkInfo = getNetwork(networkId);
+
+  if (!asset || !networkInfo || !asset.networks.includes(networkId)) {
+    return null;
+  }
+
+  const estimate = (feeMarket[networkId] || DEFAULT_FEE_MARKET[networkId])[
+    speed
+  ];
+  if (!estimate) {
+    throw new Error(`Velocidade de taxa de rede desconhecida: ${speed}`);
+  }
+
+  const { fee, nativeAsset } = networkInfo;
+  const isToken = nativeAsset !== currency;
+  const native = getAsset(nativeAsset);
+
+  // Custo na menor unidade da moeda nativa (satoshi, wei, drop)
+  const size = isToken ? fee.tokenSize ?? fee.size : fee.size;
+  const nativeUnits =
+    toUnits(estimate.feeRate, fee.unitScale, 'up') * BigInt(size);
+
+  // Tokens: custo convertido para o token pelas taxas em BRL, arredondado
+  // para cima para que a taxa cobrada cubra o custo da rede
+  let units;
+  if (isToken) {
+    const nativeRate = getRateForCurrency(nativeAsset);
+    const assetRate = rate ?? getRateForCurrency(currency);
+    if (!nativeRate || !assetRate) return null;
+
+    units = mulDiv(
+      nativeUnits * toUnits(nativeRate, RATE_DECIMALS),
+      10n ** BigInt(asset.unitDecimals),
+      toUnits(assetRate, RATE_DECIMALS) * 10n ** BigInt(native.unitDecimals),
+      'up'
+    );
+  } else {
+    units = rescale(nativeUnits, native.unitDecimals, asset.unitDecimals, 'up');
+  }
+  // A taxa é cobrada nas casas entregues do ativo, como o valor em cripto
+  units = quantize(units, asset.unitDecimals, asset.decimals, 'up');
+
+  return {
+    speed,
+    label: FEE_SPEEDS[speed],
+    network: networkId,
+    // Valor exato em texto, descontado da quantidade enviada
+    amount: formatUnits(units, asset.unitDecimals),
+    nativeAsset,
+    nativeAmount: Number(formatUnits(nativeUnits, native.unitDecimals)),
+    feeRate: estimate.feeRate,
+    feeRateUnit: fee.unit,
+    etaSeconds: estimate.etaSeconds,
+    provenance: feeMarketProvenance,
+    updatedAt: feeMarketUpdatedAt,
+  };
+}
+
+// Estimativas das três velocidades para uma moeda e rede
+export function getNetworkFeeOptions({ currency, network, rate }) {
+  return Object.keys(FEE_SPEEDS)
+    .map((speed) => estimateNetworkFee({ currency, network, speed, rate }))
+    .filter(Boolean);
+}
+
+// Tempo estimado de confirmação para exibição (ex.: "~30 min")
+export function describeEta(etaSeconds) {
+  if (etaSeconds == null) return 'N/A';
+  if (etaSeconds < 60) return `~${Math.round(etaSeconds)} s`;
+  if (etaSeconds < 3600) return `~${Math.round(etaSeconds / 60)} min`;
+
+  return `~${Math.round((etaSeconds / 3600) * 10) / 10} h`.replace('.', ',');
+}
+
+// Verifica se as estimativas de uma rede têm as três velocidades válidas
+function isValidSpeeds(speeds) {
+  return Object.keys(FEE_SPEEDS).every((speed) => {
+    const estimate = speeds && speeds[speed];
+    return (
+      estimate &&
+      typeof estimate.feeRate === 'number' &&
+      isFinite(estimate.feeRate) &&
+      estimate.feeRate > 0 &&
+      typeof estimate.etaSeconds === 'number' &&
+      estimate.etaSeconds >= 0
+    );
+  });
+}
+
+// Estimativas publicadas pelo backend
+async function fetchApiFeeMarket(source) {
+  const response = await fetch(source.url);
+  if (!response.ok) {
+    throw new Error(`Erro ao obter taxas de rede: ${response.status}`);
+  }
+
+  return response.json();
+}
+
+// Estimativas simuladas para ambiente de desenvolvimento
+// O congestionamento segue um passeio aleatório reproduzível pela mesma
+// semente do simulador de cotações
+function getMockFeeMarket(source) {
+  if (!mockRandom) {
+    const { seed } = getMockSettings();
+    mockRandom = createSeededRandom(
+      parseSeed(seed ?? source.seed ?? 'fastcripto:network-fees')
+    );
+  }
+
+  // Congestionamento entre 0,5x e 3x as estimativas de referência
+  mockCongestion = Math.min(
+    3,
+    Math.max(0.5, mockCongestion * (1 + (mockRandom() * 2 - 1) * 0.2))
+  );
+
+  return Object.fromEntries(
+    Object.entries(DEFAULT_FEE_MARKET).map(([networkId, speeds]) => [
+      networkId,
+      Object.fromEntries(
+        Object.entries(speeds).map(([speed, estimate]) => [
+          speed,
+          {
+            feeRate: Math.round(estimate.feeRate * mockCongestion * 10) / 10,
+            etaSeconds: estimate.etaSeconds,
+          },
+        ])
+      ),
+    ])
+  );
+}
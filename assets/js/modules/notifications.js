@@ -3,11 +3,13 @@
  * Gerencia todas as notificações por email e dentro da plataforma
  */
 
+import { getTransactionStatus } from './transactions.js';
+
 // Variáveis do módulo
 let notificationSettings = {};
 
 // Inicialização do módulo
-function initializeNotificationsModule() {
+export function initializeNotificationsModule() {
   loadNotificationSettings();
   setupNotificationListeners();
 
@@ -24,6 +26,7 @@ function loadNotificationSettings() {
       transactionConfirmation: true,
       kycStatusUpdates: true,
       securityAlerts: true,
+      rateAlerts: true,
       marketingUpdates: false,
     },
     inApp: {
@@ -72,6 +75,44 @@ async function sendTransactionNotification(transaction, type) {
   }
 }
 
+// Envia um alerta de preço por email
+async function sendRateAlertNotification(alert, rate) {
+  if (!notificationSettings.email.rateAlerts) return;
+
+  try {
+    if (CONFIG.mockApiResponses) {
+      console.log(
+        `FastCripto: Simulando envio de email - alerta ${alert.id} (${alert.symbol})`
+      );
+      return true;
+    }
+
+    // Em produção, isso faria uma chamada para o backend
+    const response = await fetch(`${CONFIG.apiBaseUrl}/notifications/email`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({
+        type: 'rateAlert',
+        subType: alert.type,
+        alertId: alert.id,
+        userEmail: 'usuario@teste.com', // Em produção, isso viria do usuário logado
+        data: {
+          symbol: alert.symbol,
+          target: alert.value,
+          rate,
+        },
+      }),
+    });
+
+    return response.ok;
+  } catch (error) {
+    console.error('FastCripto: Erro ao enviar alerta de preço:', error);
+    return false;
+  }
+}
+
 // Exibe uma notificação no aplicativo
 function showInAppNotification(message, type = 'info', duration = 5000) {
   const notificationsContainer = document.getElementById(
@@ -133,16 +174,59 @@ function showInAppNotification(message, type = 'info', duration = 5000) {
 function setupNotificationListeners() {
   // Exemplo: ouvir por mudanças no status de transações
   document.addEventListener('transactionStatusChanged', (event) => {
-    const { transaction, oldStatus, newStatus } = event.detail;
+    const { transaction } = event.detail;
 
     // Enviar email
     sendTransactionNotification(transaction, 'statusUpdate');
 
     // Mostrar notificação no app
+    if (notificationSettings.inApp.transactionUpdates) {
+      const status = getTransactionStatus(transaction);
+      showInAppNotification(
+        `Status da transação ${transaction.id} atualizado: ${status.label}`,
+        status.className === 'completed' ? 'success' : 'info'
+      );
+    }
+  });
+
+  // Alertas de preço definidos pelo usuário
+  document.addEventListener('rateAlertTriggered', (event) => {
+    const { alert, rate, message } = event.detail;
+
+    sendRateAlertNotification(alert, rate);
+
+    if (notificationSettings.inApp.rateAlerts) {
+      showInAppNotification(message, 'warning', 10000);
+    }
+  });
+
+  // Ordens limitadas executadas, recusadas ou expiradas
+  const limitOrderTypes = {
+    filled: 'success',
+    failed: 'error',
+    expired: 'warning',
+  };
+  document.addEventListener('limitOrderUpdated', (event) => {
+    const { order, message } = event.detail;
+
+    if (
+      message &&
+      limitOrderTypes[order.status] &&
+      notificationSettings.inApp.transactionUpdates
+    ) {
+      showInAppNotification(message, limitOrderTypes[order.status], 10000);
+    }
+  });
+
+  // Execuções de compras recorrentes
+  document.addEventListener('recurringOrderExecuted', (event) => {
+    const { execution, message } = event.detail;
+
     if (notificationSettings.inApp.transactionUpdates) {
       showInAppNotification(
-        `Status da transação ${transaction.id} atualizado: ${newStatus}`,
-        newStatus === 'Concluída' ? 'success' : 'info'
+        message,
+        execution.status === 'executed' ? 'success' : 'error',
+        10000
       );
     }
   });
@@ -151,3 +235,4 @@ function setupNotificationListeners() {
 // Exportar funções para uso global
 window.showInAppNotification = showInAppNotification;
 window.sendTransactionNotification = sendTransactionNotification;
+window.sendRateAlertNotification = sendRateAlertNotification;
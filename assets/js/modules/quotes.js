@@ -0,0 +1,444 @@
+/**
+ * FastCripto - Módulo de Cotações Firmes
+ * Trava a taxa de uma simulação por tempo limitado, até a confirmação
+ */
+
+import { getRateForCurrency, getRatesStatus, getFiatRates } from './rates.js';
+import {
+  convertCurrency,
+  convertCurrencyReverse,
+  convertCryptoToBRL,
+  applyNetworkFee,
+} from './conversion.js';
+import {
+  getServiceFeeBrackets,
+  getTrailingVolume,
+  isInBracket,
+  resolveServiceFee,
+} from './service-fees.js';
+import { resolveTaxes, getTaxBreakpoints } from './tax-rules.js';
+import { getCustomerType } from './auth.js';
+import { estimateNetworkFee } from './network-fees.js';
+import { getAsset } from './asset-registry.js';
+import { createId } from './ids.js';
+
+// Validade padrão de uma cotação, em segundos
+const DEFAULT_QUOTE_TTL = 30;
+
+// Variáveis do módulo
+// Contagens regressivas em andamento, por elemento (compra e venda podem ter
+// cotações abertas ao mesmo tempo)
+const countdowns = new Map();
+
+// Taxa de serviço e alíquotas de uma operação com o valor bruto informado
+// date define as regras tributárias aplicadas (a data da transação)
+function resolveFees({
+  amountBRL,
+  currency,
+  side,
+  date,
+  customerType,
+  volume,
+  serviceFee = resolveServiceFee({ amountBRL, currency, side, volume }),
+}) {
+  const taxes = resolveTaxes({
+    amountBRL,
+    currency,
+    operation: side,
+    customerType,
+    date,
+  });
+
+  return {
+    fees: {
+      iof: taxes.iof.rate,
+      incomeTax: taxes.incomeTax.rate,
+      service: serviceFee.rate,
+    },
+    serviceFee,
+    taxes,
+  };
+}
+
+// Calcula a conversão completa com uma taxa já definida
+// Sem networkFeeEstimate, vale a taxa de rede normal da rede padrão da moeda
+export function buildConversion(
+  amountBRL,
+  currency,
+  rate,
+  {
+    date = new Date(),
+    serviceFee,
+    networkFeeEstimate = estimateNetworkFee({ currency, rate }),
+  } = {}
+) {
+  if (!networkFeeEstimate) {
+    throw new Error(`Taxa de rede indisponível para ${currency}`);
+  }
+
+  const resolved = resolveFees({
+    amountBRL,
+    currency,
+    side: 'buy',
+    date,
+    serviceFee,
+  });
+  const conversion = convertCurrency(amountBRL, rate, resolved.fees, currency);
+
+  return {
+    ...applyNetworkFee(conversion, networkFeeEstimate.amount),
+    serviceFee: resolved.serviceFee,
+    taxes: resolved.taxes,
+    networkFeeEstimate,
+  };
+}
+
+// Calcula a conversão a partir do valor em cripto a receber
+// Faixas de taxa de serviço e de alíquota dependem do valor bruto, que ainda
+// não se conhece: os valores são divididos em trechos onde todas as taxas são
+// constantes, a conversão é resolvida em cada trecho e vale o menor valor
+// bruto que de fato pertence ao trecho usado no cálculo
+export function buildReverseConversion(
+  targetAmount,
+  currency,
+  rate,
+  networkFeeEstimate = estimateNetworkFee({ currency, rate })
+) {
+  if (!networkFeeEstimate) {
+    throw new Error(`Taxa de rede indisponível para ${currency}`);
+  }
+
+  const networkFee = networkFeeEstimate.amount;
+  const date = new Date();
+  const volume = getTrailingVolume();
+
+  const breakpoints = [
+    ...new Set([
+      ...getServiceFeeBrackets(currency)
+        .map((bracket) => bracket.max)
+        .filter((max) => max !== null),
+      ...getTaxBreakpoints({ currency, operation: 'buy', date }),
+    ]),
+  ].sort((a, b) => a - b);
+  const segments = [0, ...breakpoints].map((min, index) => ({
+    min,
+    max: breakpoints[index] ?? null,
+  }));
+
+  const candidates = segments.map((segment) => {
+    const { fees, serviceFee, taxes } = resolveFees({
+      amountBRL: segment.max ?? segment.min + 0.01,
+      currency,
+      side: 'buy',
+      date,
+      volume,
+    });
+    let conversion = convertCurrencyReverse(
+      targetAmount,
+      rate,
+      fees,
+      currency,
+      networkFee
+    );
+
+    // Valor abaixo do trecho: o menor valor do trecho já entrega o pedido
+    if (conversion.brlAmount <= segment.min) {
+      const atSegmentMin = applyNetworkFee(
+        convertCurrency(segment.min + 0.01, rate, fees, currency),
+        networkFee
+      );
+      conversion = {
+        ...atSegmentMin,
+        targetCryptoAmount: conversion.targetCryptoAmount,
+        units: {
+          ...atSegmentMin.units,
+          targetCryptoAmount: conversion.units.targetCryptoAmount,
+        },
+      };
+    }
+
+    return { segment, conversion: { ...conversion, serviceFee, taxes } };
+  });
+
+  return candidates
+    .filter(({ segment, conversion }) =>
+      isInBracket(conversion.brlAmount, segment)
+    )
+    .map(({ conversion }) => ({ ...conversion, networkFeeEstimate }))
+    .reduce((best, conversion) =>
+      conversion.brlAmount < best.brlAmount ? conversion : best
+    );
+}
+
+// Recalcula uma transação com a taxa e a taxa de serviço travadas na cotação
+// e as regras tributárias vigentes na data em que ela foi criada
+export function recalculateConversion(transaction) {
+  const date = new Date(transaction.createdAt);
+  const { currency, cryptoRate } = transaction;
+
+  // Transações anteriores às tabelas de taxa de serviço usavam a taxa única
+  const serviceFee = transaction.serviceFee || {
+    rate: CONFIG.fees.service,
+  };
+
+  const { fees, taxes } = resolveFees({
+    amountBRL: transaction.brlAmount,
+    currency,
+    side: transaction.side === 'sell' ? 'sell' : 'buy',
+    date,
+    customerType: transaction.customerType,
+    serviceFee,
+  });
+
+  if (transaction.side === 'sell') {
+    return {
+      ...convertCryptoToBRL(
+        transaction.cryptoAmount,
+        cryptoRate,
+        fees,
+        currency
+      ),
+      serviceFee,
+      taxes,
+    };
+  }
+
+  return {
+    ...applyNetworkFee(
+      convertCurrency(transaction.brlAmount, cryptoRate, fees, currency),
+      transaction.networkFee
+    ),
+    serviceFee,
+    taxes,
+  };
+}
+
+// Cria uma cotação firme com a taxa atual
+// Informe amountBRL (valor a pagar) ou targetCryptoAmount (valor a receber)
+// feeSpeed é a velocidade escolhida para a taxa de rede (slow, normal, fast)
+// Retorna null se não houver taxa disponível para a moeda ou para a rede
+export function createQuote({
+  amountBRL,
+  targetCryptoAmount,
+  currency,
+  network,
+  walletAddress,
+  feeSpeed = 'normal',
+}) {
+  const rate = getRateForCurrency(currency);
+  if (!rate) return null;
+
+  const networkFeeEstimate = estimateNetworkFee({
+    currency,
+    network,
+    speed: feeSpeed,
+    rate,
+  });
+  if (!networkFeeEstimate) return null;
+
+  const direction = targetCryptoAmount != null ? 'reverse' : 'forward';
+
+  return {
+    ...(direction === 'reverse'
+      ? buildReverseConversion(
+          targetCryptoAmount,
+          currency,
+          rate,
+          networkFeeEstimate
+        )
+      : buildConversion(amountBRL, currency, rate, { networkFeeEstimate })),
+    side: 'buy',
+    direction,
+    ...createQuoteMetadata(currency),
+    network,
+    walletAddress,
+  };
+}
+
+// Cria uma cotação firme de venda (cripto → BRL via PIX) com a taxa atual
+// Retorna null se não houver taxa disponível para a moeda
+export function createSellQuote({
+  cryptoAmount,
+  currency,
+  network,
+  pixKey,
+  pixKeyType,
+}) {
+  const rate = getRateForCurrency(currency);
+  if (!rate) return null;
+
+  // Taxas e alíquotas são definidas pelo valor bruto da venda
+  const noFees = { iof: 0, incomeTax: 0, service: 0 };
+  const grossAmount = convertCryptoToBRL(
+    cryptoAmount,
+    rate,
+    noFees,
+    currency
+  ).brlAmount;
+  const { fees, serviceFee, taxes } = resolveFees({
+    amountBRL: grossAmount,
+    currency,
+    side: 'sell',
+    date: new Date(),
+  });
+
+  return {
+    ...convertCryptoToBRL(cryptoAmount, rate, fees, currency),
+    side: 'sell',
+    serviceFee,
+    taxes,
+    ...createQuoteMetadata(currency),
+    network,
+    pixKey,
+    pixKeyType,
+  };
+}
+
+// Dados comuns a toda cotação: identificação, validade e procedência da taxa
+function createQuoteMetadata(currency) {
+  // Registrar a procedência da taxa para auditoria (uma taxa desatualizada
+  // só chega aqui se o usuário confirmou estar ciente)
+  const rateStatus = getRatesStatus(currency);
+
+  const quotedAt = new Date();
+  const ttl = CONFIG.quoteTTL ?? DEFAULT_QUOTE_TTL;
+
+  return {
+    quoteId: createId('QT', quotedAt.getTime()),
+    currency,
+    quotedAt,
+    expiresAt: new Date(quotedAt.getTime() + ttl * 1000),
+    // Tipo de cliente considerado nas regras tributárias da cotação
+    customerType: getCustomerType(),
+    rateProvenance: rateStatus.provenance,
+    rateUpdatedAt: rateStatus.updatedAt,
+    rateStale: rateStatus.stale,
+    // Câmbio travado junto com a cotação, para exibir equivalentes
+    fiatRates: getFiatRates(),
+  };
+}
+
+// Gera uma nova cotação com os mesmos parâmetros de uma cotação anterior
+export function requote(quote) {
+  if (quote.side === 'sell') {
+    return createSellQuote({
+      cryptoAmount: quote.cryptoAmount,
+      currency: quote.currency,
+      network: quote.network,
+      pixKey: quote.pixKey,
+      pixKeyType: quote.pixKeyType,
+    });
+  }
+
+  // Na conversão reversa o valor a receber é mantido e o valor em reais
+  // é recalculado com a nova taxa
+  return createQuote({
+    amountBRL: quote.direction === 'reverse' ? undefined : quote.brlAmount,
+    targetCryptoAmount:
+      quote.direction === 'reverse' ? quote.targetCryptoAmount : undefined,
+    currency: quote.currency,
+    network: quote.network,
+    walletAddress: quote.walletAddress,
+    feeSpeed: quote.networkFeeEstimate?.speed,
+  });
+}
+
+// Compara uma cotação de compra em todas as redes compatíveis com a moeda,
+// com a mesma taxa, o mesmo valor e a mesma velocidade da taxa de rede
+// Redes sem estimativa de taxa são omitidas; a mais barata para o cliente
+// (que entrega mais cripto ou, na conversão reversa, custa menos em reais)
+// vem marcada com cheapest
+export function compareNetworks(quote) {
+  const { currency, cryptoRate: rate, direction } = quote;
+  const speed = quote.networkFeeEstimate?.speed ?? 'normal';
+
+  const options = getAsset(currency)
+    .networks.map((network) => {
+      const networkFeeEstimate = estimateNetworkFee({
+        currency,
+        network,
+        speed,
+        rate,
+      });
+      if (!networkFeeEstimate) return null;
+
+      const conversion =
+        direction === 'reverse'
+          ? buildReverseConversion(
+              quote.targetCryptoAmount,
+              currency,
+              rate,
+              networkFeeEstimate
+            )
+          : buildConversion(quote.brlAmount, currency, rate, {
+              networkFeeEstimate,
+            });
+
+      return {
+        network,
+        selected: network === quote.network,
+        networkFee: conversion.networkFee,
+        networkFeeBRL: conversion.networkFeeBRL,
+        brlAmount: conversion.brlAmount,
+        finalCryptoAmount: conversion.finalCryptoAmount,
+        etaSeconds: networkFeeEstimate.etaSeconds,
+      };
+    })
+    .filter(Boolean);
+
+  const isCheaper = (option, best) =>
+    direction === 'reverse'
+      ? option.brlAmount < best.brlAmount
+      : option.finalCryptoAmount > best.finalCryptoAmount;
+  const cheapest = options.reduce(
+    (best, option) => (!best || isCheaper(option, best) ? option : best),
+    null
+  );
+
+  return options.map((option) => ({
+    ...option,
+    cheapest: option === cheapest,
+  }));
+}
+
+// Segundos restantes de validade da cotação
+export function getQuoteSecondsLeft(quote, now = new Date()) {
+  return Math.max(0, Math.ceil((quote.expiresAt - now) / 1000));
+}
+
+// Verifica se a cotação já expirou
+export function isQuoteExpired(quote, now = new Date()) {
+  return now >= quote.expiresAt;
+}
+
+// Exibe a contagem regressiva da cotação no elemento informado
+export function startQuoteCountdown(quote, element, onExpire) {
+  stopQuoteCountdown(element);
+
+  const render = () => {
+    const secondsLeft = getQuoteSecondsLeft(quote);
+    element.classList.toggle('expired', secondsLeft === 0);
+    element.classList.toggle('expiring', secondsLeft > 0 && secondsLeft <= 10);
+
+    if (secondsLeft === 0) {
+      element.textContent =
+        'Cotação expirada. Uma nova cotação será gerada ao prosseguir.';
+      stopQuoteCountdown(element);
+      if (onExpire) onExpire(quote);
+      return;
+    }
+
+    element.textContent = `Cotação garantida por ${secondsLeft}s`;
+  };
+
+  render();
+  if (!isQuoteExpired(quote)) {
+    countdowns.set(element, setInterval(render, 1000));
+  }
+}
+
+// Interrompe a contagem regressiva exibida no elemento informado
+export function stopQuoteCountdown(element) {
+  clearInterval(countdowns.get(element));
+  countdowns.delete(element);
+}
@@ -0,0 +1,253 @@
+/**
+ * FastCripto - Módulo de Alertas de Preço
+ * Alertas definidos pelo usuário, avaliados a cada atualização de cotação
+ */
+
+import { getCurrentUserId } from './auth.js';
+import { get24hStats } from './rate-history.js';
+import { formatCurrency } from './conversion.js';
+import { getSupportedAssets } from './asset-registry.js';
+import { createId } from './ids.js';
+
+// Tipos de alerta suportados
+export const ALERT_TYPES = {
+  below: 'Abaixo de',
+  above: 'Acima de',
+  change: 'Variação em 24h de ±',
+};
+
+// Inicializa os alertas e a avaliação a cada atualização de cotação
+export function initializeRateAlerts() {
+  document.addEventListener('ratesUpdated', (event) => {
+    evaluateRateAlerts(event.detail.rates).catch((error) => {
+      console.error('FastCripto: Erro ao avaliar alertas de preço:', error);
+    });
+  });
+
+  setupAlertForm();
+  renderRateAlerts();
+
+  if (CONFIG.debugMode) {
+    console.log('FastCripto: Módulo de alertas de preço inicializado');
+  }
+}
+
+// Chave de armazenamento dos alertas do usuário atual
+function getStorageKey() {
+  return `fastcripto_rate_alerts_${getCurrentUserId()}`;
+}
+
+// Obter os alertas do usuário atual
+export function getRateAlerts() {
+  const stored = localStorage.getItem(getStorageKey());
+  return stored ? JSON.parse(stored) : [];
+}
+
+// Salvar os alertas do usuário atual
+function saveRateAlerts(alerts) {
+  localStorage.setItem(getStorageKey(), JSON.stringify(alerts));
+}
+
+// Criar um novo alerta de preço
+export function createRateAlert(symbol, type, value) {
+  if (!ALERT_TYPES[type]) {
+    throw new Error(`Tipo de alerta desconhecido: ${type}`);
+  }
+
+  const alert = {
+    id: createId('AL'),
+    symbol,
+    type,
+    value,
+    active: true,
+    // Alertas de variação só disparam de novo após o mercado voltar ao normal
+    armed: true,
+    createdAt: new Date().toISOString(),
+    lastTriggeredAt: null,
+  };
+
+  const alerts = getRateAlerts();
+  alerts.push(alert);
+  saveRateAlerts(alerts);
+
+  return alert;
+}
+
+// Remover um alerta
+export function deleteRateAlert(id) {
+  saveRateAlerts(getRateAlerts().filter((alert) => alert.id !== id));
+}
+
+// Avaliar os alertas ativos contra as taxas recebidas
+export async function evaluateRateAlerts(rates) {
+  const pending = getRateAlerts().filter((alert) => alert.active);
+  if (pending.length === 0) return [];
+
+  // Variação de 24h só é calculada se houver alertas que dependem dela
+  const changeSymbols = pending
+    .filter((alert) => alert.type === 'change')
+    .map((alert) => alert.symbol);
+  const stats = changeSymbols.length ? await get24hStats(changeSymbols) : {};
+
+  // Reler os alertas para não sobrescrever alterações feitas durante a consulta
+  const alerts = getRateAlerts();
+  const triggered = [];
+
+  alerts
+    .filter((alert) => alert.active)
+    .forEach((alert) => {
+      const rate = rates[alert.symbol];
+      if (typeof rate !== 'number') return;
+
+      let change = null;
+      let hit = false;
+
+      switch (alert.type) {
+        case 'below':
+          hit = rate <= alert.value;
+          break;
+        case 'above':
+          hit = rate >= alert.value;
+          break;
+        case 'change': {
+          const symbolStats = stats[alert.symbol];
+          if (!symbolStats) return;
+
+          change = (rate - symbolStats.open) / symbolStats.open;
+          const exceeded = Math.abs(change) * 100 >= alert.value;
+
+          if (!exceeded) {
+            alert.armed = true;
+            return;
+          }
+          hit = alert.armed;
+          break;
+        }
+      }
+
+      if (!hit) return;
+
+      alert.lastTriggeredAt = new Date().toISOString();
+      if (alert.type === 'change') {
+        alert.armed = false;
+      } else {
+        // Alertas de preço disparam uma única vez
+        alert.active = false;
+      }
+
+      triggered.push(alert);
+      document.dispatchEvent(
+        new CustomEvent('rateAlertTriggered', {
+          detail: {
+            alert,
+            rate,
+            change,
+            message: describeTriggeredAlert(alert, rate, change),
+          },
+        })
+      );
+    });
+
+  // Persistir também o estado de rearme dos alertas de variação
+  saveRateAlerts(alerts);
+  if (triggered.length) renderRateAlerts();
+
+  return triggered;
+}
+
+// Descrever um alerta para exibição
+function describeRateAlert(alert) {
+  if (alert.type === 'change') {
+    return `${alert.symbol}: ${ALERT_TYPES.change}${alert.value}%`;
+  }
+
+  const condition = ALERT_TYPES[alert.type].toLowerCase();
+  return `${alert.symbol}: ${condition} ${formatCurrency(alert.value)}`;
+}
+
+// Montar a mensagem de um alerta disparado
+function describeTriggeredAlert(alert, rate, change) {
+  if (alert.type === 'change') {
+    const percent = (change * 100).toFixed(2);
+    return `${alert.symbol} variou ${
+      change >= 0 ? '+' : ''
+    }${percent}% nas últimas 24h. Cotação atual: ${formatCurrency(rate)}`;
+  }
+
+  const direction = alert.type === 'below' ? 'caiu para' : 'subiu para';
+  return `${alert.symbol} ${direction} ${formatCurrency(
+    rate
+  )} (alerta: ${formatCurrency(alert.value)})`;
+}
+
+// Configurar o formulário de criação de alertas
+function setupAlertForm() {
+  const addButton = document.getElementById('btn-add-alert');
+  const typeSelect = document.getElementById('alert-type');
+  const valueInput = document.getElementById('alert-value');
+  const symbolSelect = document.getElementById('alert-symbol');
+  if (!addButton || !typeSelect || !valueInput || !symbolSelect) return;
+
+  symbolSelect.innerHTML = getSupportedAssets()
+    .map((asset) => `<option value="${asset.symbol}">${asset.symbol}</option>`)
+    .join('');
+
+  typeSelect.addEventListener('change', () => {
+    valueInput.placeholder =
+      typeSelect.value === 'change' ? 'Ex: 5 (%)' : 'Ex: 240000';
+  });
+
+  addButton.addEventListener('click', () => {
+    const symbol = symbolSelect.value;
+    const type = typeSelect.value;
+    const value = parseFloat(valueInput.value);
+
+    if (!value || isNaN(value) || value <= 0) {
+      window.showInAppNotification(
+        'Informe um valor válido para o alerta.',
+        'error'
+      );
+      return;
+    }
+
+    createRateAlert(symbol, type, value);
+    valueInput.value = '';
+    renderRateAlerts();
+
+    window.showInAppNotification('Alerta de preço criado.', 'success');
+  });
+}
+
+// Renderizar a lista de alertas do usuário
+export function renderRateAlerts() {
+  const list = document.getElementById('rate-alerts-list');
+  if (!list) return;
+
+  const alerts = getRateAlerts();
+  list.innerHTML = '';
+
+  if (alerts.length === 0) {
+    list.innerHTML =
+      '<p class="rate-alerts-empty">Nenhum alerta de preço cadastrado.</p>';
+    return;
+  }
+
+  alerts.forEach((alert) => {
+    const item = document.createElement('div');
+    item.className = `rate-alert-item${alert.active ? '' : ' inactive'}`;
+    item.innerHTML = `
+      <span class="rate-alert-description">${describeRateAlert(alert)}</span>
+      <span class="rate-alert-status">${
+        alert.active ? 'Ativo' : 'Disparado'
+      }</span>
+      <button type="button" class="btn small rate-alert-remove">Remover</button>
+    `;
+
+    item.querySelector('.rate-alert-remove').addEventListener('click', () => {
+      deleteRateAlert(alert.id);
+      renderRateAlerts();
+    });
+
+    list.appendChild(item);
+  });
+}
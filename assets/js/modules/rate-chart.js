@@ -0,0 +1,202 @@
+/**
+ * FastCripto - Módulo de Gráficos de Cotação
+ * Renderiza o gráfico de histórico e os indicadores de 24h na aba de cotações
+ */
+
+import { getRateCandles, get24hStats } from './rate-history.js';
+import { formatCurrency } from './conversion.js';
+import { getSupportedAssets } from './asset-registry.js';
+
+const CHART_PADDING = { top: 16, right: 16, bottom: 28, left: 96 };
+const UP_COLOR = '#10b981';
+const DOWN_COLOR = '#ef4444';
+const GRID_COLOR = '#e2e8f0';
+const LABEL_COLOR = '#64748b';
+
+// Variáveis do módulo
+let selectedSymbol = 'BTC';
+let selectedInterval = '1h';
+
+// Inicializa o gráfico e os indicadores da aba de cotações
+export function initializeRateChart() {
+  const assetSelect = document.getElementById('chart-asset');
+  if (assetSelect) {
+    assetSelect.innerHTML = getSupportedAssets()
+      .map(
+        (asset) =>
+          `<option value="${asset.symbol}">${asset.name} (${asset.symbol})</option>`
+      )
+      .join('');
+    selectedSymbol = assetSelect.value;
+    assetSelect.addEventListener('change', () => {
+      selectedSymbol = assetSelect.value;
+      refreshRateChart();
+    });
+  }
+
+  document.querySelectorAll('.chart-interval').forEach((button) => {
+    button.addEventListener('click', () => {
+      document
+        .querySelectorAll('.chart-interval')
+        .forEach((other) => other.classList.remove('active'));
+      button.classList.add('active');
+
+      selectedInterval = button.dataset.interval;
+      refreshRateChart();
+    });
+  });
+
+  // Redesenhar sempre que uma nova cotação for registrada
+  document.addEventListener('rateHistoryUpdated', () => {
+    refreshRateChart();
+    refreshRateStats();
+  });
+
+  window.addEventListener('resize', refreshRateChart);
+
+  // O canvas só tem dimensões quando a aba de cotações está visível
+  const ratesTab = document.querySelector('.tab-nav[data-tab="rates"]');
+  if (ratesTab) {
+    ratesTab.addEventListener('click', () => setTimeout(refreshRateChart));
+  }
+
+  refreshRateChart();
+  refreshRateStats();
+}
+
+// Atualizar o gráfico com os dados do histórico
+export async function refreshRateChart() {
+  const canvas = document.getElementById('rates-chart');
+  const emptyState = document.getElementById('rates-chart-empty');
+  if (!canvas) return;
+
+  try {
+    const candles = await getRateCandles(selectedSymbol, selectedInterval);
+
+    // São necessários ao menos dois períodos para formar um gráfico
+    const hasData = candles.length >= 2;
+    if (emptyState) emptyState.classList.toggle('hidden', hasData);
+    canvas.classList.toggle('hidden', !hasData);
+
+    if (hasData) drawCandles(canvas, candles, selectedInterval);
+  } catch (error) {
+    console.error('FastCripto: Erro ao carregar gráfico de cotações:', error);
+  }
+}
+
+// Atualizar variação, máxima e mínima de 24h nos cards de cotação
+async function refreshRateStats() {
+  const cards = document.querySelectorAll('.rate-card[data-symbol]');
+  const symbols = [...cards].map((card) => card.dataset.symbol);
+
+  try {
+    const stats = await get24hStats(symbols);
+
+    cards.forEach((card) => {
+      const symbolStats = stats[card.dataset.symbol];
+      const changeElement = card.querySelector('.rate-change');
+      const rangeElement = card.querySelector('.rate-range');
+      if (!symbolStats || !changeElement || !rangeElement) return;
+
+      const { change, high, low } = symbolStats;
+      changeElement.textContent = `${change >= 0 ? '+' : ''}${(
+        change * 100
+      ).toFixed(2)}% (24h)`;
+      changeElement.classList.toggle('positive', change >= 0);
+      changeElement.classList.toggle('negative', change < 0);
+      rangeElement.textContent = `Máx ${formatCurrency(
+        high
+      )} · Mín ${formatCurrency(low)}`;
+    });
+  } catch (error) {
+    console.error('FastCripto: Erro ao calcular indicadores de 24h:', error);
+  }
+}
+
+// Desenhar candles OHLC no canvas
+function drawCandles(canvas, candles, interval) {
+  // Ajustar a resolução para telas de alta densidade
+  const ratio = window.devicePixelRatio || 1;
+  const width = canvas.clientWidth;
+  const height = canvas.clientHeight;
+  if (!width || !height) return;
+
+  canvas.width = width * ratio;
+  canvas.height = height * ratio;
+
+  const ctx = canvas.getContext('2d');
+  ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+  ctx.clearRect(0, 0, width, height);
+
+  const plotWidth = width - CHART_PADDING.left - CHART_PADDING.right;
+  const plotHeight = height - CHART_PADDING.top - CHART_PADDING.bottom;
+
+  const high = Math.max(...candles.map((candle) => candle.high));
+  const low = Math.min(...candles.map((candle) => candle.low));
+  const range = high - low || high * 0.01;
+
+  const toY = (value) =>
+    CHART_PADDING.top + ((high - value) / range) * plotHeight;
+
+  // Linhas de grade e rótulos de valor
+  ctx.font = '11px sans-serif';
+  ctx.textBaseline = 'middle';
+  ctx.textAlign = 'right';
+  for (let i = 0; i <= 4; i++) {
+    const value = high - (range * i) / 4;
+    const y = toY(value);
+
+    ctx.strokeStyle = GRID_COLOR;
+    ctx.beginPath();
+    ctx.moveTo(CHART_PADDING.left, y);
+    ctx.lineTo(width - CHART_PADDING.right, y);
+    ctx.stroke();
+
+    ctx.fillStyle = LABEL_COLOR;
+    ctx.fillText(formatCurrency(value), CHART_PADDING.left - 8, y);
+  }
+
+  const slot = plotWidth / candles.length;
+  const bodyWidth = Math.max(1, slot * 0.6);
+
+  candles.forEach((candle, index) => {
+    const x = CHART_PADDING.left + slot * index + slot / 2;
+    const color = candle.close >= candle.open ? UP_COLOR : DOWN_COLOR;
+
+    // Pavio (máxima e mínima)
+    ctx.strokeStyle = color;
+    ctx.beginPath();
+    ctx.moveTo(x, toY(candle.high));
+    ctx.lineTo(x, toY(candle.low));
+    ctx.stroke();
+
+    // Corpo (abertura e fechamento)
+    const top = toY(Math.max(candle.open, candle.close));
+    const bottom = toY(Math.min(candle.open, candle.close));
+    ctx.fillStyle = color;
+    ctx.fillRect(x - bodyWidth / 2, top, bodyWidth, Math.max(1, bottom - top));
+  });
+
+  // Rótulos de data no início, meio e fim do período
+  ctx.fillStyle = LABEL_COLOR;
+  ctx.textBaseline = 'top';
+  ctx.textAlign = 'center';
+  [0, Math.floor(candles.length / 2), candles.length - 1].forEach((index) => {
+    const x = CHART_PADDING.left + slot * index + slot / 2;
+    ctx.fillText(
+      formatCandleTime(candles[index].time, interval),
+      x,
+      height - CHART_PADDING.bottom + 8
+    );
+  });
+}
+
+// Formatar o horário de um candle conforme o intervalo
+function formatCandleTime(time, interval) {
+  const options =
+    interval === '1h'
+      ? { day: '2-digit', month: '2-digit', hour: '2-digit', minute: '2-digit' }
+      : { day: '2-digit', month: '2-digit' };
+
+  return new Intl.DateTimeFormat('pt-BR', options).format(new Date(time));
+}
@@ -0,0 +1,190 @@
+/**
+ * FastCripto - Módulo de Histórico de Cotações
+ * Armazena localmente cada cotação obtida (IndexedDB) e agrega os dados
+ * em candles OHLC para os gráficos da aba de cotações
+ */
+
+import { openDatabase, requestToPromise, transactionDone } from './idb.js';
+
+const DB_NAME = 'fastcripto_rates';
+const DB_VERSION = 1;
+const SNAPSHOTS_STORE = 'snapshots';
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// Intervalos de agregação disponíveis e quantos candles exibir de cada um
+export const RATE_HISTORY_INTERVALS = {
+  '1h': { label: '1 hora', size: HOUR, candles: 48 },
+  '1d': { label: '1 dia', size: DAY, candles: 30 },
+  '1w': { label: '1 semana', size: 7 * DAY, candles: 13 },
+};
+
+// Variáveis do módulo
+let dbPromise = null;
+let lastSnapshotTime = 0;
+
+// Inicializa o histórico, registrando cada atualização de cotação
+export function initializeRateHistory() {
+  document.addEventListener('ratesUpdated', (event) => {
+    const { rates, updatedAt } = event.detail;
+    recordRateSnapshot(rates, updatedAt);
+  });
+
+  // Remover dados antigos a cada carregamento
+  pruneRateHistory().catch((error) => {
+    console.error('FastCripto: Erro ao limpar histórico de cotações:', error);
+  });
+
+  if (CONFIG.debugMode) {
+    console.log('FastCripto: Histórico de cotações inicializado');
+  }
+}
+
+// Abrir o banco de dados do histórico
+function getDatabase() {
+  if (!dbPromise) {
+    dbPromise = openDatabase(DB_NAME, DB_VERSION, (db) => {
+      if (!db.objectStoreNames.contains(SNAPSHOTS_STORE)) {
+        db.createObjectStore(SNAPSHOTS_STORE, { keyPath: 'timestamp' });
+      }
+    });
+  }
+  return dbPromise;
+}
+
+// Salvar uma cotação no histórico
+export async function recordRateSnapshot(rates, date = new Date()) {
+  const timestamp = date.getTime();
+
+  // Limitar a frequência de gravação para controlar o volume de dados
+  const minInterval = (CONFIG.rateHistorySampleSeconds ?? 60) * 1000;
+  if (timestamp - lastSnapshotTime < minInterval) return false;
+
+  try {
+    const db = await getDatabase();
+    const tx = db.transaction(SNAPSHOTS_STORE, 'readwrite');
+    tx.objectStore(SNAPSHOTS_STORE).put({ timestamp, rates: { ...rates } });
+    await transactionDone(tx);
+
+    lastSnapshotTime = timestamp;
+    document.dispatchEvent(
+      new CustomEvent('rateHistoryUpdated', { detail: { timestamp, rates } })
+    );
+    return true;
+  } catch (error) {
+    console.error('FastCripto: Erro ao salvar histórico de cotações:', error);
+    return false;
+  }
+}
+
+// Obter as cotações registradas a partir de uma data
+export async function getRateSnapshots(since) {
+  const db = await getDatabase();
+  const tx = db.transaction(SNAPSHOTS_STORE, 'readonly');
+  const range = IDBKeyRange.lowerBound(since.getTime());
+  return requestToPromise(tx.objectStore(SNAPSHOTS_STORE).getAll(range));
+}
+
+// Remover cotações mais antigas que o período de retenção
+export async function pruneRateHistory() {
+  const retentionDays = CONFIG.rateHistoryRetentionDays ?? 90;
+  const cutoff = Date.now() - retentionDays * DAY;
+
+  const db = await getDatabase();
+  const tx = db.transaction(SNAPSHOTS_STORE, 'readwrite');
+  tx.objectStore(SNAPSHOTS_STORE).delete(IDBKeyRange.upperBound(cutoff, true));
+  await transactionDone(tx);
+}
+
+// Agregar cotações de uma moeda em candles OHLC
+export function aggregateOHLC(snapshots, symbol, interval) {
+  const buckets = new Map();
+
+  [...snapshots]
+    .sort((a, b) => a.timestamp - b.timestamp)
+    .forEach(({ timestamp, rates }) => {
+      const rate = rates[symbol];
+      if (typeof rate !== 'number') return;
+
+      const start = getBucketStart(timestamp, interval);
+      const candle = buckets.get(start);
+
+      if (!candle) {
+        buckets.set(start, {
+          time: start,
+          open: rate,
+          high: rate,
+          low: rate,
+          close: rate,
+          samples: 1,
+        });
+        return;
+      }
+
+      candle.high = Math.max(candle.high, rate);
+      candle.low = Math.min(candle.low, rate);
+      candle.close = rate;
+      candle.samples += 1;
+    });
+
+  return [...buckets.values()];
+}
+
+// Obter os candles de uma moeda para o intervalo escolhido
+export async function getRateCandles(symbol, interval) {
+  const { size, candles } = RATE_HISTORY_INTERVALS[interval];
+  const since = new Date(Date.now() - size * candles);
+  const snapshots = await getRateSnapshots(since);
+  return aggregateOHLC(snapshots, symbol, interval);
+}
+
+// Calcular variação, máxima e mínima das últimas 24 horas
+export async function get24hStats(symbols) {
+  const snapshots = await getRateSnapshots(new Date(Date.now() - DAY));
+  const stats = {};
+
+  symbols.forEach((symbol) => {
+    const values = snapshots
+      .map(({ rates }) => rates[symbol])
+      .filter((rate) => typeof rate === 'number');
+
+    if (values.length === 0) return;
+
+    const first = values[0];
+    const last = values[values.length - 1];
+
+    stats[symbol] = {
+      open: first,
+      last,
+      high: Math.max(...values),
+      low: Math.min(...values),
+      change: (last - first) / first,
+    };
+  });
+
+  return stats;
+}
+
+// Determinar o início do período de agregação de um instante
+function getBucketStart(timestamp, interval) {
+  const date = new Date(timestamp);
+
+  switch (interval) {
+    case '1h':
+      date.setMinutes(0, 0, 0);
+      break;
+    case '1d':
+      date.setHours(0, 0, 0, 0);
+      break;
+    case '1w':
+      // Semanas começam na segunda-feira
+      date.setHours(0, 0, 0, 0);
+      date.setDate(date.getDate() - ((date.getDay() + 6) % 7));
+      break;
+    default:
+      throw new Error(`Intervalo desconhecido: ${interval}`);
+  }
+
+  return date.getTime();
+}
@@ -0,0 +1,254 @@
+/**
+ * FastCripto - Módulo de Provedores de Cotação
+ * Consulta várias fontes em paralelo e consolida as taxas pela mediana,
+ * descartando cotações que se afastam demais do consenso
+ */
+
+import { convertFiat } from './fiat-rates.js';
+import { createMockMarket, getMockSettings } from './mock-market.js';
+
+// Desvio máximo aceito em relação à mediana (0.02 = 2%)
+const DEFAULT_OUTLIER_THRESHOLD = 0.02;
+
+// Tempo máximo de espera por um provedor, em milissegundos
+const DEFAULT_PROVIDER_TIMEOUT = 5000;
+
+// Variáveis do módulo
+const mockMarkets = new Map();
+
+// Obter a lista de provedores configurados
+export function getConfiguredProviders() {
+  if (Array.isArray(CONFIG.rateProviders) && CONFIG.rateProviders.length) {
+    return CONFIG.rateProviders;
+  }
+
+  // Compatibilidade com as configurações de fonte única
+  if (CONFIG.useMockRates) {
+    return [{ id: 'mock', name: 'Simulador', type: 'mock' }];
+  }
+
+  return [
+    {
+      id: 'fastcripto',
+      name: 'FastCripto API',
+      type: 'api',
+      url: `${CONFIG.apiBaseUrl}/rates/current`,
+    },
+  ];
+}
+
+// Desvio máximo aceito em relação ao consenso (também aplicado aos ticks do
+// stream de cotações)
+export function getOutlierThreshold() {
+  return CONFIG.rateOutlierThreshold ?? DEFAULT_OUTLIER_THRESHOLD;
+}
+
+// Consulta todos os provedores e retorna a cotação consolidada em BRL
+// fiatRates é usado para converter provedores que cotam em outra moeda
+export async function fetchAggregatedRates(
+  fiatRates,
+  providers = getConfiguredProviders()
+) {
+  const threshold = getOutlierThreshold();
+  const minSources = CONFIG.minRateSources ?? 1;
+
+  const results = await Promise.all(
+    providers.map((provider) => queryProvider(provider, fiatRates))
+  );
+
+  // Metadados por fonte, publicados junto com a cotação
+  const sources = results.map((result) => ({
+    id: result.provider.id,
+    name: result.provider.name || result.provider.id,
+    status: result.ok ? 'ok' : 'error',
+    latency: result.latency,
+    error: result.error ? result.error.message : null,
+    rejected: [],
+  }));
+
+  const successful = results.filter((result) => result.ok);
+  if (successful.length === 0) {
+    throw new Error('Nenhum provedor de cotação respondeu');
+  }
+
+  const symbols = new Set();
+  successful.forEach((result) => {
+    Object.keys(result.rates).forEach((symbol) => symbols.add(symbol));
+  });
+
+  const rates = {};
+  const assets = {};
+
+  for (const symbol of symbols) {
+    const quotes = successful
+      .filter((result) => symbol in result.rates)
+      .map((result) => ({
+        source: result.provider.id,
+        rate: result.rates[symbol],
+      }));
+
+    // Valores que não são cotações válidas são descartados de imediato
+    const rejected = quotes.filter(({ rate }) => !isValidRate(rate));
+    const valid = quotes.filter(({ rate }) => isValidRate(rate));
+    const accepted = [];
+
+    const median = valid.length
+      ? computeMedian(valid.map((quote) => quote.rate))
+      : null;
+
+    valid.forEach((quote) => {
+      const deviation = Math.abs(quote.rate - median) / median;
+      (deviation <= threshold ? accepted : rejected).push(quote);
+    });
+
+    rejected.forEach((quote) => {
+      sources
+        .find((source) => source.id === quote.source)
+        .rejected.push(symbol);
+    });
+
+    // Sem consenso suficiente, a moeda fica sem cotação
+    if (accepted.length < minSources) {
+      console.warn(
+        `FastCripto: Cotação de ${symbol} descartada (${accepted.length} de ${quotes.length} fontes em consenso)`
+      );
+      continue;
+    }
+
+    rates[symbol] = computeMedian(accepted.map((quote) => quote.rate));
+    assets[symbol] = {
+      rate: rates[symbol],
+      median,
+      accepted: accepted.map((quote) => quote.source),
+      rejected: rejected.map((quote) => quote.source),
+    };
+  }
+
+  return { rates, assets, sources, updatedAt: new Date() };
+}
+
+// Consulta um provedor, sem propagar falhas
+async function queryProvider(provider, fiatRates) {
+  const startedAt = Date.now();
+  const timeout = provider.timeout || DEFAULT_PROVIDER_TIMEOUT;
+  let timer;
+
+  try {
+    const rates = await Promise.race([
+      fetchProviderRates(provider),
+      new Promise((_, reject) => {
+        timer = setTimeout(
+          () => reject(new Error(`Tempo esgotado após ${timeout}ms`)),
+          timeout
+        );
+      }),
+    ]);
+
+    if (!rates || typeof rates !== 'object') {
+      throw new Error('Resposta do provedor em formato inválido');
+    }
+
+    return {
+      provider,
+      ok: true,
+      rates: normalizeToBRL(rates, provider.quote || 'BRL', fiatRates),
+      latency: Date.now() - startedAt,
+    };
+  } catch (error) {
+    console.warn(`FastCripto: Provedor ${provider.id} indisponível:`, error);
+    return { provider, ok: false, error, latency: Date.now() - startedAt };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Obter as taxas brutas de um provedor conforme o seu tipo
+async function fetchProviderRates(provider) {
+  switch (provider.type) {
+    case 'mock':
+      return getMockRates(provider);
+    case 'api': {
+      const response = await fetch(provider.url);
+      if (!response.ok) {
+        throw new Error(`Erro ao obter taxas: ${response.status}`);
+      }
+      const data = await response.json();
+
+      // Provedores externos podem fornecer um adaptador de formato
+      return typeof provider.parse === 'function' ? provider.parse(data) : data;
+    }
+    default:
+      throw new Error(`Tipo de provedor desconhecido: ${provider.type}`);
+  }
+}
+
+// Obter taxas simuladas para ambiente de desenvolvimento
+async function getMockRates(provider) {
+  // Simular um atraso de rede
+  await new Promise((resolve) => setTimeout(resolve, 1000));
+
+  return getMockMarket(provider).next();
+}
+
+// Obter o mercado simulado de um provedor, criado na primeira consulta
+// O cenário e a semente podem ser definidos por provedor (ex.: uma fonte com
+// 'garbage' entre fontes normais), mas os parâmetros da URL têm prioridade
+function getMockMarket(provider) {
+  if (!mockMarkets.has(provider.id)) {
+    const settings = getMockSettings();
+    const scenario = settings.scenario || provider.scenario || 'normal';
+    // Sem semente explícita, cada provedor segue uma trajetória própria
+    const seed = settings.seed ?? provider.seed ?? `fastcripto:${provider.id}`;
+
+    mockMarkets.set(
+      provider.id,
+      createMockMarket({
+        seed,
+        scenario,
+        startTick: CONFIG.mockScenarioStart,
+        volatility: CONFIG.mockVolatility,
+      })
+    );
+
+    if (CONFIG.debugMode) {
+      console.log(
+        `FastCripto: Simulador ${provider.id} - cenário ${scenario}, semente ${seed}`
+      );
+    }
+  }
+
+  return mockMarkets.get(provider.id);
+}
+
+// Converter as taxas de um provedor para BRL
+function normalizeToBRL(rates, quote, fiatRates) {
+  if (quote === 'BRL') return rates;
+
+  const factor = convertFiat(1, quote, 'BRL', fiatRates);
+  if (!factor) {
+    throw new Error(`Câmbio ${quote}/BRL indisponível`);
+  }
+
+  // Valores inválidos são mantidos como estão para serem descartados adiante
+  return Object.fromEntries(
+    Object.entries(rates).map(([symbol, rate]) => [
+      symbol,
+      isValidRate(rate) ? rate * factor : rate,
+    ])
+  );
+}
+
+// Verifica se um valor pode ser usado como cotação
+function isValidRate(rate) {
+  return typeof rate === 'number' && Number.isFinite(rate) && rate > 0;
+}
+
+// Calcula a mediana de uma lista de números
+function computeMedian(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+
+  return sorted.length % 2 === 0
+    ? (sorted[middle - 1] + sorted[middle]) / 2
+    : sorted[middle];
+}
@@ -0,0 +1,170 @@
+/**
+ * FastCripto - Módulo de Streaming de Cotações
+ * Recebe cotações em tempo real via WebSocket ou Server-Sent Events,
+ * com reconexão automática e backoff exponencial
+ */
+
+const DEFAULT_RECONNECT_BASE = 1000;
+const DEFAULT_RECONNECT_MAX = 60000;
+const DEFAULT_HEARTBEAT_SECONDS = 30;
+
+// Conecta ao stream de cotações configurado
+// handlers: { onRates(rates, timestamp), onStatusChange(status) }
+export function connectRateStream(options, handlers) {
+  const reconnectBase = options.reconnectBaseMs || DEFAULT_RECONNECT_BASE;
+  const reconnectMax = options.reconnectMaxMs || DEFAULT_RECONNECT_MAX;
+  const heartbeat =
+    (options.heartbeatSeconds || DEFAULT_HEARTBEAT_SECONDS) * 1000;
+
+  let connection = null;
+  let attempts = 0;
+  let reconnectTimer = null;
+  let heartbeatTimer = null;
+  let closed = false;
+
+  function setStatus(status) {
+    if (handlers.onStatusChange) handlers.onStatusChange(status);
+  }
+
+  function open() {
+    setStatus('connecting');
+
+    try {
+      connection =
+        options.type === 'websocket'
+          ? openWebSocket(options.url, handleOpen, handleMessage, handleError)
+          : openEventSource(
+              options.url,
+              handleOpen,
+              handleMessage,
+              handleError
+            );
+      // Conexões que não abrem dentro do prazo também contam como falha
+      resetHeartbeat();
+    } catch (error) {
+      handleError(error);
+    }
+  }
+
+  function handleOpen() {
+    attempts = 0;
+    resetHeartbeat();
+    setStatus('open');
+
+    if (CONFIG.debugMode) {
+      console.log(`FastCripto: Stream de cotações conectado (${options.url})`);
+    }
+  }
+
+  function handleMessage(data) {
+    resetHeartbeat();
+
+    let message;
+    try {
+      message = JSON.parse(data);
+    } catch (error) {
+      console.warn('FastCripto: Mensagem do stream ignorada:', data);
+      return;
+    }
+
+    const timestamp = getMessageTimestamp(message);
+    if (!timestamp) {
+      console.warn('FastCripto: Mensagem do stream com data inválida:', data);
+      return;
+    }
+
+    // Aceita tanto um tick de uma moeda quanto um conjunto de taxas
+    if (message.type === 'tick' && message.symbol) {
+      handlers.onRates({ [message.symbol]: message.rate }, timestamp);
+    } else if (message.type === 'rates' && message.rates) {
+      handlers.onRates(message.rates, timestamp);
+    }
+  }
+
+  function handleError(error) {
+    if (closed) return;
+
+    console.warn('FastCripto: Stream de cotações indisponível:', error);
+    teardown();
+    setStatus('closed');
+    scheduleReconnect();
+  }
+
+  // Considerar a conexão perdida se o servidor ficar em silêncio
+  function resetHeartbeat() {
+    clearTimeout(heartbeatTimer);
+    heartbeatTimer = setTimeout(
+      () => handleError(new Error('Sem mensagens do servidor')),
+      heartbeat
+    );
+  }
+
+  function scheduleReconnect() {
+    const delay = Math.min(reconnectMax, reconnectBase * 2 ** attempts);
+    // Variação aleatória para evitar reconexões simultâneas
+    const jitter = delay * 0.2 * Math.random();
+    attempts += 1;
+
+    reconnectTimer = setTimeout(open, delay + jitter);
+  }
+
+  function teardown() {
+    clearTimeout(heartbeatTimer);
+    if (connection) {
+      // Remover handlers para não tratar o próprio encerramento como falha
+      connection.onopen = null;
+      connection.onmessage = null;
+      connection.onerror = null;
+      connection.onclose = null;
+      connection.close();
+      connection = null;
+    }
+  }
+
+  open();
+
+  return {
+    close() {
+      closed = true;
+      clearTimeout(reconnectTimer);
+      teardown();
+      setStatus('closed');
+    },
+  };
+}
+
+// Data das taxas de uma mensagem, usada para medir a idade da cotação
+// Sem data, vale o recebimento; datas no futuro (relógio do servidor
+// adiantado) também ficam com o recebimento, para que a cotação envelheça e
+// seja bloqueada como desatualizada. Datas inválidas retornam null
+function getMessageTimestamp(message) {
+  const receivedAt = new Date();
+  if (message.timestamp === undefined || message.timestamp === null) {
+    return receivedAt;
+  }
+  if (!['string', 'number'].includes(typeof message.timestamp)) return null;
+
+  const sentAt = new Date(message.timestamp);
+  if (Number.isNaN(sentAt.getTime())) return null;
+
+  return sentAt < receivedAt ? sentAt : receivedAt;
+}
+
+// Abrir conexão Server-Sent Events
+function openEventSource(url, onOpen, onMessage, onError) {
+  const source = new EventSource(url);
+  source.onopen = onOpen;
+  source.onmessage = (event) => onMessage(event.data);
+  source.onerror = () => onError(new Error('Falha na conexão SSE'));
+  return source;
+}
+
+// Abrir conexão WebSocket
+function openWebSocket(url, onOpen, onMessage, onError) {
+  const socket = new WebSocket(url);
+  socket.onopen = onOpen;
+  socket.onmessage = (event) => onMessage(event.data);
+  socket.onerror = () => onError(new Error('Falha na conexão WebSocket'));
+  socket.onclose = () => onError(new Error('Conexão WebSocket encerrada'));
+  return socket;
+}
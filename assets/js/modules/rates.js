@@ -3,19 +3,46 @@
  * Responsável pela obtenção e gerenciamento de taxas de criptomoedas
  */
 
+import { fetchAggregatedRates, getOutlierThreshold } from './rate-providers.js';
+import { initializeRateHistory } from './rate-history.js';
+import { initializeRateChart } from './rate-chart.js';
+import { connectRateStream } from './rate-stream.js';
+import { fetchFiatRates, convertFiat } from './fiat-rates.js';
+import { getSupportedAssets } from './asset-registry.js';
+
+// Idade máxima padrão de uma cotação utilizável, em segundos
+const DEFAULT_MAX_RATE_AGE = 120;
+
+// Intervalo padrão da consulta aos provedores com o stream conectado, em
+// segundos (câmbio, consenso das fontes e moedas sem ticks recentes)
+const DEFAULT_STREAM_POLL_INTERVAL = 60;
+
 // Variáveis do módulo
 let currentRates = {};
+// Câmbio fiduciário, em unidades de cada moeda por 1 USD
+let currentFiatRates = null;
+let rateMetadata = { assets: {}, sources: [] };
 let lastUpdateTime = null;
+// Origem das taxas atuais: 'live', 'stream', 'cache' ou 'default'
+let rateProvenance = null;
+// Horário da última atualização de cada moeda
+let rateTimestamps = {};
 let updateInterval = null;
+let rateStream = null;
 
 // Inicializa o módulo de taxas
 export function initializeRatesModule() {
-  // Configurar atualização automática
-  if (updateInterval) clearInterval(updateInterval);
-  updateInterval = setInterval(
-    fetchCurrentRates,
-    CONFIG.refreshRatesInterval * 1000
-  );
+  // Configurar atualização automática (também usada quando o stream cai)
+  startPolling();
+
+  // Receber cotações em tempo real quando houver um stream configurado
+  if (CONFIG.rateStream && CONFIG.rateStream.url) {
+    if (rateStream) rateStream.close();
+    rateStream = connectRateStream(CONFIG.rateStream, {
+      onRates: applyStreamRates,
+      onStatusChange: handleStreamStatusChange,
+    });
+  }
 
   // Adicionar listener para atualização manual
   const refreshButton = document.getElementById('manual-refresh');
@@ -25,6 +52,16 @@ export function initializeRatesModule() {
     });
   }
 
+  // Cards de cotação gerados a partir do registro de ativos
+  renderRateCards();
+
+  // Histórico local e gráficos da aba de cotações
+  initializeRateHistory();
+  initializeRateChart();
+
+  // As taxas envelhecem mesmo sem novos eventos
+  setInterval(updateRatesStatusBanner, 5000);
+
   // Primeira atualização
   fetchCurrentRates();
 
@@ -40,23 +77,44 @@ export async function fetchCurrentRates() {
     const loader = document.getElementById('rates-loader');
     if (loader) loader.classList.add('active');
 
-    // Verificar se devemos usar dados simulados ou reais
-    let rates;
+    // Câmbio fiduciário (mantém o anterior se a consulta falhar)
+    currentFiatRates = await fetchFiatRates().catch((error) => {
+      console.warn('FastCripto: Erro ao obter câmbio:', error);
+      return currentFiatRates;
+    });
 
-    if (CONFIG.useMockRates) {
-      // Dados simulados para desenvolvimento/teste
-      rates = await getMockRates();
-    } else {
-      // Dados reais da API para teste/produção
-      rates = await getRealRates();
-    }
+    // Consultar os provedores configurados e consolidar as cotações em BRL
+    const { rates, assets, sources, updatedAt } = await fetchAggregatedRates(
+      currentFiatRates
+    );
 
     // Armazenar taxas e atualizar hora
     currentRates = rates;
-    lastUpdateTime = new Date();
+    rateMetadata = { assets, sources };
+    lastUpdateTime = updatedAt;
+    rateProvenance = 'live';
+    rateTimestamps = Object.fromEntries(
+      Object.keys(rates).map((symbol) => [symbol, updatedAt])
+    );
 
     // Atualizar interface
     updateRatesDisplay(rates);
+    updateSourcesDisplay(sources);
+    updateRatesStatusBanner();
+
+    // Publicar a cotação consolidada para os demais módulos
+    document.dispatchEvent(
+      new CustomEvent('ratesUpdated', {
+        detail: {
+          rates,
+          fiatRates: currentFiatRates,
+          assets,
+          sources,
+          updatedAt,
+          origin: 'poll',
+        },
+      })
+    );
 
     // Desativar indicador de carregamento
     if (loader) loader.classList.remove('active');
@@ -81,68 +139,161 @@ export async function fetchCurrentRates() {
 
     // Utilizar taxas em cache se disponíveis
     if (Object.keys(currentRates).length > 0) {
+      if (rateProvenance !== 'default') rateProvenance = 'cache';
+      updateRatesStatusBanner();
       return currentRates;
     }
 
-    // Caso contrário, retornar taxas padrão
-    return getDefaultRates();
+    // Caso contrário, usar taxas padrão apenas como referência
+    currentRates = getDefaultRates();
+    rateProvenance = 'default';
+    rateTimestamps = {};
+    updateRatesDisplay(currentRates);
+    updateRatesStatusBanner();
+    return currentRates;
   }
 }
 
-// Obter taxas simuladas para ambiente de desenvolvimento
-async function getMockRates() {
-  // Simular um atraso de rede
-  await new Promise((resolve) => setTimeout(resolve, 1000));
+// Iniciar a atualização periódica das taxas, a cada intervalo informado
+function startPolling(seconds = CONFIG.refreshRatesInterval) {
+  if (updateInterval) clearInterval(updateInterval);
+  updateInterval = setInterval(fetchCurrentRates, seconds * 1000);
+}
 
-  // Taxas simuladas com pequena variação aleatória para simular mercado
-  const baseRates = {
-    BTC: 254871.35,
-    ETH: 14875.22,
-    USDT: 5.04,
-    BNB: 1543.67,
-    XRP: 2.67,
-  };
+// Ajustar o polling conforme o estado da conexão do stream
+// Com o stream conectado, a consulta continua em um intervalo maior para
+// manter o câmbio e o consenso das fontes atualizados
+function handleStreamStatusChange(status) {
+  const statusElement = document.getElementById('rates-stream-status');
+  if (statusElement) {
+    statusElement.textContent =
+      status === 'open' ? 'Ao vivo' : 'Atualização periódica';
+    statusElement.classList.toggle('live', status === 'open');
+  }
 
-  // Adicionar variação aleatória de até 1%
-  const result = {};
-  for (const [crypto, rate] of Object.entries(baseRates)) {
-    const variation = (Math.random() * 2 - 1) * 0.01; // Entre -1% e +1%
-    result[crypto] = rate * (1 + variation);
+  if (status === 'open') {
+    startPolling(CONFIG.rateStream.pollSeconds ?? DEFAULT_STREAM_POLL_INTERVAL);
+  } else if (status === 'closed') {
+    // Voltar ao polling normal até o stream reconectar
+    startPolling();
+    fetchCurrentRates();
   }
+}
+
+// Aplicar cotações recebidas pelo stream
+// Ticks que se afastam do último consenso das fontes além do desvio máximo
+// são descartados, como as cotações discrepantes de um provedor
+function applyStreamRates(rates, timestamp) {
+  const validRates = Object.fromEntries(
+    Object.entries(rates).filter(
+      ([symbol, rate]) =>
+        typeof rate === 'number' &&
+        Number.isFinite(rate) &&
+        rate > 0 &&
+        isWithinConsensus(symbol, rate)
+    )
+  );
+  if (Object.keys(validRates).length === 0) return;
+
+  // Taxas padrão não podem ser misturadas às recebidas pelo stream
+  if (rateProvenance === 'default') currentRates = {};
 
-  return result;
+  currentRates = { ...currentRates, ...validRates };
+  lastUpdateTime = timestamp;
+  rateProvenance = 'stream';
+  Object.keys(validRates).forEach((symbol) => {
+    rateTimestamps[symbol] = timestamp;
+  });
+
+  updateRatesDisplay(currentRates);
+  updateRatesStatusBanner();
+
+  document.dispatchEvent(
+    new CustomEvent('ratesUpdated', {
+      detail: {
+        rates: currentRates,
+        fiatRates: currentFiatRates,
+        assets: rateMetadata.assets,
+        sources: rateMetadata.sources,
+        updatedAt: timestamp,
+        origin: 'stream',
+      },
+    })
+  );
 }
 
-// Obter taxas reais da API para ambiente de teste/produção
-async function getRealRates() {
-  const response = await fetch(`${CONFIG.apiBaseUrl}/rates/current`);
-  if (!response.ok) {
-    throw new Error(`Erro ao obter taxas: ${response.status}`);
-  }
-  return await response.json();
+// Verifica um tick do stream contra o último consenso das fontes da moeda
+// Sem consenso ainda (nenhuma consulta bem-sucedida), o tick é aceito
+function isWithinConsensus(symbol, rate) {
+  const consensus = rateMetadata.assets[symbol];
+  if (!consensus) return true;
+
+  const deviation = Math.abs(rate - consensus.rate) / consensus.rate;
+  if (deviation <= getOutlierThreshold()) return true;
+
+  console.warn(
+    `FastCripto: Tick de ${symbol} descartado (${(deviation * 100).toFixed(
+      2
+    )}% do consenso)`
+  );
+  return false;
 }
 
 // Obter taxas padrão (fallback em caso de erro)
 function getDefaultRates() {
-  return {
-    BTC: 250000,
-    ETH: 15000,
-    USDT: 5.05,
-    BNB: 1500,
-    XRP: 2.7,
-  };
+  return Object.fromEntries(
+    getSupportedAssets().map((asset) => [asset.symbol, asset.defaultRate])
+  );
+}
+
+// Criar os cards de cotação de cada criptomoeda suportada
+function renderRateCards() {
+  const grid = document.getElementById('rates-grid');
+  if (!grid) return;
+
+  grid.innerHTML = getSupportedAssets()
+    .map((asset) => {
+      const id = asset.symbol.toLowerCase();
+      return `
+        <div class="rate-card" data-symbol="${asset.symbol}">
+          <div class="rate-icon">${asset.icon}</div>
+          <div class="rate-info">
+            <h3>${asset.name}</h3>
+            <p class="rate-ticker">${asset.symbol}</p>
+            <p class="rate-value" id="${id}-rate">R$ 0,00</p>
+            <p class="rate-value-secondary" id="${id}-rate-usd"></p>
+            <p class="rate-change"></p>
+            <p class="rate-range"></p>
+          </div>
+        </div>
+      `;
+    })
+    .join('');
 }
 
 // Atualizar a exibição das taxas na interface
 function updateRatesDisplay(rates) {
   // Atualizar valores nas cards de cotação
-  const btcRate = document.getElementById('btc-rate');
-  const ethRate = document.getElementById('eth-rate');
-  const usdtRate = document.getElementById('usdt-rate');
+  getSupportedAssets().forEach(({ symbol }) => {
+    const id = symbol.toLowerCase();
+    const rateElement = document.getElementById(`${id}-rate`);
+    const usdElement = document.getElementById(`${id}-rate-usd`);
+    const rate = rates[symbol];
 
-  if (btcRate) btcRate.textContent = formatCurrency(rates.BTC);
-  if (ethRate) ethRate.textContent = formatCurrency(rates.ETH);
-  if (usdtRate) usdtRate.textContent = formatCurrency(rates.USDT);
+    if (rateElement && typeof rate === 'number') {
+      rateElement.textContent = formatCurrency(rate);
+    }
+
+    // Cotação em dólar, derivada pelo câmbio USD/BRL
+    const usdRate =
+      typeof rate === 'number'
+        ? convertFiat(rate, 'BRL', 'USD', currentFiatRates)
+        : null;
+    if (usdElement) {
+      usdElement.textContent =
+        usdRate === null ? '' : formatCurrency(usdRate, 'USD');
+    }
+  });
 
   // Atualizar horário da última atualização
   const lastUpdateElement = document.getElementById('last-update-time');
@@ -153,20 +304,94 @@ function updateRatesDisplay(rates) {
   }
 }
 
-// Obter taxa para uma criptomoeda específica
-export function getRateForCurrency(currency) {
+// Atualizar o indicador de fontes de cotação
+function updateSourcesDisplay(sources) {
+  const sourcesElement = document.getElementById('rates-sources');
+  if (!sourcesElement) return;
+
+  const healthy = sources.filter(
+    (source) => source.status === 'ok' && source.rejected.length === 0
+  );
+  sourcesElement.textContent = `Fontes: ${healthy.length} de ${sources.length}`;
+  sourcesElement.title = sources
+    .map((source) => {
+      if (source.status !== 'ok') return `${source.name}: indisponível`;
+      if (source.rejected.length) {
+        return `${source.name}: descartada para ${source.rejected.join(', ')}`;
+      }
+      return `${source.name}: ok (${source.latency}ms)`;
+    })
+    .join('\n');
+}
+
+// Obter taxa para uma criptomoeda específica (em BRL ou na moeda informada)
+export function getRateForCurrency(currency, fiat = 'BRL') {
   if (!currency || !currentRates[currency]) {
     console.warn(`FastCripto: Taxa não encontrada para ${currency}`);
     return null;
   }
-  return currentRates[currency];
+  return convertFiat(currentRates[currency], 'BRL', fiat, currentFiatRates);
+}
+
+// Obter o câmbio fiduciário atual (unidades de cada moeda por 1 USD)
+export function getFiatRates() {
+  return currentFiatRates;
+}
+
+// Obter a situação das taxas: origem, idade e se podem ser usadas em cotações
+// Informando a moeda, a idade considerada é a da taxa dessa moeda
+export function getRatesStatus(currency) {
+  const maxAge = CONFIG.maxRateAgeSeconds ?? DEFAULT_MAX_RATE_AGE;
+  const updatedAt = currency ? rateTimestamps[currency] : lastUpdateTime;
+  const ageSeconds = updatedAt
+    ? Math.floor((Date.now() - updatedAt.getTime()) / 1000)
+    : null;
+
+  const isDefault = rateProvenance === 'default';
+
+  // A idade é a do último tick ou consulta, mesmo com o stream conectado: a
+  // consulta periódica renova as moedas cujo preço não mudou
+  const stale = !isDefault && (ageSeconds === null || ageSeconds > maxAge);
+
+  return {
+    provenance: rateProvenance,
+    updatedAt: updatedAt || null,
+    ageSeconds,
+    maxAge,
+    stale,
+    isDefault,
+    degraded: isDefault || stale,
+  };
+}
+
+// Exibir o aviso de cotações degradadas
+function updateRatesStatusBanner() {
+  const banner = document.getElementById('rates-status-banner');
+  if (!banner || rateProvenance === null) return;
+
+  const status = getRatesStatus();
+  banner.classList.toggle('hidden', !status.degraded);
+  if (!status.degraded) return;
+
+  if (status.isDefault) {
+    banner.textContent =
+      'Não foi possível obter cotações. Os valores exibidos são apenas referências e novas conversões estão suspensas.';
+  } else {
+    const minutes = Math.max(1, Math.round(status.ageSeconds / 60));
+    banner.textContent = `Cotações desatualizadas: última atualização há ${minutes} min. Conversões podem estar suspensas até a normalização.`;
+  }
+}
+
+// Obter os metadados da última consolidação (fontes e consenso por moeda)
+export function getRateMetadata() {
+  return rateMetadata;
 }
 
 // Formatar moeda para exibição
-function formatCurrency(value) {
+function formatCurrency(value, currency = 'BRL') {
   return new Intl.NumberFormat('pt-BR', {
     style: 'currency',
-    currency: 'BRL',
+    currency,
   }).format(value);
 }
 
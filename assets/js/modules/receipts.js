@@ -0,0 +1,487 @@
+/**
+ * FastCripto - Módulo de Comprovantes
+ * Comprovantes de cotações e transações, em versão para impressão e em PDF,
+ * gerados inteiramente no navegador
+ */
+
+import { formatCurrency, formatDate } from './conversion.js';
+import { getAsset, getNetwork } from './asset-registry.js';
+import { isSellTransaction, getTransactionStatus } from './transactions.js';
+import { PIX_KEY_TYPES, maskPixKey, escapeHTML } from './security.js';
+import { describeEta } from './network-fees.js';
+
+// Descrição da origem da taxa registrada na cotação
+const RATE_PROVENANCE_LABELS = {
+  live: 'Atualizada',
+  stream: 'Tempo real',
+  cache: 'Em cache',
+  default: 'Taxa de referência',
+};
+
+// Página A4 em pontos PDF (1/72 de polegada)
+const PDF_PAGE_WIDTH = 595;
+const PDF_PAGE_HEIGHT = 842;
+const PDF_MARGIN = 50;
+const PDF_VALUE_COLUMN = 230;
+const PDF_LINE_HEIGHT = 15;
+// Caracteres por linha na coluna de valores (endereços longos são quebrados)
+const PDF_VALUE_CHARS = 52;
+
+// Caracteres fora do Latin-1 que existem na codificação WinAnsi do PDF
+const WIN_ANSI_EXTRAS = {
+  '€': 0x80,
+  '‚': 0x82,
+  '„': 0x84,
+  '…': 0x85,
+  '‘': 0x91,
+  '’': 0x92,
+  '“': 0x93,
+  '”': 0x94,
+  '•': 0x95,
+  '–': 0x96,
+  '—': 0x97,
+};
+
+// Monta o conteúdo do comprovante de uma transação ou cotação
+// Cotações ainda não confirmadas não têm id de transação
+export function buildReceipt(record) {
+  const sell = record.side === 'sell' || isSellTransaction(record);
+  const isQuote = !record.id;
+  const asset = getAsset(record.currency);
+  const network = getNetwork(record.network);
+
+  const identification = isQuote
+    ? [
+        ['Cotação', record.quoteId],
+        ['Emitida em', formatReceiptDate(record.quotedAt)],
+        ['Válida até', formatReceiptDate(record.expiresAt)],
+      ]
+    : [
+        ['Transação', record.id],
+        ['Cotação', record.quoteId || 'N/A'],
+        ['Data', formatReceiptDate(record.createdAt)],
+        ['Status', getTransactionStatus(record).label],
+      ];
+
+  const operation = [
+    [
+      'Operação',
+      sell ? 'Venda (cripto → BRL via PIX)' : 'Compra (BRL → cripto)',
+    ],
+    [
+      'Criptomoeda',
+      asset ? `${asset.name} (${asset.symbol})` : record.currency,
+    ],
+    ['Rede', network ? network.name : record.network || 'N/A'],
+  ];
+
+  if (sell) {
+    operation.push([
+      'Chave PIX',
+      record.pixKey
+        ? `${PIX_KEY_TYPES[record.pixKeyType]}: ${maskPixKey(
+            record.pixKeyType,
+            record.pixKey
+          )}`
+        : 'N/A',
+    ]);
+    if (record.depositAddress) {
+      operation.push(['Endereço de depósito', record.depositAddress]);
+    }
+    if (record.depositMemo) {
+      operation.push(['Tag de destino', record.depositMemo]);
+    }
+  } else {
+    operation.push(['Carteira de destino', record.walletAddress || 'N/A']);
+  }
+
+  return {
+    title: isQuote ? 'Cotação' : 'Comprovante de Transação',
+    reference: isQuote ? record.quoteId : record.id,
+    issuedAt: new Date(),
+    sections: [
+      { title: 'Identificação', rows: identification },
+      { title: 'Operação', rows: operation },
+      {
+        title: 'Valores',
+        rows: sell ? getSellAmountRows(record) : getBuyAmountRows(record),
+      },
+    ],
+    notes: getReceiptNotes(record, isQuote),
+  };
+}
+
+// Valores da compra, na ordem do resumo da conversão
+function getBuyAmountRows(record) {
+  return [
+    ['Valor em Reais', formatCurrency(record.brlAmount, 'BRL')],
+    [
+      `IOF${formatTaxRate(record, 'iof')}`,
+      `- ${formatCurrency(record.iofAmount, 'BRL')}`,
+    ],
+    [
+      `Imposto de Renda${formatTaxRate(record, 'incomeTax')}`,
+      `- ${formatCurrency(record.incomeTaxAmount, 'BRL')}`,
+    ],
+    [
+      `Taxa de Serviço${formatServiceFee(record)}`,
+      `- ${formatCurrency(record.serviceAmount, 'BRL')}`,
+    ],
+    [
+      `Taxa de Rede${formatNetworkFeeSpeed(record)}`,
+      `- ${formatCurrency(record.networkFeeBRL, 'BRL')} (${formatCurrency(
+        record.networkFee,
+        record.currency
+      )})`,
+    ],
+    ['Valor Líquido', formatCurrency(record.netAmount, 'BRL')],
+    [
+      'Quantidade entregue',
+      formatCurrency(record.finalCryptoAmount, record.currency),
+    ],
+    getRateRow(record),
+  ];
+}
+
+// Valores da venda, na ordem do resumo da venda
+function getSellAmountRows(record) {
+  return [
+    [
+      'Quantidade enviada',
+      formatCurrency(record.cryptoAmount, record.currency),
+    ],
+    ['Valor em Reais', formatCurrency(record.brlAmount, 'BRL')],
+    [
+      `IOF${formatTaxRate(record, 'iof')}`,
+      `- ${formatCurrency(record.iofAmount, 'BRL')}`,
+    ],
+    [
+      `Imposto de Renda${formatTaxRate(record, 'incomeTax')}`,
+      `- ${formatCurrency(record.incomeTaxAmount, 'BRL')}`,
+    ],
+    [
+      `Taxa de Serviço${formatServiceFee(record)}`,
+      `- ${formatCurrency(record.serviceAmount, 'BRL')}`,
+    ],
+    ['Valor pago via PIX', formatCurrency(record.netAmount, 'BRL')],
+    getRateRow(record),
+  ];
+}
+
+// Taxa utilizada, com a origem registrada na cotação
+function getRateRow(record) {
+  const provenance = RATE_PROVENANCE_LABELS[record.rateProvenance];
+  const rate = `${formatCurrency(record.cryptoRate, 'BRL')} / ${
+    record.currency
+  }`;
+
+  return ['Cotação utilizada', provenance ? `${rate} (${provenance})` : rate];
+}
+
+// Alíquota aplicada a um tributo, quando registrada na cotação
+function formatTaxRate(record, tax) {
+  const applied = record.taxes && record.taxes[tax];
+  return applied ? ` (${formatPercent(applied.rate)})` : '';
+}
+
+// Faixa e desconto da taxa de serviço, quando registrados na cotação
+function formatServiceFee(record) {
+  return record.serviceFee && record.serviceFee.label
+    ? ` (${record.serviceFee.label})`
+    : '';
+}
+
+// Velocidade e tempo estimado da taxa de rede, quando registrados na cotação
+function formatNetworkFeeSpeed(record) {
+  const estimate = record.networkFeeEstimate;
+  return estimate
+    ? ` (${estimate.label} · ${describeEta(estimate.etaSeconds)})`
+    : '';
+}
+
+// Observações de rodapé: regras tributárias e atualização da taxa
+function getReceiptNotes(record, isQuote) {
+  const notes = [];
+
+  if (record.rateUpdatedAt) {
+    notes.push(
+      `Taxa atualizada em ${formatReceiptDate(record.rateUpdatedAt)}.`
+    );
+  }
+  if (record.rateStale) {
+    notes.push('A cotação foi confirmada com taxa desatualizada.');
+  }
+  if (record.taxes) {
+    const rules = [record.taxes.iof.ruleId, record.taxes.incomeTax.ruleId]
+      .filter(Boolean)
+      .join(', ');
+    notes.push(
+      `Tributos calculados pela tabela de regras versão ${
+        record.taxes.version
+      }${rules ? ` (${rules})` : ''}.`
+    );
+  }
+  if (isQuote) {
+    notes.push(
+      'Cotação válida apenas até o horário indicado. Este documento não comprova a realização da operação.'
+    );
+  }
+
+  return notes;
+}
+
+// Datas vêm como texto quando a transação é lida do armazenamento local
+function formatReceiptDate(value) {
+  return value ? formatDate(new Date(value)) : 'N/A';
+}
+
+// Formata uma taxa percentual (0.0038 → "0,38%")
+function formatPercent(value) {
+  return new Intl.NumberFormat('pt-BR', {
+    style: 'percent',
+    maximumFractionDigits: 4,
+  }).format(value);
+}
+
+// Exibe o comprovante na versão para impressão e abre a janela de impressão
+// (que também permite salvar como PDF pelo navegador)
+export function printReceipt(record) {
+  let container = document.getElementById('receipt-print');
+  if (!container) {
+    container = document.createElement('div');
+    container.id = 'receipt-print';
+    document.body.appendChild(container);
+  }
+
+  container.innerHTML = renderReceiptHTML(buildReceipt(record));
+  document.body.classList.add('printing-receipt');
+
+  window.addEventListener(
+    'afterprint',
+    () => {
+      document.body.classList.remove('printing-receipt');
+      container.innerHTML = '';
+    },
+    { once: true }
+  );
+
+  window.print();
+}
+
+// Gera o comprovante em PDF e inicia o download
+export function downloadReceiptPDF(record) {
+  const receipt = buildReceipt(record);
+  const blob = new Blob([createReceiptPDF(receipt)], {
+    type: 'application/pdf',
+  });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `fastcripto-${receipt.reference}.pdf`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+
+  // Liberar o arquivo depois que o navegador iniciar o download
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Versão HTML do comprovante
+function renderReceiptHTML(receipt) {
+  const sections = receipt.sections
+    .map(
+      (section) => `
+        <section class="receipt-section">
+          <h3>${escapeHTML(section.title)}</h3>
+          <dl>
+            ${section.rows
+              .map(
+                ([label, value]) => `
+                  <div class="receipt-row">
+                    <dt>${escapeHTML(label)}</dt>
+                    <dd>${escapeHTML(value)}</dd>
+                  </div>`
+              )
+              .join('')}
+          </dl>
+        </section>`
+    )
+    .join('');
+
+  return `
+    <article class="receipt">
+      <header class="receipt-header">
+        <h2>FastCripto</h2>
+        <p class="receipt-title">${escapeHTML(receipt.title)}</p>
+        <p class="receipt-issued">Emitido em ${formatDate(receipt.issuedAt)}</p>
+      </header>
+      ${sections}
+      <footer class="receipt-notes">
+        ${receipt.notes.map((note) => `<p>${escapeHTML(note)}</p>`).join('')}
+      </footer>
+    </article>
+  `;
+}
+
+// Gera o PDF do comprovante (PDF 1.4, fontes padrão Helvetica)
+// Retorna os bytes do arquivo
+function createReceiptPDF(receipt) {
+  const pages = layoutReceipt(receipt);
+
+  // Objetos: 1 catálogo, 2 páginas, 3 e 4 fontes, 5 informações,
+  // depois página e conteúdo de cada página
+  const pageIds = pages.map((_, index) => 6 + index * 2);
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    `<< /Type /Pages /Kids [${pageIds
+      .map((id) => `${id} 0 R`)
+      .join(' ')}] /Count ${pages.length} >>`,
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>',
+    `<< /Title (${encodePDFText(
+      `${receipt.title} ${receipt.reference}`
+    )}) /Producer (FastCripto) >>`,
+  ];
+
+  pages.forEach((content, index) => {
+    objects.push(
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PDF_PAGE_WIDTH} ${PDF_PAGE_HEIGHT}] ` +
+        `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${
+          pageIds[index] + 1
+        } 0 R >>`
+    );
+    objects.push(
+      `<< /Length ${content.length} >>\nstream\n${content}\nendstream`
+    );
+  });
+
+  // O arquivo é gerado só com caracteres ASCII, então cada caractere é
+  // um byte e as posições da tabela xref podem ser calculadas no texto
+  let pdf = '%PDF-1.4\n';
+  const offsets = objects.map((object, index) => {
+    const offset = pdf.length;
+    pdf += `${index + 1} 0 obj\n${object}\nendobj\n`;
+    return offset;
+  });
+
+  const xref = pdf.length;
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets
+    .map((offset) => `${String(offset).padStart(10, '0')} 00000 n \n`)
+    .join('');
+  pdf += `trailer\n<< /Size ${
+    objects.length + 1
+  } /Root 1 0 R /Info 5 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+
+  return new TextEncoder().encode(pdf);
+}
+
+// Distribui o comprovante em páginas
+// Retorna o fluxo de conteúdo (operadores PDF) de cada página
+function layoutReceipt(receipt) {
+  const pages = [];
+  let content = [];
+  let y = PDF_PAGE_HEIGHT - PDF_MARGIN;
+
+  const newPage = () => {
+    pages.push(content.join('\n'));
+    content = [];
+    y = PDF_PAGE_HEIGHT - PDF_MARGIN;
+  };
+
+  const text = (value, x, { font = 'F1', size = 10 } = {}) => {
+    content.push(
+      `BT /${font} ${size} Tf ${x} ${y} Td (${encodePDFText(value)}) Tj ET`
+    );
+  };
+
+  const advance = (lines = 1) => {
+    y -= PDF_LINE_HEIGHT * lines;
+    if (y < PDF_MARGIN) newPage();
+  };
+
+  const rule = () => {
+    content.push(
+      `0.8 G ${PDF_MARGIN} ${y} m ${PDF_PAGE_WIDTH - PDF_MARGIN} ${y} l S 0 G`
+    );
+  };
+
+  text('FastCripto', PDF_MARGIN, { font: 'F2', size: 18 });
+  advance(1.5);
+  text(`${receipt.title} ${receipt.reference}`, PDF_MARGIN, {
+    font: 'F2',
+    size: 12,
+  });
+  advance();
+  text(`Emitido em ${formatDate(receipt.issuedAt)}`, PDF_MARGIN);
+  advance(0.7);
+  rule();
+  advance(1.3);
+
+  receipt.sections.forEach((section) => {
+    text(section.title, PDF_MARGIN, { font: 'F2', size: 11 });
+    advance();
+
+    section.rows.forEach(([label, value]) => {
+      text(label, PDF_MARGIN);
+      wrapText(value, PDF_VALUE_CHARS).forEach((line, index) => {
+        if (index > 0) advance();
+        text(line, PDF_VALUE_COLUMN);
+      });
+      advance();
+    });
+
+    advance(0.5);
+  });
+
+  rule();
+  advance();
+  receipt.notes.forEach((note) => {
+    wrapText(note, 95).forEach((line) => {
+      text(line, PDF_MARGIN, { size: 8 });
+      advance(0.8);
+    });
+  });
+
+  pages.push(content.join('\n'));
+  return pages.filter(Boolean);
+}
+
+// Quebra um texto em linhas de até maxChars caracteres, preferindo espaços
+// (endereços, sem espaços, são cortados no limite)
+function wrapText(value, maxChars) {
+  const lines = [];
+  let rest = String(value);
+
+  while (rest.length > maxChars) {
+    const space = rest.lastIndexOf(' ', maxChars);
+    const cut = space > 0 ? space : maxChars;
+    lines.push(rest.substring(0, cut));
+    rest = rest.substring(cut).trimStart();
+  }
+  lines.push(rest);
+
+  return lines;
+}
+
+// Codifica texto como string PDF em WinAnsi, com escapes octais para
+// caracteres não ASCII
+function encodePDFText(value) {
+  return Array.from(String(value).replace(/→/g, '->'))
+    .map((char) => {
+      if (char === '(' || char === ')' || char === '\\') return `\\${char}`;
+
+      const code = char.charCodeAt(0);
+      if (code >= 0x20 && code < 0x7f) return char;
+
+      const winAnsi =
+        char in WIN_ANSI_EXTRAS
+          ? WIN_ANSI_EXTRAS[char]
+          : code >= 0xa0 && code <= 0xff
+          ? code
+          : null;
+      return winAnsi === null ? '?' : `\\${winAnsi.toString(8)}`;
+    })
+    .join('');
+}
@@ -0,0 +1,728 @@
+/**
+ * FastCripto - Módulo de Compras Recorrentes
+ * Ordens de compra programadas (DCA), executadas pelo mesmo cálculo das
+ * conversões manuais, com pausa, edição, cancelamento e histórico
+ */
+
+import { getCurrentUserId } from './auth.js';
+import { getRatesStatus } from './rates.js';
+import { createQuote } from './quotes.js';
+import {
+  formatCurrency,
+  formatDate,
+  validateConversionAmount,
+} from './conversion.js';
+import {
+  getSupportedAssets,
+  getAsset,
+  getAssetNetworks,
+  getNetwork,
+  getMinConversionAmount,
+  validateAddress,
+} from './asset-registry.js';
+import { addTransaction } from './transactions.js';
+import { checkConversionLimits, getConversionLimits } from './limits.js';
+import { FEE_SPEEDS } from './network-fees.js';
+import { createId } from './ids.js';
+import { escapeHTML } from './security.js';
+import { runExclusive } from './tab-locks.js';
+
+// Frequências disponíveis
+export const RECURRING_FREQUENCIES = {
+  daily: { label: 'Diária', days: 1 },
+  weekly: { label: 'Semanal', days: 7 },
+  biweekly: { label: 'Quinzenal', days: 14 },
+  monthly: { label: 'Mensal', months: 1 },
+};
+
+// Situação das ordens recorrentes
+export const RECURRING_STATUSES = {
+  active: 'Ativa',
+  paused: 'Pausada',
+  cancelled: 'Cancelada',
+  completed: 'Encerrada',
+};
+
+// Resultado de cada execução
+const EXECUTION_STATUSES = {
+  executed: 'Executada',
+  failed: 'Falhou',
+};
+
+// Horário local das execuções
+const RUN_HOUR = 9;
+
+// Intervalo padrão entre verificações de ordens vencidas, em segundos
+const DEFAULT_CHECK_INTERVAL = 60;
+
+// Execuções mantidas no histórico de cada ordem
+const MAX_EXECUTIONS = 100;
+
+// Variáveis do módulo
+let checkInterval = null;
+let editingOrderId = null;
+
+// Inicializa as ordens recorrentes e a verificação periódica
+// As ordens só são executadas com o aplicativo aberto; a primeira
+// verificação espera a primeira cotação
+export function initializeRecurringOrders() {
+  document.addEventListener('ratesUpdated', () => processDueOrders(), {
+    once: true,
+  });
+
+  const interval = CONFIG.recurringCheckSeconds ?? DEFAULT_CHECK_INTERVAL;
+  if (checkInterval) clearInterval(checkInterval);
+  checkInterval = setInterval(() => processDueOrders(), interval * 1000);
+
+  setupRecurringForm();
+  renderRecurringOrders();
+
+  if (CONFIG.debugMode) {
+    console.log('FastCripto: Módulo de compras recorrentes inicializado');
+  }
+}
+
+// Chave de armazenamento das ordens do usuário atual
+function getStorageKey() {
+  return `fastcripto_recurring_orders_${getCurrentUserId()}`;
+}
+
+// Obter as ordens recorrentes do usuário atual
+export function getRecurringOrders() {
+  const stored = localStorage.getItem(getStorageKey());
+  return stored ? JSON.parse(stored) : [];
+}
+
+// Salvar as ordens recorrentes do usuário atual
+function saveRecurringOrders(orders) {
+  localStorage.setItem(getStorageKey(), JSON.stringify(orders));
+}
+
+// Criar uma nova ordem recorrente
+// startDate e endDate no formato AAAA-MM-DD; endDate é opcional
+export function createRecurringOrder({
+  amountBRL,
+  currency,
+  network,
+  walletAddress,
+  feeSpeed = 'normal',
+  frequency,
+  startDate,
+  endDate = null,
+}) {
+  const order = {
+    id: createId('RC'),
+    amountBRL,
+    currency,
+    network,
+    walletAddress,
+    feeSpeed,
+    frequency,
+    startDate,
+    endDate: endDate || null,
+    status: 'active',
+    createdAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString(),
+    executions: [],
+  };
+
+  const validation = validateRecurringOrder(order);
+  if (!validation.valid) throw new Error(validation.message);
+
+  scheduleFrom(order, startOfToday());
+
+  const orders = getRecurringOrders();
+  orders.push(order);
+  saveRecurringOrders(orders);
+
+  return order;
+}
+
+// Alterar uma ordem recorrente
+// Mudanças na frequência ou nas datas recalculam a próxima execução
+export function updateRecurringOrder(id, changes) {
+  return modifyOrder(id, (order) => {
+    if (order.status === 'cancelled') {
+      throw new Error('Ordens canceladas não podem ser alteradas');
+    }
+
+    const updated = { ...order, ...changes, endDate: changes.endDate || null };
+    const validation = validateRecurringOrder(updated);
+    if (!validation.valid) throw new Error(validation.message);
+
+    Object.assign(order, updated);
+
+    const scheduleChanged = ['frequency', 'startDate', 'endDate'].some(
+      (field) => field in changes
+    );
+    if (scheduleChanged && order.status !== 'paused') {
+      order.status = 'active';
+      scheduleFrom(order, getRescheduleStart(order));
+    }
+  });
+}
+
+// Pausar uma ordem ativa
+export function pauseRecurringOrder(id) {
+  return modifyOrder(id, (order) => {
+    if (order.status !== 'active') {
+      throw new Error('Apenas ordens ativas podem ser pausadas');
+    }
+    order.status = 'paused';
+  });
+}
+
+// Retomar uma ordem pausada
+// Execuções que venceram durante a pausa não são realizadas
+export function resumeRecurringOrder(id) {
+  return modifyOrder(id, (order) => {
+    if (order.status !== 'paused') {
+      throw new Error('Apenas ordens pausadas podem ser retomadas');
+    }
+    order.status = 'active';
+    scheduleFrom(order, new Date());
+  });
+}
+
+// Cancelar uma ordem (o histórico de execuções é mantido)
+export function cancelRecurringOrder(id) {
+  return modifyOrder(id, (order) => {
+    order.status = 'cancelled';
+    order.nextRunAt = null;
+  });
+}
+
+// Aplicar uma alteração a uma ordem e salvar
+function modifyOrder(id, change) {
+  const orders = getRecurringOrders();
+  const order = orders.find((candidate) => candidate.id === id);
+  if (!order) {
+    throw new Error(`Ordem recorrente não encontrada: ${id}`);
+  }
+
+  change(order);
+  order.updatedAt = new Date().toISOString();
+  saveRecurringOrders(orders);
+
+  return order;
+}
+
+// Validar os dados de uma ordem recorrente
+function validateRecurringOrder(order) {
+  const amountCheck = validateConversionAmount(
+    order.amountBRL,
+    getMinConversionAmount(order.currency)
+  );
+  if (!amountCheck.valid) return amountCheck;
+
+  // Os limites diário e mensal são verificados a cada execução
+  const { perTransaction } = getConversionLimits();
+  if (order.amountBRL > perTransaction) {
+    return {
+      valid: false,
+      message: `Valor acima do limite por transação (${formatCurrency(
+        perTransaction,
+        'BRL'
+      )})`,
+    };
+  }
+
+  if (!RECURRING_FREQUENCIES[order.frequency]) {
+    return { valid: false, message: 'Frequência inválida' };
+  }
+  if (!FEE_SPEEDS[order.feeSpeed]) {
+    return { valid: false, message: 'Velocidade da taxa de rede inválida' };
+  }
+
+  const addressCheck = validateAddress(
+    order.currency,
+    order.network,
+    order.walletAddress
+  );
+  if (!addressCheck.valid) return addressCheck;
+
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(order.startDate || '')) {
+    return { valid: false, message: 'Informe a data de início' };
+  }
+  if (order.endDate && order.endDate < order.startDate) {
+    return {
+      valid: false,
+      message: 'A data de término deve ser posterior à data de início',
+    };
+  }
+  if (getEndTime(order) <= Date.now()) {
+    return { valid: false, message: 'A data de término já passou' };
+  }
+
+  return { valid: true };
+}
+
+// Data da execução de número index (0 = data de início), às RUN_HOUR
+function getOccurrence(order, index) {
+  const [year, month, day] = order.startDate.split('-').map(Number);
+  const frequency = RECURRING_FREQUENCIES[order.frequency];
+
+  if (frequency.months) {
+    // Em meses mais curtos, a execução é no último dia do mês
+    const target = new Date(
+      year,
+      month - 1 + index * frequency.months,
+      1,
+      RUN_HOUR
+    );
+    const lastDay = new Date(
+      target.getFullYear(),
+      target.getMonth() + 1,
+      0
+    ).getDate();
+    target.setDate(Math.min(day, lastDay));
+    return target;
+  }
+
+  return new Date(year, month - 1, day + index * frequency.days, RUN_HOUR);
+}
+
+// Fim da vigência da ordem (o dia de término é incluído)
+function getEndTime(order) {
+  if (!order.endDate) return Infinity;
+
+  const [year, month, day] = order.endDate.split('-').map(Number);
+  return new Date(year, month - 1, day + 1).getTime();
+}
+
+// Agendar a próxima execução a partir de uma data
+function scheduleFrom(order, from) {
+  let index = 0;
+  while (getOccurrence(order, index) < from) index += 1;
+
+  scheduleIndex(order, index);
+}
+
+// Início do reagendamento após uma edição: o dia atual, mas sempre depois da
+// última execução, para que uma data já executada hoje não se repita
+function getRescheduleStart(order) {
+  const today = startOfToday();
+  const [lastExecution] = order.executions;
+  if (!lastExecution) return today;
+
+  const afterLastRun = new Date(
+    new Date(lastExecution.scheduledAt).getTime() + 1
+  );
+  return afterLastRun > today ? afterLastRun : today;
+}
+
+// Agendar a execução de número index, encerrando a ordem após o término
+function scheduleIndex(order, index) {
+  const occurrence = getOccurrence(order, index);
+
+  if (occurrence.getTime() >= getEndTime(order)) {
+    order.status = 'completed';
+    order.nextRunIndex = null;
+    order.nextRunAt = null;
+    return;
+  }
+
+  order.nextRunIndex = index;
+  order.nextRunAt = occurrence.toISOString();
+}
+
+// Executar as ordens ativas com execução vencida
+// Execuções perdidas com o aplicativo fechado não são repostas: apenas a
+// mais recente é realizada, e as demais ficam registradas na execução
+// Com o aplicativo aberto em várias abas, só uma verifica as ordens por vez
+export async function processDueOrders(now = new Date()) {
+  const executed = await runExclusive(getStorageKey(), () => runDueOrders(now));
+  return executed || [];
+}
+
+// Executar as ordens vencidas, a partir das ordens salvas
+async function runDueOrders(now) {
+  const orders = getRecurringOrders();
+  const executed = [];
+
+  const dueOrders = orders.filter(
+    (order) =>
+      order.status === 'active' &&
+      order.nextRunAt &&
+      new Date(order.nextRunAt) <= now
+  );
+  for (const order of dueOrders) {
+    // Sem cotação confiável, tentar de novo na próxima verificação
+    if (getRatesStatus(order.currency).degraded) continue;
+
+    const endTime = getEndTime(order);
+    let index = order.nextRunIndex;
+    while (
+      getOccurrence(order, index + 1) <= now &&
+      getOccurrence(order, index + 1).getTime() < endTime
+    ) {
+      index += 1;
+    }
+
+    const execution = await executeOrder(order, {
+      scheduledAt: getOccurrence(order, index),
+      missed: index - order.nextRunIndex,
+      transactionId: createId('TX'),
+    });
+
+    order.executions = [execution, ...order.executions].slice(
+      0,
+      MAX_EXECUTIONS
+    );
+    order.updatedAt = new Date().toISOString();
+    scheduleIndex(order, index + 1);
+    executed.push({ order, execution });
+  }
+
+  if (executed.length === 0) return [];
+
+  saveRecurringOrders(orders);
+  renderRecurringOrders();
+
+  executed.forEach(({ order, execution }) => {
+    document.dispatchEvent(
+      new CustomEvent('recurringOrderExecuted', {
+        detail: {
+          order,
+          execution,
+          message: describeExecution(order, execution),
+        },
+      })
+    );
+  });
+
+  return executed;
+}
+
+// Realizar uma execução: cotação com a taxa atual e registro da transação,
+// pelo mesmo cálculo da conversão manual
+async function executeOrder(order, { scheduledAt, missed, transactionId }) {
+  const execution = {
+    scheduledAt: scheduledAt.toISOString(),
+    executedAt: new Date().toISOString(),
+    missed,
+  };
+
+  try {
+    const limitCheck = checkConversionLimits(order.amountBRL);
+    if (!limitCheck.valid) throw new Error(limitCheck.message);
+
+    const quote = createQuote({
+      amountBRL: order.amountBRL,
+      currency: order.currency,
+      network: order.network,
+      walletAddress: order.walletAddress,
+      feeSpeed: order.feeSpeed,
+    });
+    if (!quote) {
+      throw new Error('Não foi possível obter a taxa de câmbio');
+    }
+    if (quote.finalCryptoAmount <= 0) {
+      throw new Error('A taxa de rede consome todo o valor convertido');
+    }
+
+    await addTransaction(
+      {
+        id: transactionId,
+        status: 'pending_kyc',
+        createdAt: new Date(),
+        ...quote,
+        recurringOrderId: order.id,
+      },
+      { actor: 'system' }
+    );
+
+    return {
+      ...execution,
+      status: 'executed',
+      transactionId,
+      brlAmount: quote.brlAmount,
+      finalCryptoAmount: quote.finalCryptoAmount,
+      cryptoRate: quote.cryptoRate,
+    };
+  } catch (error) {
+    return { ...execution, status: 'failed', message: error.message };
+  }
+}
+
+// Mensagem de uma execução, para notificação e histórico
+function describeExecution(order, execution) {
+  if (execution.status === 'failed') {
+    return `Compra recorrente de ${formatCurrency(order.amountBRL, 'BRL')} em ${
+      order.currency
+    } não realizada: ${execution.message}`;
+  }
+
+  return `Compra recorrente realizada: ${formatCurrency(
+    execution.brlAmount,
+    'BRL'
+  )} → ${formatCurrency(execution.finalCryptoAmount, order.currency)} (${
+    execution.transactionId
+  })`;
+}
+
+// Descrever uma ordem para exibição
+function describeOrder(order) {
+  const asset = getAsset(order.currency);
+  const network = getNetwork(order.network);
+  const parts = [
+    `${formatCurrency(order.amountBRL, 'BRL')} em ${
+      asset ? asset.name : order.currency
+    } (${network ? network.name : order.network})`,
+    RECURRING_FREQUENCIES[order.frequency].label,
+  ];
+
+  if (order.status === 'active' && order.nextRunAt) {
+    parts.push(`próxima em ${formatDate(new Date(order.nextRunAt))}`);
+  }
+  if (order.endDate) {
+    parts.push(`até ${order.endDate.split('-').reverse().join('/')}`);
+  }
+
+  return parts.join(' · ');
+}
+
+// Início do dia atual (hora local)
+function startOfToday() {
+  const now = new Date();
+  return new Date(now.getFullYear(), now.getMonth(), now.getDate());
+}
+
+// Configurar o formulário de criação e edição de ordens
+function setupRecurringForm() {
+  const currencySelect = document.getElementById('recurring-currency');
+  const networkSelect = document.getElementById('recurring-network');
+  const speedSelect = document.getElementById('recurring-fee-speed');
+  const frequencySelect = document.getElementById('recurring-frequency');
+  const saveButton = document.getElementById('btn-save-recurring');
+  const cancelEditButton = document.getElementById('btn-cancel-recurring-edit');
+  if (!currencySelect || !networkSelect || !saveButton) return;
+
+  currencySelect.innerHTML = getSupportedAssets()
+    .map(
+      (asset) =>
+        `<option value="${asset.symbol}">${asset.name} (${asset.symbol})</option>`
+    )
+    .join('');
+  speedSelect.innerHTML = Object.entries(FEE_SPEEDS)
+    .map(
+      ([speed, label]) =>
+        `<option value="${speed}" ${
+          speed === 'normal' ? 'selected' : ''
+        }>${label}</option>`
+    )
+    .join('');
+  frequencySelect.innerHTML = Object.entries(RECURRING_FREQUENCIES)
+    .map(
+      ([frequency, { label }]) =>
+        `<option value="${frequency}" ${
+          frequency === 'weekly' ? 'selected' : ''
+        }>${label}</option>`
+    )
+    .join('');
+
+  currencySelect.addEventListener('change', renderRecurringNetworks);
+  renderRecurringNetworks();
+  resetRecurringForm();
+
+  saveButton.addEventListener('click', handleSaveRecurringOrder);
+  cancelEditButton.addEventListener('click', resetRecurringForm);
+}
+
+// Opções de rede da criptomoeda selecionada no formulário
+function renderRecurringNetworks() {
+  const currency = document.getElementById('recurring-currency').value;
+  document.getElementById('recurring-network').innerHTML = getAssetNetworks(
+    currency
+  )
+    .map((network) => `<option value="${network.id}">${network.name}</option>`)
+    .join('');
+}
+
+// Dados informados no formulário
+function readRecurringForm() {
+  return {
+    amountBRL: parseFloat(document.getElementById('recurring-amount').value),
+    currency: document.getElementById('recurring-currency').value,
+    network: document.getElementById('recurring-network').value,
+    walletAddress: document.getElementById('recurring-wallet').value.trim(),
+    feeSpeed: document.getElementById('recurring-fee-speed').value,
+    frequency: document.getElementById('recurring-frequency').value,
+    startDate: document.getElementById('recurring-start').value,
+    endDate: document.getElementById('recurring-end').value || null,
+  };
+}
+
+// Criar uma ordem ou salvar a ordem em edição
+function handleSaveRecurringOrder() {
+  try {
+    if (editingOrderId) {
+      updateRecurringOrder(editingOrderId, readRecurringForm());
+      window.showInAppNotification('Compra recorrente atualizada.', 'success');
+    } else {
+      createRecurringOrder(readRecurringForm());
+      window.showInAppNotification('Compra recorrente criada.', 'success');
+    }
+  } catch (error) {
+    window.showInAppNotification(error.message, 'error');
+    return;
+  }
+
+  resetRecurringForm();
+  renderRecurringOrders();
+}
+
+// Preencher o formulário com uma ordem para edição
+function editRecurringOrder(order) {
+  editingOrderId = order.id;
+
+  document.getElementById('recurring-amount').value = order.amountBRL;
+  document.getElementById('recurring-currency').value = order.currency;
+  renderRecurringNetworks();
+  document.getElementById('recurring-network').value = order.network;
+  document.getElementById('recurring-wallet').value = order.walletAddress;
+  document.getElementById('recurring-fee-speed').value = order.feeSpeed;
+  document.getElementById('recurring-frequency').value = order.frequency;
+  document.getElementById('recurring-start').value = order.startDate;
+  document.getElementById('recurring-end').value = order.endDate || '';
+
+  document.getElementById('btn-save-recurring').textContent =
+    'Salvar Alterações';
+  document
+    .getElementById('btn-cancel-recurring-edit')
+    .classList.remove('hidden');
+}
+
+// Limpar o formulário e sair do modo de edição
+function resetRecurringForm() {
+  editingOrderId = null;
+
+  const today = startOfToday();
+  const offset = today.getTimezoneOffset() * 60000;
+
+  document.getElementById('recurring-amount').value = '';
+  document.getElementById('recurring-wallet').value = '';
+  document.getElementById('recurring-start').value = new Date(
+    today.getTime() - offset
+  )
+    .toISOString()
+    .substring(0, 10);
+  document.getElementById('recurring-end').value = '';
+
+  document.getElementById('btn-save-recurring').textContent =
+    'Criar Compra Recorrente';
+  document.getElementById('btn-cancel-recurring-edit').classList.add('hidden');
+}
+
+// Renderizar a lista de ordens e o histórico de execuções
+export function renderRecurringOrders() {
+  const list = document.getElementById('recurring-orders-list');
+  if (!list) return;
+
+  const orders = getRecurringOrders();
+  list.innerHTML = '';
+
+  if (orders.length === 0) {
+    list.innerHTML =
+      '<p class="recurring-orders-empty">Nenhuma compra recorrente cadastrada.</p>';
+    return;
+  }
+
+  orders.forEach((order) => {
+    const item = document.createElement('div');
+    item.className = `recurring-order-item ${order.status}`;
+    item.innerHTML = `
+      <div class="recurring-order-header">
+        <span class="recurring-order-description">${escapeHTML(
+          describeOrder(order)
+        )}</span>
+        <span class="recurring-order-status">${
+          RECURRING_STATUSES[order.status]
+        }</span>
+      </div>
+      <div class="recurring-order-wallet">${escapeHTML(
+        order.walletAddress
+      )}</div>
+      <div class="recurring-order-actions">
+        ${
+          order.status === 'cancelled'
+            ? ''
+            : '<button type="button" class="btn small" data-action="edit">Editar</button>'
+        }
+        ${
+          order.status === 'active'
+            ? '<button type="button" class="btn small" data-action="pause">Pausar</button>'
+            : ''
+        }
+        ${
+          order.status === 'paused'
+            ? '<button type="button" class="btn small" data-action="resume">Retomar</button>'
+            : ''
+        }
+        ${
+          order.status === 'active' || order.status === 'paused'
+            ? '<button type="button" class="btn small" data-action="cancel">Cancelar</button>'
+            : ''
+        }
+      </div>
+      <details class="recurring-order-executions">
+        <summary>Execuções (${order.executions.length})</summary>
+        ${renderExecutions(order)}
+      </details>
+    `;
+
+    const actions = {
+      edit: () => editRecurringOrder(order),
+      pause: () => pauseRecurringOrder(order.id),
+      resume: () => resumeRecurringOrder(order.id),
+      cancel: () => cancelRecurringOrder(order.id),
+    };
+
+    item.querySelectorAll('[data-action]').forEach((button) => {
+      button.addEventListener('click', () => {
+        // A ordem pode ter sido alterada ou removida em outra aba desde a
+        // exibição da lista; a lista é refeita também nesse caso
+        try {
+          actions[button.dataset.action]();
+        } catch (error) {
+          window.showInAppNotification(error.message, 'error');
+        }
+        if (button.dataset.action !== 'edit') renderRecurringOrders();
+      });
+    });
+
+    list.appendChild(item);
+  });
+}
+
+// Histórico de execuções de uma ordem
+function renderExecutions(order) {
+  if (order.executions.length === 0) {
+    return '<p class="recurring-orders-empty">Nenhuma execução até o momento.</p>';
+  }
+
+  return `<ul>${order.executions
+    .map(
+      (execution) => `
+        <li class="recurring-execution ${execution.status}">
+          <span>${formatDate(new Date(execution.executedAt))}</span>
+          <span>${EXECUTION_STATUSES[execution.status]}</span>
+          <span>${
+            execution.status === 'executed'
+              ? `${formatCurrency(
+                  execution.brlAmount,
+                  'BRL'
+                )} → ${formatCurrency(
+                  execution.finalCryptoAmount,
+                  order.currency
+                )} (${escapeHTML(execution.transactionId)})`
+              : escapeHTML(execution.message)
+          }${
+        execution.missed
+          ? ` · ${execution.missed} execução(ões) anterior(es) não realizada(s)`
+          : ''
+      }</span>
+        </li>`
+    )
+    .join('')}</ul>`;
+}
@@ -3,6 +3,8 @@
  * Responsável por validações e verificações de segurança
  */
 
+import { validateAddress } from './asset-registry.js';
+
 // Inicialização do módulo
 function initializeSecurityModule() {
   // Adicionar listeners para formulários que precisam de validação
@@ -39,75 +41,28 @@ function setupFormValidations() {
 // Validar endereço de carteira baseado na criptomoeda selecionada
 function validateWalletAddress() {
   const walletInput = document.getElementById('wallet-address');
-  const cryptoSelect = document.getElementById('crypto-currency');
   const walletValue = walletInput.value.trim();
-  const cryptoValue = cryptoSelect.value;
+  const cryptoValue = document.querySelector(
+    'input[name="crypto-currency"]:checked'
+  ).value;
+  const selectedNetwork = document.querySelector(
+    'input[name="network"]:checked'
+  ).value;
 
   if (!walletValue) {
     showValidationError(walletInput, 'Endereço da carteira é obrigatório');
     return false;
   }
 
-  let isValid = false;
-  const networkRadios = document.querySelectorAll('input[name="network"]');
-  let selectedNetwork = '';
-
-  // Identificar a rede selecionada
-  for (const radio of networkRadios) {
-    if (radio.checked) {
-      selectedNetwork = radio.value;
-      break;
-    }
-  }
-
-  // Validações específicas por tipo de criptomoeda e rede
-  if (cryptoValue === 'BTC' && selectedNetwork === 'BTC') {
-    // Validação para endereços Bitcoin (simplificada)
-    isValid =
-      /^[13][a-km-zA-HJ-NP-Z1-9]{25,34}$|^bc1[ac-hj-np-z02-9]{39,59}$/.test(
-        walletValue
-      );
-    if (!isValid) {
-      showValidationError(walletInput, 'Endereço Bitcoin inválido');
-    }
-  } else if (
-    (cryptoValue === 'ETH' || cryptoValue === 'USDT') &&
-    selectedNetwork === 'ETH'
-  ) {
-    // Validação para endereços Ethereum
-    isValid = /^0x[a-fA-F0-9]{40}$/.test(walletValue);
-    if (!isValid) {
-      showValidationError(walletInput, 'Endereço Ethereum inválido');
-    }
-  } else if (
-    (cryptoValue === 'BNB' || cryptoValue === 'USDT') &&
-    selectedNetwork === 'BSC'
-  ) {
-    // Validação para endereços BSC (mesmo formato do Ethereum)
-    isValid = /^0x[a-fA-F0-9]{40}$/.test(walletValue);
-    if (!isValid) {
-      showValidationError(walletInput, 'Endereço BSC inválido');
-    }
-  } else if (cryptoValue === 'XRP') {
-    // Validação para endereços Ripple
-    isValid = /^r[0-9a-zA-Z]{24,34}$/.test(walletValue);
-    if (!isValid) {
-      showValidationError(walletInput, 'Endereço Ripple inválido');
-    }
-  } else {
-    // Verificação de compatibilidade entre moeda e rede
-    showValidationError(
-      walletInput,
-      `A rede ${selectedNetwork} não é compatível com ${cryptoValue}`
-    );
-    isValid = false;
-  }
-
-  if (isValid) {
-    clearValidationError(walletInput);
+  // Formato de endereço e compatibilidade de rede vêm do registro de ativos
+  const validation = validateAddress(cryptoValue, selectedNetwork, walletValue);
+  if (!validation.valid) {
+    showValidationError(walletInput, validation.message);
+    return false;
   }
 
-  return isValid;
+  clearValidationError(walletInput);
+  return true;
 }
 
 // Validar CPF
@@ -120,12 +75,22 @@ function validateCPF() {
     return false;
   }
 
-  // Verificar se todos os dígitos são iguais
-  if (/^(\d)\1+$/.test(cpf)) {
+  if (!isValidCPF(cpf)) {
     showValidationError(cpfInput, 'CPF inválido');
     return false;
   }
 
+  clearValidationError(cpfInput);
+  return true;
+}
+
+// Verifica os dígitos de um CPF (somente números)
+function isValidCPF(cpf) {
+  // Verificar se todos os dígitos são iguais
+  if (!/^\d{11}$/.test(cpf) || /^(\d)\1+$/.test(cpf)) {
+    return false;
+  }
+
   // Algoritmo de validação de CPF
   let sum = 0;
   let remainder;
@@ -141,7 +106,6 @@ function validateCPF() {
   }
 
   if (remainder !== parseInt(cpf.substring(9, 10))) {
-    showValidationError(cpfInput, 'CPF inválido');
     return false;
   }
 
@@ -156,13 +120,118 @@ function validateCPF() {
     remainder = 0;
   }
 
-  if (remainder !== parseInt(cpf.substring(10, 11))) {
-    showValidationError(cpfInput, 'CPF inválido');
+  return remainder === parseInt(cpf.substring(10, 11));
+}
+
+// Verifica os dígitos de um CNPJ (somente números)
+function isValidCNPJ(cnpj) {
+  if (!/^\d{14}$/.test(cnpj) || /^(\d)\1+$/.test(cnpj)) {
     return false;
   }
 
-  clearValidationError(cpfInput);
-  return true;
+  const checkDigit = (length) => {
+    let sum = 0;
+    let weight = length - 7;
+
+    for (let i = 0; i < length; i++) {
+      sum += parseInt(cnpj.charAt(i)) * weight--;
+      if (weight < 2) weight = 9;
+    }
+
+    const remainder = sum % 11;
+    return remainder < 2 ? 0 : 11 - remainder;
+  };
+
+  return (
+    checkDigit(12) === parseInt(cnpj.charAt(12)) &&
+    checkDigit(13) === parseInt(cnpj.charAt(13))
+  );
+}
+
+// Tipos de chave PIX aceitos para pagamento
+export const PIX_KEY_TYPES = {
+  cpf: 'CPF',
+  cnpj: 'CNPJ',
+  email: 'E-mail',
+  phone: 'Telefone',
+  random: 'Chave aleatória',
+};
+
+// Valida uma chave PIX e retorna a chave no formato normalizado
+export function validatePixKey(type, key) {
+  const value = (key || '').trim();
+  const digits = value.replace(/\D/g, '');
+
+  if (!value) {
+    return { valid: false, message: 'Chave PIX é obrigatória' };
+  }
+
+  switch (type) {
+    case 'cpf':
+      return isValidCPF(digits)
+        ? { valid: true, key: digits }
+        : { valid: false, message: 'CPF inválido' };
+    case 'cnpj':
+      return isValidCNPJ(digits)
+        ? { valid: true, key: digits }
+        : { valid: false, message: 'CNPJ inválido' };
+    case 'email':
+      return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value) && value.length <= 77
+        ? { valid: true, key: value.toLowerCase() }
+        : { valid: false, message: 'E-mail inválido' };
+    case 'phone': {
+      // Chaves de telefone são registradas no formato +55DDNNNNNNNNN
+      const national =
+        digits.startsWith('55') && digits.length > 11
+          ? digits.substring(2)
+          : digits;
+      return /^[1-9]{2}9?\d{8}$/.test(national)
+        ? { valid: true, key: `+55${national}` }
+        : { valid: false, message: 'Telefone inválido' };
+    }
+    case 'random':
+      return /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(
+        value
+      )
+        ? { valid: true, key: value.toLowerCase() }
+        : { valid: false, message: 'Chave aleatória inválida' };
+    default:
+      return {
+        valid: false,
+        message: `Tipo de chave PIX desconhecido: ${type}`,
+      };
+  }
+}
+
+// Mascarar uma chave PIX para exibição
+export function maskPixKey(type, key) {
+  if (!key) return 'N/A';
+
+  switch (type) {
+    case 'cpf':
+      return `***.${key.substring(3, 6)}.${key.substring(6, 9)}-**`;
+    case 'email': {
+      const [user, domain] = key.split('@');
+      return `${user.substring(0, 2)}***@${domain}`;
+    }
+    case 'phone':
+      return `${key.substring(0, 5)}*****${key.substring(key.length - 4)}`;
+    case 'random':
+      return `${key.substring(0, 8)}...`;
+    default:
+      return key;
+  }
+}
+
+// Escapa texto para inserção em HTML (endereços, chaves e IDs podem vir do
+// usuário ou de um backup importado)
+export function escapeHTML(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
 }
 
 // Formatar CPF enquanto digita (000.000.000-00)
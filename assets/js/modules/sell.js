@@ -0,0 +1,432 @@
+/**
+ * FastCripto - Módulo de Venda
+ * Venda de criptomoedas com pagamento em reais via PIX: cotação, endereço
+ * de depósito e acompanhamento do status da venda
+ */
+
+import { getRatesStatus } from './rates.js';
+import {
+  createSellQuote,
+  requote,
+  isQuoteExpired,
+  startQuoteCountdown,
+  stopQuoteCountdown,
+} from './quotes.js';
+import { formatCurrency, formatDate } from './conversion.js';
+import {
+  getSupportedAssets,
+  getAssetNetworks,
+  getNetwork,
+  getMinConversionAmount,
+  validateAddress,
+} from './asset-registry.js';
+import { addTransaction } from './transactions.js';
+import { PIX_KEY_TYPES, validatePixKey, maskPixKey } from './security.js';
+import { downloadReceiptPDF } from './receipts.js';
+import { checkConversionLimits } from './limits.js';
+
+// Prazo padrão para o depósito da cripto, em minutos
+const DEFAULT_DEPOSIT_WINDOW = 60;
+
+// Endereços de depósito usados quando as respostas da API são simuladas
+const MOCK_DEPOSIT_ADDRESSES = {
+  BTC: 'bc1qxy2kgdygjrsqtzq2n0yrf2493p83kkfjhx0wlh',
+  ETH: '0x5fa5c1200000000000000000000000000000f001',
+  BSC: '0x5fa5c1200000000000000000000000000000b5c1',
+  XRPL: 'rFastCriptoDepositMockAddress1',
+};
+
+// Variáveis do módulo
+let currentSellQuote = null;
+
+// Inicializa o formulário de venda
+// O status das vendas é acompanhado pelo módulo de acompanhamento de
+// transações
+export function initializeSellModule() {
+  if (!document.getElementById('sell-form')) return;
+
+  renderSellOptions();
+  setupSellForm();
+
+  if (CONFIG.debugMode) {
+    console.log('FastCripto: Módulo de venda inicializado');
+  }
+}
+
+// Renderizar as opções de criptomoeda, rede e tipo de chave PIX
+function renderSellOptions() {
+  const cryptoContainer = document.getElementById('sell-crypto-options');
+  cryptoContainer.innerHTML = getSupportedAssets()
+    .map(
+      (asset, index) => `
+    <label class="crypto-option">
+      <input type="radio" name="sell-currency" value="${asset.symbol}" ${
+        index === 0 ? 'checked' : ''
+      } />
+      <span class="crypto-icon">${asset.icon}</span>
+      <span class="crypto-name">${asset.name}</span>
+      <span class="crypto-ticker">${asset.symbol}</span>
+    </label>
+  `
+    )
+    .join('');
+
+  document.getElementById('pix-key-type').innerHTML = Object.entries(
+    PIX_KEY_TYPES
+  )
+    .map(([type, label]) => `<option value="${type}">${label}</option>`)
+    .join('');
+
+  renderSellNetworks();
+}
+
+// Mostrar apenas as redes compatíveis com a criptomoeda selecionada
+function renderSellNetworks() {
+  const currency = getSelectedValue('sell-currency');
+
+  document.getElementById('sell-network-options').innerHTML = getAssetNetworks(
+    currency
+  )
+    .map(
+      (network, index) => `
+    <label class="network-option">
+      <input type="radio" name="sell-network" value="${network.id}" ${
+        index === 0 ? 'checked' : ''
+      } />
+      <span>${network.name}</span>
+    </label>
+  `
+    )
+    .join('');
+
+  document.getElementById(
+    'sell-amount-label'
+  ).textContent = `Quantidade a vender (${currency})`;
+}
+
+// Configurar os eventos do formulário de venda
+function setupSellForm() {
+  document
+    .getElementById('btn-sell-calculate')
+    .addEventListener('click', handleSellCalculate);
+  document
+    .getElementById('btn-sell-proceed')
+    .addEventListener('click', handleSellProceed);
+  document
+    .getElementById('btn-copy-deposit-address')
+    .addEventListener('click', copyDepositAddress);
+  document
+    .getElementById('btn-sell-quote-receipt')
+    .addEventListener('click', () => {
+      if (currentSellQuote) downloadReceiptPDF(currentSellQuote);
+    });
+  document.getElementById('btn-sell-new').addEventListener('click', () => {
+    document.getElementById('sell-deposit').classList.add('hidden');
+    document.getElementById('sell-form').classList.remove('hidden');
+  });
+
+  document.querySelectorAll('input[name="sell-currency"]').forEach((option) => {
+    option.addEventListener('change', renderSellNetworks);
+  });
+
+  document.getElementById('pix-key-type').addEventListener('change', () => {
+    document.getElementById('pix-key').value = '';
+  });
+
+  // Alterar os parâmetros da venda invalida a cotação atual
+  document
+    .querySelectorAll(
+      '#sell-amount, input[name="sell-currency"], #sell-network-options, #pix-key-type, #pix-key'
+    )
+    .forEach((input) => {
+      input.addEventListener('change', discardSellQuote);
+    });
+}
+
+// Calcular a venda e gerar a cotação firme
+function handleSellCalculate() {
+  const currency = getSelectedValue('sell-currency');
+  const network = getSelectedValue('sell-network');
+  const cryptoAmount = parseFloat(document.getElementById('sell-amount').value);
+  const pixKeyType = document.getElementById('pix-key-type').value;
+
+  if (!cryptoAmount || isNaN(cryptoAmount) || cryptoAmount <= 0) {
+    window.showInAppNotification('Informe a quantidade a vender.', 'error');
+    return;
+  }
+
+  const pixValidation = validatePixKey(
+    pixKeyType,
+    document.getElementById('pix-key').value
+  );
+  if (!pixValidation.valid) {
+    window.showInAppNotification(pixValidation.message, 'error');
+    return;
+  }
+
+  // Vendas não aceitam taxas desatualizadas, nem mediante confirmação
+  if (getRatesStatus(currency).degraded) {
+    window.showInAppNotification(
+      `A cotação de ${currency} está indisponível ou desatualizada. As vendas ficam suspensas até a normalização das taxas.`,
+      'error'
+    );
+    return;
+  }
+
+  const quote = createSellQuote({
+    cryptoAmount,
+    currency,
+    network,
+    pixKey: pixValidation.key,
+    pixKeyType,
+  });
+  if (!quote) {
+    window.showInAppNotification(
+      'Não foi possível obter a taxa de câmbio. Tente novamente.',
+      'error'
+    );
+    return;
+  }
+
+  const minAmount = getMinConversionAmount(currency);
+  if (quote.brlAmount < minAmount) {
+    window.showInAppNotification(
+      `Valor mínimo de venda é ${formatCurrency(minAmount, 'BRL')}`,
+      'error'
+    );
+    return;
+  }
+
+  // Vendas contam nos mesmos limites do nível de KYC que as compras
+  const limitCheck = checkConversionLimits(quote.brlAmount);
+  if (!limitCheck.valid) {
+    window.showInAppNotification(limitCheck.message, 'error');
+    return;
+  }
+
+  showSellQuote(quote);
+}
+
+// Exibir o resumo da venda e iniciar a contagem regressiva da cotação
+function showSellQuote(quote) {
+  const setText = (id, text) => {
+    document.getElementById(id).textContent = text;
+  };
+
+  setText(
+    'sell-result-crypto',
+    formatCurrency(quote.cryptoAmount, quote.currency)
+  );
+  setText('sell-result-gross', formatCurrency(quote.brlAmount, 'BRL'));
+  setText('sell-result-iof', `- ${formatCurrency(quote.iofAmount, 'BRL')}`);
+  setText(
+    'sell-result-ir',
+    `- ${formatCurrency(quote.incomeTaxAmount, 'BRL')}`
+  );
+  setText(
+    'sell-result-service-fee',
+    `- ${formatCurrency(quote.serviceAmount, 'BRL')} (${
+      quote.serviceFee.label
+    })`
+  );
+  setText('sell-result-net', formatCurrency(quote.netAmount, 'BRL'));
+  setText('sell-result-rate', formatCurrency(quote.cryptoRate, 'BRL'));
+
+  document.getElementById('sell-result').classList.remove('hidden');
+  document.getElementById('btn-sell-proceed').classList.remove('hidden');
+  startQuoteCountdown(quote, document.getElementById('sell-quote-countdown'));
+
+  currentSellQuote = quote;
+}
+
+// Descartar a cotação de venda atual e esconder o resumo
+function discardSellQuote() {
+  if (!currentSellQuote) return;
+
+  stopQuoteCountdown(document.getElementById('sell-quote-countdown'));
+  currentSellQuote = null;
+  document.getElementById('sell-result').classList.add('hidden');
+  document.getElementById('btn-sell-proceed').classList.add('hidden');
+}
+
+// Confirmar a venda: registrar a ordem e exibir o endereço de depósito
+async function handleSellProceed() {
+  if (!currentSellQuote) return;
+
+  // Cotação expirada: gerar nova cotação e pedir nova confirmação
+  if (isQuoteExpired(currentSellQuote)) {
+    let newQuote;
+    try {
+      newQuote = requote(currentSellQuote);
+    } catch (error) {
+      console.error('FastCripto: Erro ao renovar a cotação de venda:', error);
+      discardSellQuote();
+      window.showInAppNotification(
+        `A cotação expirou e não foi possível renová-la: ${error.message}`,
+        'error'
+      );
+      return;
+    }
+
+    if (!newQuote || getRatesStatus(newQuote.currency).degraded) {
+      discardSellQuote();
+      window.showInAppNotification(
+        'A cotação expirou e não foi possível obter uma nova taxa. Tente novamente.',
+        'error'
+      );
+      return;
+    }
+
+    showSellQuote(newQuote);
+    window.showInAppNotification(
+      'A cotação expirou. Revise os novos valores e clique em Confirmar venda.',
+      'warning'
+    );
+    return;
+  }
+
+  // Outra transação pode ter consumido o limite depois da cotação
+  const limitCheck = checkConversionLimits(currentSellQuote.brlAmount);
+  if (!limitCheck.valid) {
+    window.showInAppNotification(limitCheck.message, 'error');
+    return;
+  }
+
+  const quote = currentSellQuote;
+  const proceedButton = document.getElementById('btn-sell-proceed');
+  proceedButton.disabled = true;
+
+  try {
+    const order = await submitSellOrder(quote);
+
+    const transaction = await addTransaction({
+      id: order.id,
+      type: 'sell',
+      status: 'awaiting_deposit',
+      createdAt: new Date(),
+      ...quote,
+      depositAddress: order.depositAddress,
+      depositMemo: order.depositMemo || null,
+      depositExpiresAt: order.expiresAt,
+    });
+
+    discardSellQuote();
+    showDepositInstructions(transaction);
+    window.showInAppNotification(
+      'Venda registrada! Envie a criptomoeda para o endereço informado.',
+      'success'
+    );
+  } catch (error) {
+    console.error('FastCripto: Erro ao registrar venda:', error);
+    window.showInAppNotification(
+      'Não foi possível registrar a venda. Tente novamente.',
+      'error'
+    );
+  } finally {
+    proceedButton.disabled = false;
+  }
+}
+
+// Registrar a ordem de venda no backend e obter o endereço de depósito
+async function submitSellOrder(quote) {
+  const depositWindow =
+    CONFIG.sellDepositWindowMinutes ?? DEFAULT_DEPOSIT_WINDOW;
+
+  let order;
+  if (CONFIG.mockApiResponses) {
+    const now = Date.now();
+    order = {
+      id: `SL${now}`,
+      depositAddress: MOCK_DEPOSIT_ADDRESSES[quote.network],
+      // O XRP Ledger identifica o depósito pela tag de destino
+      depositMemo: quote.network === 'XRPL' ? String(now % 1000000000) : null,
+      expiresAt: new Date(now + depositWindow * 60 * 1000),
+    };
+  } else {
+    const response = await fetch(`${CONFIG.apiBaseUrl}/sell-orders`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({
+        quoteId: quote.quoteId,
+        currency: quote.currency,
+        network: quote.network,
+        amount: quote.units.cryptoAmount,
+        rate: quote.cryptoRate,
+        pixKey: quote.pixKey,
+        pixKeyType: quote.pixKeyType,
+      }),
+    });
+    if (!response.ok) {
+      throw new Error(`Erro ao registrar venda: ${response.status}`);
+    }
+
+    const data = await response.json();
+    order = { ...data, expiresAt: new Date(data.expiresAt) };
+  }
+
+  // Nunca exibir um endereço incompatível com a rede escolhida
+  const validation = validateAddress(
+    quote.currency,
+    quote.network,
+    order.depositAddress || ''
+  );
+  if (!validation.valid) {
+    throw new Error(`Endereço de depósito inválido: ${validation.message}`);
+  }
+
+  return order;
+}
+
+// Exibir as instruções de depósito de uma venda
+function showDepositInstructions(transaction) {
+  const network = getNetwork(transaction.network);
+  const setText = (id, text) => {
+    document.getElementById(id).textContent = text;
+  };
+
+  setText(
+    'sell-deposit-amount',
+    formatCurrency(transaction.cryptoAmount, transaction.currency)
+  );
+  setText('sell-deposit-network', network ? network.name : transaction.network);
+  setText('sell-deposit-address', transaction.depositAddress);
+  setText('sell-deposit-memo', transaction.depositMemo || '');
+  setText('sell-deposit-expires', formatDate(transaction.depositExpiresAt));
+  setText('sell-deposit-net', formatCurrency(transaction.netAmount, 'BRL'));
+  setText(
+    'sell-deposit-pix',
+    `${PIX_KEY_TYPES[transaction.pixKeyType]}: ${maskPixKey(
+      transaction.pixKeyType,
+      transaction.pixKey
+    )}`
+  );
+
+  document
+    .getElementById('sell-deposit-memo-row')
+    .classList.toggle('hidden', !transaction.depositMemo);
+  document.getElementById('sell-form').classList.add('hidden');
+  document.getElementById('sell-deposit').classList.remove('hidden');
+}
+
+// Copiar o endereço de depósito para a área de transferência
+function copyDepositAddress() {
+  const address = document.getElementById('sell-deposit-address').textContent;
+
+  navigator.clipboard
+    .writeText(address)
+    .then(() => window.showInAppNotification('Endereço copiado.', 'success'))
+    .catch(() =>
+      window.showInAppNotification(
+        'Não foi possível copiar. Selecione o endereço e copie manualmente.',
+        'error'
+      )
+    );
+}
+
+// Valor do radio selecionado em um grupo
+function getSelectedValue(name) {
+  const selected = document.querySelector(`input[name="${name}"]:checked`);
+  return selected ? selected.value : null;
+}
@@ -0,0 +1,151 @@
+/**
+ * FastCripto - Módulo de Taxas de Serviço
+ * Tabela de taxas por faixa de valor, com desconto pelo volume negociado
+ * nos últimos 30 dias e tabelas específicas por criptomoeda
+ */
+
+import { getTransactionHistory, INACTIVE_STATUSES } from './transactions.js';
+import { toUnits, fromUnits } from './decimal.js';
+import { formatCurrency } from './conversion.js';
+
+// Período considerado no volume do cliente, em dias
+const VOLUME_WINDOW_DAYS = 30;
+
+// Casas decimais das taxas percentuais (as mesmas do cálculo da conversão)
+const RATE_DECIMALS = 8;
+
+// Tabela de taxas de serviço em uso
+// Sem CONFIG.serviceFeeSchedule, vale a taxa única de CONFIG.fees (ou
+// CONFIG.sellFees, na venda), sem faixas nem descontos
+function getSchedule(side) {
+  if (CONFIG.serviceFeeSchedule) return CONFIG.serviceFeeSchedule;
+
+  const fees = side === 'sell' ? CONFIG.sellFees ?? CONFIG.fees : CONFIG.fees;
+  return { brackets: [{ upTo: null, rate: fees.service }] };
+}
+
+// Faixas de valor aplicáveis a uma criptomoeda, com limites inferiores
+// Cada faixa cobre valores acima do limite da anterior até o próprio upTo
+export function getServiceFeeBrackets(currency, side = 'buy') {
+  const schedule = getSchedule(side);
+  const override = schedule.assets && schedule.assets[currency];
+  const brackets = (override && override.brackets) || schedule.brackets;
+
+  let min = 0;
+  return brackets.map((bracket, index) => {
+    const normalized = {
+      name: bracket.name || `Faixa ${index + 1}`,
+      min,
+      max: bracket.upTo ?? null,
+      rate: bracket.rate,
+    };
+    min = bracket.upTo;
+    return normalized;
+  });
+}
+
+// Verifica se um valor em BRL pertence à faixa
+export function isInBracket(amountBRL, bracket) {
+  return (
+    amountBRL > bracket.min &&
+    (bracket.max === null || amountBRL <= bracket.max)
+  );
+}
+
+// Volume em BRL negociado pelo cliente no período, compras e vendas
+export function getTrailingVolume(now = new Date()) {
+  const since = now.getTime() - VOLUME_WINDOW_DAYS * 24 * 60 * 60 * 1000;
+
+  return getTransactionHistory()
+    .filter(
+      (t) =>
+        !INACTIVE_STATUSES.includes(t.status) &&
+        new Date(t.createdAt).getTime() >= since
+    )
+    .reduce((total, t) => total + (t.brlAmount || 0), 0);
+}
+
+// Determina a taxa de serviço de uma conversão
+// Retorna a taxa efetiva e a descrição da faixa e do desconto aplicados
+export function resolveServiceFee({
+  amountBRL,
+  currency,
+  side = 'buy',
+  volume = getTrailingVolume(),
+}) {
+  const brackets = getServiceFeeBrackets(currency, side);
+  const bracket =
+    brackets.find((candidate) => isInBracket(amountBRL, candidate)) ||
+    brackets[brackets.length - 1];
+
+  return resolveBracketFee(bracket, currency, side, volume);
+}
+
+// Aplica o desconto por volume à taxa de uma faixa
+export function resolveBracketFee(bracket, currency, side, volume) {
+  const schedule = getSchedule(side);
+  const override = schedule.assets && schedule.assets[currency];
+  const discounts =
+    (override && override.volumeDiscounts) || schedule.volumeDiscounts || [];
+
+  // Maior desconto cujo volume mínimo o cliente atingiu
+  const discount = discounts
+    .filter((tier) => volume >= tier.minVolume)
+    .sort((a, b) => b.minVolume - a.minVolume)[0];
+
+  // Taxa com desconto, limitada às casas decimais usadas na conversão
+  const rate = discount
+    ? fromUnits(
+        toUnits(bracket.rate * (1 - discount.discount), RATE_DECIMALS),
+        RATE_DECIMALS
+      )
+    : bracket.rate;
+
+  return {
+    rate,
+    baseRate: bracket.rate,
+    bracket,
+    discount: discount
+      ? {
+          name: discount.name || null,
+          minVolume: discount.minVolume,
+          percent: discount.discount,
+        }
+      : null,
+    volume,
+    label: describeServiceFee(rate, bracket, discount),
+  };
+}
+
+// Descrição da taxa para exibição no resumo da conversão
+// Ex.: "1,35% · Faixa 2 (até R$ 10.000,00) · Prata: -10%"
+function describeServiceFee(rate, bracket, discount) {
+  const parts = [formatPercent(rate)];
+
+  // Tabela de faixa única não precisa de identificação
+  if (bracket.min > 0 || bracket.max !== null) {
+    parts.push(
+      bracket.max === null
+        ? `${bracket.name} (acima de ${formatCurrency(bracket.min, 'BRL')})`
+        : `${bracket.name} (até ${formatCurrency(bracket.max, 'BRL')})`
+    );
+  }
+
+  if (discount) {
+    parts.push(
+      `${discount.name || 'Desconto por volume'}: -${formatPercent(
+        discount.discount
+      )}`
+    );
+  }
+
+  return parts.join(' · ');
+}
+
+// Formata uma taxa percentual (0.0135 → "1,35%")
+function formatPercent(value) {
+  return new Intl.NumberFormat('pt-BR', {
+    style: 'percent',
+    maximumFractionDigits: 4,
+  }).format(value);
+}
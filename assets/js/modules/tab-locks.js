@@ -0,0 +1,18 @@
+/**
+ * FastCripto - Módulo de Bloqueio entre Abas
+ * Execução exclusiva de tarefas agendadas quando o aplicativo está aberto em
+ * mais de uma aba
+ */
+
+// Executar a tarefa com exclusividade entre as abas, pela Web Locks API
+// Se outra aba estiver executando a mesma tarefa, esta execução é ignorada e
+// o resultado é null; a tarefa deve reler o estado salvo, já que a outra aba
+// pode tê-lo alterado. Sem suporte à API, a tarefa é executada diretamente
+export async function runExclusive(name, task) {
+  const locks = globalThis.navigator?.locks;
+  if (!locks) return task();
+
+  return locks.request(name, { ifAvailable: true }, (lock) =>
+    lock ? task() : null
+  );
+}
@@ -0,0 +1,230 @@
+/**
+ * FastCripto - Módulo de Regras Tributárias
+ * Tabela versionada de alíquotas (IOF e IR) com vigência, faixas de valor e
+ * aplicabilidade por ativo, tipo de operação e tipo de cliente
+ */
+
+import { getCustomerType } from './auth.js';
+
+// Tributos calculados nas conversões
+export const TAX_TYPES = {
+  iof: 'IOF',
+  incomeTax: 'Imposto de Renda',
+};
+
+// Chave do armazenamento local da última tabela recebida
+const STORAGE_KEY = 'fastcripto_tax_rules';
+
+// Fuso horário das datas de vigência (início do dia em Brasília)
+const EFFECTIVE_DATE_OFFSET = '-03:00';
+
+// Tabela embutida, usada até a primeira resposta da API e quando ela falha
+// Reproduz as alíquotas únicas usadas antes da tabela versionada
+const BUNDLED_TAX_TABLE = {
+  version: 1,
+  rules: [
+    {
+      id: 'iof-base',
+      tax: 'iof',
+      rate: 0.0038,
+      effectiveFrom: '2000-01-01',
+      description: 'IOF sobre operações de câmbio',
+    },
+    {
+      id: 'ir-base',
+      tax: 'incomeTax',
+      rate: 0.15,
+      effectiveFrom: '2000-01-01',
+      description: 'Imposto de Renda retido na operação',
+    },
+  ],
+};
+
+// Variáveis do módulo
+let taxTable = loadCachedTaxTable() || BUNDLED_TAX_TABLE;
+
+// Carrega a tabela de regras publicada pelo backend
+export async function initializeTaxRules() {
+  await refreshTaxRules();
+
+  if (CONFIG.debugMode) {
+    console.log(
+      `FastCripto: Regras tributárias carregadas (versão ${taxTable.version})`
+    );
+  }
+}
+
+// Buscar a versão mais recente da tabela de regras
+// As regras vêm da API, e não dos arquivos de configuração, para que mudanças
+// de alíquota entrem em vigor sem nova publicação do site
+export async function refreshTaxRules() {
+  if (CONFIG.mockApiResponses) return taxTable;
+
+  try {
+    const response = await fetch(`${CONFIG.apiBaseUrl}/tax-rules`);
+    if (!response.ok) {
+      throw new Error(`Erro ao obter regras tributárias: ${response.status}`);
+    }
+
+    const table = await response.json();
+    validateTaxTable(table);
+
+    // Nunca retroceder para uma versão anterior à que já está em uso
+    if (table.version >= taxTable.version) {
+      taxTable = table;
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(table));
+    }
+  } catch (error) {
+    console.warn(
+      `FastCripto: Usando regras tributárias da versão ${taxTable.version}:`,
+      error
+    );
+  }
+
+  return taxTable;
+}
+
+// Versão da tabela de regras em uso
+export function getTaxTableVersion() {
+  return taxTable.version;
+}
+
+// Determina as alíquotas de uma operação, com as regras vigentes na data
+// Retorna, para cada tributo, a alíquota e a regra aplicada (ou 0 e null)
+export function resolveTaxes({
+  amountBRL,
+  currency,
+  operation,
+  customerType = getCustomerType(),
+  date = new Date(),
+}) {
+  const context = { amountBRL, currency, operation, customerType, date };
+  const result = { version: taxTable.version, date: new Date(date) };
+
+  Object.keys(TAX_TYPES).forEach((tax) => {
+    const rule = selectRule(
+      taxTable.rules.filter(
+        (candidate) => candidate.tax === tax && ruleApplies(candidate, context)
+      )
+    );
+
+    result[tax] = rule
+      ? { rate: rule.rate, ruleId: rule.id }
+      : { rate: 0, ruleId: null };
+  });
+
+  return result;
+}
+
+// Valores em BRL em que alguma alíquota aplicável muda (limites das faixas)
+// Usado para resolver a conversão reversa faixa a faixa
+export function getTaxBreakpoints({
+  currency,
+  operation,
+  customerType = getCustomerType(),
+  date = new Date(),
+}) {
+  const context = { currency, operation, customerType, date };
+  const breakpoints = new Set();
+
+  taxTable.rules
+    .filter((rule) => ruleApplies(rule, context))
+    .forEach((rule) => {
+      if (rule.minAmount) breakpoints.add(rule.minAmount);
+      if (rule.maxAmount != null) breakpoints.add(rule.maxAmount);
+    });
+
+  return [...breakpoints].sort((a, b) => a - b);
+}
+
+// Verifica se uma regra vale para o contexto informado
+// Sem amountBRL, a faixa de valor não é verificada
+function ruleApplies(
+  rule,
+  { amountBRL, currency, operation, customerType, date }
+) {
+  const time = new Date(date).getTime();
+
+  if (time < parseEffectiveDate(rule.effectiveFrom)) return false;
+  if (rule.effectiveTo && time >= parseEffectiveDate(rule.effectiveTo)) {
+    return false;
+  }
+
+  if (rule.operations && !rule.operations.includes(operation)) return false;
+  if (rule.assets && !rule.assets.includes(currency)) return false;
+  if (rule.customerTypes && !rule.customerTypes.includes(customerType)) {
+    return false;
+  }
+
+  // A regra vale para valores acima de minAmount, até maxAmount
+  if (amountBRL !== undefined) {
+    if (rule.minAmount && amountBRL <= rule.minAmount) return false;
+    if (rule.maxAmount != null && amountBRL > rule.maxAmount) return false;
+  }
+
+  return true;
+}
+
+// Entre as regras aplicáveis, vale a de vigência mais recente; no empate,
+// a mais específica (com mais critérios de aplicabilidade)
+function selectRule(rules) {
+  const specificity = (rule) =>
+    ['operations', 'assets', 'customerTypes', 'minAmount', 'maxAmount'].filter(
+      (field) => rule[field] != null
+    ).length;
+
+  return rules.reduce((best, rule) => {
+    if (!best) return rule;
+
+    const fromDiff =
+      parseEffectiveDate(rule.effectiveFrom) -
+      parseEffectiveDate(best.effectiveFrom);
+    if (fromDiff !== 0) return fromDiff > 0 ? rule : best;
+
+    return specificity(rule) >= specificity(best) ? rule : best;
+  }, null);
+}
+
+// Converte uma data de vigência (AAAA-MM-DD) para o início do dia em Brasília
+function parseEffectiveDate(value) {
+  return new Date(`${value}T00:00:00${EFFECTIVE_DATE_OFFSET}`).getTime();
+}
+
+// Validar a estrutura de uma tabela de regras recebida
+function validateTaxTable(table) {
+  if (
+    !table ||
+    !Number.isInteger(table.version) ||
+    !Array.isArray(table.rules)
+  ) {
+    throw new Error('Tabela de regras tributárias em formato inválido');
+  }
+
+  table.rules.forEach((rule) => {
+    const valid =
+      rule.id &&
+      TAX_TYPES[rule.tax] &&
+      typeof rule.rate === 'number' &&
+      rule.rate >= 0 &&
+      rule.rate < 1 &&
+      /^\d{4}-\d{2}-\d{2}$/.test(rule.effectiveFrom);
+
+    if (!valid) {
+      throw new Error(`Regra tributária inválida: ${rule.id || '(sem id)'}`);
+    }
+  });
+}
+
+// Obter a tabela recebida anteriormente, se houver
+function loadCachedTaxTable() {
+  try {
+    const stored = localStorage.getItem(STORAGE_KEY);
+    if (!stored) return null;
+
+    const table = JSON.parse(stored);
+    validateTaxTable(table);
+    return table.version >= BUNDLED_TAX_TABLE.version ? table : null;
+  } catch (error) {
+    return null;
+  }
+}
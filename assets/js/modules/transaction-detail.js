@@ -0,0 +1,191 @@
+/**
+ * FastCripto - Módulo de Detalhes da Transação
+ * Painel com os valores, a cotação, a linha do tempo de status e os dados
+ * da transação na blockchain
+ */
+
+import { formatDate } from './conversion.js';
+import { getNetwork, getExplorerUrl } from './asset-registry.js';
+import { buildReceipt } from './receipts.js';
+import { escapeHTML } from './security.js';
+import {
+  isSellTransaction,
+  getTransactionStatus,
+  TRANSITION_ACTORS,
+} from './transactions.js';
+
+// Linha do tempo de status de uma transação, da mais antiga para a mais
+// recente
+export function getStatusTimeline(transaction) {
+  return (transaction.statusHistory || []).map((entry) => {
+    const status = getTransactionStatus({ ...transaction, status: entry.to });
+
+    return {
+      status: entry.to,
+      label: status.label,
+      className: status.className,
+      at: new Date(entry.at),
+      actor: TRANSITION_ACTORS[entry.actor] || entry.actor || 'N/A',
+      reason: entry.reason,
+    };
+  });
+}
+
+// Rede, endereço e dados da transação na blockchain, com os links do
+// explorador da rede
+// Nas compras, o endereço é a carteira de destino; nas vendas, o endereço de
+// depósito da FastCripto
+export function getOnChainDetails(transaction) {
+  const network = getNetwork(transaction.network);
+  const sell = isSellTransaction(transaction);
+  const address = sell ? transaction.depositAddress : transaction.walletAddress;
+
+  return {
+    network: network ? network.name : transaction.network || 'N/A',
+    explorer: network && network.explorer ? network.explorer.name : null,
+    addressLabel: sell ? 'Endereço de depósito' : 'Carteira de destino',
+    address: address || null,
+    addressUrl: getExplorerUrl(transaction.network, 'address', address),
+    memo: sell ? transaction.depositMemo || null : null,
+    txHash: transaction.txHash || null,
+    txUrl: getExplorerUrl(transaction.network, 'tx', transaction.txHash),
+    confirmations: Number.isInteger(transaction.confirmations)
+      ? transaction.confirmations
+      : null,
+  };
+}
+
+// HTML do painel de detalhes de uma transação
+// Valores e cotação vêm do comprovante, para que os dois mostrem os mesmos
+// números
+export function renderTransactionDetail(transaction) {
+  const receipt = buildReceipt(transaction);
+  const [identification, , amounts] = receipt.sections;
+  const status = getTransactionStatus(transaction);
+
+  const quoteRows = [...identification.rows];
+  if (transaction.quotedAt) {
+    quoteRows.push(['Cotação emitida em', formatDate(transaction.quotedAt)]);
+  }
+
+  return `
+    <div class="transaction-detail-header">
+      <h2>Transação ${escapeHTML(transaction.id)}</h2>
+      <span class="transaction-status ${status.className}">${escapeHTML(
+    status.label
+  )}</span>
+      <button type="button" class="btn small" data-action="close-detail" aria-label="Fechar detalhes">Fechar</button>
+    </div>
+    ${renderRows('Identificação', quoteRows)}
+    ${renderRows(amounts.title, amounts.rows)}
+    ${renderOnChain(getOnChainDetails(transaction))}
+    ${renderTimeline(getStatusTimeline(transaction))}
+    ${
+      receipt.notes.length > 0
+        ? `<div class="transaction-detail-notes">${receipt.notes
+            .map((note) => `<p>${escapeHTML(note)}</p>`)
+            .join('')}</div>`
+        : ''
+    }
+  `;
+}
+
+// Seção com pares de rótulo e valor
+function renderRows(title, rows) {
+  return `
+    <section class="transaction-detail-section">
+      <h3>${escapeHTML(title)}</h3>
+      <dl>
+        ${rows
+          .map(
+            ([label, value]) =>
+              `<dt>${escapeHTML(label)}</dt><dd>${escapeHTML(value)}</dd>`
+          )
+          .join('')}
+      </dl>
+    </section>
+  `;
+}
+
+// Seção da blockchain: rede, endereço completo, hash e confirmações
+function renderOnChain(details) {
+  const explorerLink = (url) =>
+    url
+      ? ` <a href="${escapeHTML(
+          url
+        )}" target="_blank" rel="noopener noreferrer">Ver no ${escapeHTML(
+          details.explorer
+        )}</a>`
+      : '';
+
+  return `
+    <section class="transaction-detail-section">
+      <h3>Blockchain</h3>
+      <dl>
+        <dt>Rede</dt>
+        <dd>${escapeHTML(details.network)}</dd>
+        <dt>${escapeHTML(details.addressLabel)}</dt>
+        <dd>${
+          details.address
+            ? `<code class="transaction-detail-address">${escapeHTML(
+                details.address
+              )}</code>
+              <button type="button" class="btn small" data-action="copy-address">Copiar</button>${explorerLink(
+                details.addressUrl
+              )}`
+            : 'N/A'
+        }</dd>
+        ${
+          details.memo
+            ? `<dt>Tag de destino</dt><dd>${escapeHTML(details.memo)}</dd>`
+            : ''
+        }
+        <dt>Hash da transação</dt>
+        <dd>${
+          details.txHash
+            ? `<code>${escapeHTML(details.txHash)}</code>${explorerLink(
+                details.txUrl
+              )}`
+            : 'Ainda não enviada à rede'
+        }</dd>
+        <dt>Confirmações</dt>
+        <dd>${
+          details.confirmations !== null ? details.confirmations : 'N/A'
+        }</dd>
+      </dl>
+    </section>
+  `;
+}
+
+// Linha do tempo de status, com data, responsável e motivo de cada mudança
+function renderTimeline(timeline) {
+  if (timeline.length === 0) {
+    return `
+      <section class="transaction-detail-section">
+        <h3>Linha do tempo</h3>
+        <p>Sem histórico de status registrado.</p>
+      </section>
+    `;
+  }
+
+  return `
+    <section class="transaction-detail-section">
+      <h3>Linha do tempo</h3>
+      <ol class="transaction-timeline">
+        ${timeline
+          .map(
+            (entry) => `
+              <li class="${entry.className}">
+                <strong>${escapeHTML(entry.label)}</strong>
+                <span>${escapeHTML(formatDate(entry.at))} · ${escapeHTML(
+              entry.actor
+            )}</span>
+                ${entry.reason ? `<p>${escapeHTML(entry.reason)}</p>` : ''}
+              </li>
+            `
+          )
+          .join('')}
+      </ol>
+    </section>
+  `;
+}
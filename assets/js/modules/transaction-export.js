@@ -0,0 +1,389 @@
+/**
+ * FastCripto - Módulo de Exportação de Transações
+ * Exportação do histórico em CSV, OFX e JSON (backup) e restauração de
+ * backups JSON no armazenamento de transações
+ */
+
+import { getCurrentUserId } from './auth.js';
+import { getAsset, getNetwork } from './asset-registry.js';
+import { PIX_KEY_TYPES, maskPixKey } from './security.js';
+import {
+  isSellTransaction,
+  getTransactionStatus,
+  importTransactions,
+  INACTIVE_STATUSES,
+} from './transactions.js';
+
+// Identificação do arquivo de backup
+const BACKUP_FORMAT = 'fastcripto-transactions';
+const BACKUP_VERSION = 1;
+
+// Formatos de número disponíveis para o CSV
+// O separador de colunas acompanha o separador decimal, como esperado pelas
+// planilhas em cada idioma
+export const NUMBER_FORMATS = {
+  'pt-BR': {
+    label: 'Brasileiro (1234,56)',
+    decimal: ',',
+    grouping: false,
+    delimiter: ';',
+  },
+  'pt-BR-grouped': {
+    label: 'Brasileiro com milhar (1.234,56)',
+    decimal: ',',
+    grouping: true,
+    delimiter: ';',
+  },
+  en: {
+    label: 'Internacional (1234.56)',
+    decimal: '.',
+    grouping: false,
+    delimiter: ',',
+  },
+};
+
+// Colunas do CSV, com o valor de cada uma para uma transação
+// Os valores monetários ficam sem símbolo, para serem somados na planilha
+const CSV_COLUMNS = [
+  ['ID', (t) => t.id],
+  ['Tipo', (t) => (isSellTransaction(t) ? 'Venda' : 'Compra')],
+  ['Status', (t) => getTransactionStatus(t).label],
+  ['Data', (t, format) => formatExportDate(t.createdAt, format)],
+  ['Ativo', (t) => t.currency],
+  ['Rede', (t) => (getNetwork(t.network) || {}).name || t.network || ''],
+  ['Valor bruto (R$)', (t, format) => formatNumber(t.brlAmount, 2, format)],
+  ['IOF (%)', (t, format) => formatPercent(t.taxes && t.taxes.iof, format)],
+  ['IOF (R$)', (t, format) => formatNumber(t.iofAmount, 2, format)],
+  [
+    'IR (%)',
+    (t, format) => formatPercent(t.taxes && t.taxes.incomeTax, format),
+  ],
+  ['IR (R$)', (t, format) => formatNumber(t.incomeTaxAmount, 2, format)],
+  ['Taxa de serviço (%)', (t, format) => formatPercent(t.serviceFee, format)],
+  [
+    'Taxa de serviço (R$)',
+    (t, format) => formatNumber(t.serviceAmount, 2, format),
+  ],
+  [
+    'Taxa de rede (cripto)',
+    (t, format) => formatNumber(t.networkFee, getCryptoDecimals(t), format),
+  ],
+  [
+    'Taxa de rede (R$)',
+    (t, format) => formatNumber(t.networkFeeBRL, 2, format),
+  ],
+  ['Valor líquido (R$)', (t, format) => formatNumber(t.netAmount, 2, format)],
+  [
+    'Quantidade (cripto)',
+    (t, format) =>
+      formatNumber(
+        isSellTransaction(t) ? t.cryptoAmount : t.finalCryptoAmount,
+        getCryptoDecimals(t),
+        format
+      ),
+  ],
+  ['Cotação (R$)', (t, format) => formatNumber(t.cryptoRate, 2, format)],
+  ['Destino', (t) => describeDestination(t)],
+  ['ID da cotação', (t) => t.quoteId || ''],
+  ['Versão das regras tributárias', (t) => (t.taxes && t.taxes.version) || ''],
+];
+
+// Gerar o CSV das transações, com uma linha por transação
+// O arquivo começa com BOM para que o Excel reconheça a codificação UTF-8
+export function buildTransactionsCSV(transactions, numberFormat = 'pt-BR') {
+  const format = NUMBER_FORMATS[numberFormat] || NUMBER_FORMATS['pt-BR'];
+  const row = (values) =>
+    values
+      .map((value) => escapeCSV(value, format.delimiter))
+      .join(format.delimiter);
+
+  const lines = [
+    row(CSV_COLUMNS.map(([header]) => header)),
+    ...transactions.map((t) =>
+      row(CSV_COLUMNS.map(([, value]) => value(t, format)))
+    ),
+  ];
+
+  return `\uFEFF${lines.join('\r\n')}\r\n`;
+}
+
+// Gerar o extrato OFX (1.0.2) das transações
+// Compras saem da conta pelo valor bruto e vendas entram pelo valor pago via
+// PIX; transações encerradas sem liquidação não movimentam a conta e ficam
+// de fora. O OFX exige ponto decimal, independentemente do formato escolhido
+export function buildTransactionsOFX(transactions, now = new Date()) {
+  const entries = transactions
+    .filter((t) => !INACTIVE_STATUSES.includes(t.status))
+    .map((t) => ({
+      transaction: t,
+      amount: isSellTransaction(t) ? t.netAmount || 0 : -(t.brlAmount || 0),
+      date: new Date(t.createdAt),
+    }))
+    .sort((a, b) => a.date - b.date);
+
+  const start = entries.length > 0 ? entries[0].date : now;
+  const end = entries.length > 0 ? entries[entries.length - 1].date : now;
+  // O saldo informado é o resultado das transações do período
+  const balance = entries.reduce((sum, entry) => sum + entry.amount, 0);
+
+  const statements = entries
+    .map(
+      ({ transaction: t, amount, date }) => `<STMTTRN>
+<TRNTYPE>${amount < 0 ? 'DEBIT' : 'CREDIT'}
+<DTPOSTED>${formatOFXDate(date)}
+<TRNAMT>${amount.toFixed(2)}
+<FITID>${escapeOFX(t.id)}
+<NAME>${escapeOFX(`${isSellTransaction(t) ? 'Venda' : 'Compra'} ${t.currency}`)}
+<MEMO>${escapeOFX(describeOFXMemo(t))}
+</STMTTRN>`
+    )
+    .join('\n');
+
+  return `OFXHEADER:100
+DATA:OFXSGML
+VERSION:102
+SECURITY:NONE
+ENCODING:UTF-8
+CHARSET:NONE
+COMPRESSION:NONE
+OLDFILEUID:NONE
+NEWFILEUID:NONE
+
+<OFX>
+<SIGNONMSGSRSV1>
+<SONRS>
+<STATUS>
+<CODE>0
+<SEVERITY>INFO
+</STATUS>
+<DTSERVER>${formatOFXDate(now)}
+<LANGUAGE>POR
+</SONRS>
+</SIGNONMSGSRSV1>
+<BANKMSGSRSV1>
+<STMTTRNRS>
+<TRNUID>1
+<STATUS>
+<CODE>0
+<SEVERITY>INFO
+</STATUS>
+<STMTRS>
+<CURDEF>BRL
+<BANKACCTFROM>
+<BANKID>FASTCRIPTO
+<ACCTID>${escapeOFX(getCurrentUserId())}
+<ACCTTYPE>CHECKING
+</BANKACCTFROM>
+<BANKTRANLIST>
+<DTSTART>${formatOFXDate(start)}
+<DTEND>${formatOFXDate(end)}
+${statements}
+</BANKTRANLIST>
+<LEDGERBAL>
+<BALAMT>${balance.toFixed(2)}
+<DTASOF>${formatOFXDate(now)}
+</LEDGERBAL>
+</STMTRS>
+</STMTTRNRS>
+</BANKMSGSRSV1>
+</OFX>
+`;
+}
+
+// Gerar o backup JSON das transações, com todos os campos gravados
+export function buildTransactionsBackup(transactions, now = new Date()) {
+  return JSON.stringify(
+    {
+      format: BACKUP_FORMAT,
+      version: BACKUP_VERSION,
+      exportedAt: now.toISOString(),
+      transactions,
+    },
+    null,
+    2
+  );
+}
+
+// Ler um backup JSON e incluir suas transações no histórico
+// Retorna as quantidades de transações importadas, já existentes (ignoradas)
+// e recusadas por dados inválidos
+export async function restoreTransactionsBackup(content) {
+  let backup;
+  try {
+    backup = JSON.parse(content);
+  } catch (error) {
+    throw new Error('O arquivo não é um JSON válido');
+  }
+
+  if (!backup || backup.format !== BACKUP_FORMAT) {
+    throw new Error('O arquivo não é um backup de transações da FastCripto');
+  }
+  if (!Number.isInteger(backup.version) || backup.version > BACKUP_VERSION) {
+    throw new Error(
+      `Versão de backup não suportada: ${backup.version}. Atualize a página e tente novamente.`
+    );
+  }
+  if (!Array.isArray(backup.transactions)) {
+    throw new Error('O backup não contém a lista de transações');
+  }
+
+  return importTransactions(backup.transactions);
+}
+
+// Gerar o arquivo no formato escolhido e iniciar o download
+export function exportTransactions(
+  transactions,
+  format,
+  { numberFormat = 'pt-BR', now = new Date() } = {}
+) {
+  const date = formatFileDate(now);
+
+  switch (format) {
+    case 'csv':
+      downloadFile(
+        buildTransactionsCSV(transactions, numberFormat),
+        `fastcripto-transacoes-${date}.csv`,
+        'text/csv;charset=utf-8'
+      );
+      break;
+    case 'ofx':
+      downloadFile(
+        buildTransactionsOFX(transactions, now),
+        `fastcripto-extrato-${date}.ofx`,
+        'application/x-ofx'
+      );
+      break;
+    case 'json':
+      downloadFile(
+        buildTransactionsBackup(transactions, now),
+        `fastcripto-backup-${date}.json`,
+        'application/json'
+      );
+      break;
+    default:
+      throw new Error(`Formato de exportação desconhecido: ${format}`);
+  }
+}
+
+// Iniciar o download de um arquivo gerado no navegador
+function downloadFile(content, filename, type) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+
+  // Liberar o arquivo depois que o navegador iniciar o download
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Número com a quantidade de casas e os separadores do formato escolhido
+// Valores ausentes ficam em branco
+function formatNumber(value, decimals, format) {
+  if (typeof value !== 'number' || !Number.isFinite(value)) return '';
+
+  const [integer, fraction] = Math.abs(value).toFixed(decimals).split('.');
+  const grouped = format.grouping
+    ? integer.replace(/\B(?=(\d{3})+(?!\d))/g, '.')
+    : integer;
+  const sign = value < 0 && Number(integer + (fraction || '')) !== 0 ? '-' : '';
+
+  return fraction
+    ? `${sign}${grouped}${format.decimal}${fraction}`
+    : `${sign}${grouped}`;
+}
+
+// Alíquota registrada na cotação, em pontos percentuais
+function formatPercent(applied, format) {
+  return applied && typeof applied.rate === 'number'
+    ? formatNumber(applied.rate * 100, 4, format)
+    : '';
+}
+
+// Casas decimais do ativo da transação
+function getCryptoDecimals(transaction) {
+  const asset = getAsset(transaction.currency);
+  return asset ? asset.decimals : 8;
+}
+
+// Data da transação: dd/mm/aaaa hh:mm:ss nos formatos brasileiros e ISO 8601
+// no internacional
+function formatExportDate(date, format) {
+  if (!date) return '';
+  const value = new Date(date);
+
+  if (format.decimal === '.') return value.toISOString();
+
+  const pad = (number) => String(number).padStart(2, '0');
+  return `${pad(value.getDate())}/${pad(
+    value.getMonth() + 1
+  )}/${value.getFullYear()} ${pad(value.getHours())}:${pad(
+    value.getMinutes()
+  )}:${pad(value.getSeconds())}`;
+}
+
+// Carteira de destino (compra) ou chave PIX mascarada (venda)
+function describeDestination(transaction) {
+  if (!isSellTransaction(transaction)) return transaction.walletAddress || '';
+  if (!transaction.pixKey) return '';
+
+  return `${PIX_KEY_TYPES[transaction.pixKeyType]}: ${maskPixKey(
+    transaction.pixKeyType,
+    transaction.pixKey
+  )}`;
+}
+
+// Valor de uma célula do CSV, entre aspas quando necessário
+// Textos que a planilha interpretaria como fórmula (=, +, -, @, tabulação)
+// recebem um apóstrofo no início; números negativos continuam números
+function escapeCSV(value, delimiter) {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (/^[=+\-@\t\r]/.test(text) && !/^-\d[\d.,]*$/.test(text)) {
+    text = `'${text}`;
+  }
+  return text.includes(delimiter) || /["\r\n]/.test(text)
+    ? `"${text.replace(/"/g, '""')}"`
+    : text;
+}
+
+// Detalhamento de valores e tributos de uma transação no extrato OFX
+function describeOFXMemo(transaction) {
+  const format = NUMBER_FORMATS.en;
+  const parts = [
+    transaction.id,
+    `IOF ${formatNumber(transaction.iofAmount, 2, format)}`,
+    `IR ${formatNumber(transaction.incomeTaxAmount, 2, format)}`,
+    `Serviço ${formatNumber(transaction.serviceAmount, 2, format)}`,
+  ];
+
+  if (!isSellTransaction(transaction)) {
+    parts.push(`Rede ${formatNumber(transaction.networkFeeBRL, 2, format)}`);
+  }
+  parts.push(
+    `Líquido ${formatNumber(transaction.netAmount, 2, format)}`,
+    `Cotação ${formatNumber(transaction.cryptoRate, 2, format)}`
+  );
+
+  return parts.join(' | ');
+}
+
+// Data no formato do OFX (AAAAMMDDHHMMSS, em UTC)
+function formatOFXDate(date) {
+  return `${date.toISOString().replace(/[-:T]/g, '').slice(0, 14)}[0:GMT]`;
+}
+
+// Data usada no nome dos arquivos (AAAA-MM-DD)
+function formatFileDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+// Escapar os caracteres reservados do SGML no conteúdo do OFX
+function escapeOFX(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
@@ -0,0 +1,178 @@
+/**
+ * FastCripto - Módulo de Filtros de Transações
+ * Busca, filtros, ordenação e paginação do histórico de transações, com o
+ * estado refletido nos parâmetros da URL
+ */
+
+import { BUY_STATUSES, SELL_STATUSES } from './transactions.js';
+
+// Campos pelos quais a lista pode ser ordenada
+export const TRANSACTION_SORT_FIELDS = {
+  createdAt: 'Data',
+  brlAmount: 'Valor (R$)',
+  currency: 'Ativo',
+  status: 'Status',
+};
+
+// Filtros sem nenhuma restrição
+// Cada campo corresponde a um parâmetro da URL de mesmo nome
+export const DEFAULT_TRANSACTION_FILTERS = {
+  q: '',
+  status: '',
+  asset: '',
+  network: '',
+  from: '',
+  to: '',
+  min: '',
+  max: '',
+  sort: 'createdAt',
+  dir: 'desc',
+  page: 1,
+};
+
+// Quantidade padrão de transações por página
+const DEFAULT_PAGE_SIZE = 20;
+
+// Todos os status de compra e venda, para a opção de filtro
+// (status presentes nos dois fluxos, como cancelled, aparecem uma vez)
+export function getFilterableStatuses() {
+  return Object.entries({ ...BUY_STATUSES, ...SELL_STATUSES }).map(
+    ([status, { label }]) => ({ status, label })
+  );
+}
+
+// Ler os filtros dos parâmetros da URL
+export function readFiltersFromURL(search = globalThis.location?.search) {
+  const params = new URLSearchParams(search || '');
+  const filters = { ...DEFAULT_TRANSACTION_FILTERS };
+
+  Object.keys(DEFAULT_TRANSACTION_FILTERS).forEach((key) => {
+    if (params.has(key)) filters[key] = params.get(key);
+  });
+
+  // Valores inválidos voltam ao padrão
+  if (!TRANSACTION_SORT_FIELDS[filters.sort]) {
+    filters.sort = DEFAULT_TRANSACTION_FILTERS.sort;
+  }
+  if (!['asc', 'desc'].includes(filters.dir)) {
+    filters.dir = DEFAULT_TRANSACTION_FILTERS.dir;
+  }
+  filters.page = Math.max(1, parseInt(filters.page, 10) || 1);
+
+  return filters;
+}
+
+// Refletir os filtros na URL, sem criar uma nova entrada no histórico do
+// navegador
+// Apenas os filtros diferentes do padrão são gravados; os demais parâmetros
+// da URL (ex.: ?mockSeed=) são mantidos
+export function writeFiltersToURL(filters) {
+  const url = new URL(window.location.href);
+
+  Object.entries(DEFAULT_TRANSACTION_FILTERS).forEach(([key, value]) => {
+    if (filters[key] === '' || String(filters[key]) === String(value)) {
+      url.searchParams.delete(key);
+    } else {
+      url.searchParams.set(key, filters[key]);
+    }
+  });
+
+  window.history.replaceState(window.history.state, '', url);
+}
+
+// Verifica se algum filtro restringe a lista (ordenação e página não contam)
+export function hasActiveFilters(filters) {
+  return ['q', 'status', 'asset', 'network', 'from', 'to', 'min', 'max'].some(
+    (key) => filters[key] !== ''
+  );
+}
+
+// Aplicar busca e filtros a uma lista de transações
+// As datas são do calendário local e incluem o dia final
+export function filterTransactions(transactions, filters) {
+  const query = filters.q.trim().toLowerCase();
+  const from = filters.from ? parseLocalDate(filters.from) : null;
+  const to = filters.to ? parseLocalDate(filters.to, 1) : null;
+  const min = filters.min !== '' ? parseFloat(filters.min) : null;
+  const max = filters.max !== '' ? parseFloat(filters.max) : null;
+
+  return transactions.filter((t) => {
+    if (query) {
+      const searchable = [t.id, t.walletAddress, t.depositAddress]
+        .filter(Boolean)
+        .map((value) => value.toLowerCase());
+      if (!searchable.some((value) => value.includes(query))) return false;
+    }
+
+    if (filters.status && t.status !== filters.status) return false;
+    if (filters.asset && t.currency !== filters.asset) return false;
+    if (filters.network && t.network !== filters.network) return false;
+
+    const createdAt = new Date(t.createdAt);
+    if (from && createdAt < from) return false;
+    if (to && createdAt >= to) return false;
+
+    const amount = t.brlAmount || 0;
+    if (min !== null && !isNaN(min) && amount < min) return false;
+    if (max !== null && !isNaN(max) && amount > max) return false;
+
+    return true;
+  });
+}
+
+// Ordenar transações pelo campo e na direção informados
+// Empates são desfeitos pela data, da mais recente para a mais antiga
+export function sortTransactions(transactions, sort, dir) {
+  const direction = dir === 'asc' ? 1 : -1;
+  const value = (t) =>
+    sort === 'createdAt' ? new Date(t.createdAt).getTime() : t[sort] ?? '';
+
+  return [...transactions].sort((a, b) => {
+    const valueA = value(a);
+    const valueB = value(b);
+
+    if (valueA < valueB) return -direction;
+    if (valueA > valueB) return direction;
+    return new Date(b.createdAt) - new Date(a.createdAt);
+  });
+}
+
+// Selecionar uma página da lista
+// Páginas além da última são ajustadas para a última
+export function paginate(
+  items,
+  page,
+  pageSize = CONFIG.transactionsPageSize ?? DEFAULT_PAGE_SIZE
+) {
+  const pageCount = Math.max(1, Math.ceil(items.length / pageSize));
+  const current = Math.min(Math.max(1, page), pageCount);
+  const start = (current - 1) * pageSize;
+
+  return {
+    items: items.slice(start, start + pageSize),
+    page: current,
+    pageCount,
+    total: items.length,
+    start: items.length === 0 ? 0 : start + 1,
+    end: Math.min(start + pageSize, items.length),
+  };
+}
+
+// Aplicar filtros, ordenação e paginação de uma vez
+export function queryTransactions(transactions, filters) {
+  return paginate(
+    sortTransactions(
+      filterTransactions(transactions, filters),
+      filters.sort,
+      filters.dir
+    ),
+    filters.page
+  );
+}
+
+// Converte uma data AAAA-MM-DD para o início do dia local, com deslocamento
+// opcional em dias
+function parseLocalDate(value, offsetDays = 0) {
+  const [year, month, day] = value.split('-').map(Number);
+  return new Date(year, month - 1, day + offsetDays);
+}
@@ -0,0 +1,167 @@
+/**
+ * FastCripto - Módulo de Acompanhamento de Transações
+ * Registro das compras no backend e consulta periódica do status das compras
+ * e vendas, com o hash e as confirmações na blockchain até que se tornem
+ * definitivas
+ */
+
+import {
+  getTransactionsToSync,
+  isSellTransaction,
+  isAwaitingSubmission,
+  markTransactionSubmitted,
+  updateTransactionStatus,
+  updateTransactionOnChain,
+  BUY_STATUSES,
+  SELL_STATUSES,
+} from './transactions.js';
+
+// Intervalo padrão de consulta das transações em andamento, em segundos
+const DEFAULT_SYNC_INTERVAL = 30;
+
+// Variáveis do módulo
+let syncInterval = null;
+// Compras com registro em andamento, para não enviá-las duas vezes
+const pendingSubmissions = new Set();
+
+// Inicializa o acompanhamento das transações em andamento
+export function initializeTransactionSync() {
+  syncTransactions();
+
+  // sellStatusPollSeconds é o nome anterior da opção, quando só as vendas
+  // eram acompanhadas
+  const seconds =
+    CONFIG.transactionSyncSeconds ??
+    CONFIG.sellStatusPollSeconds ??
+    DEFAULT_SYNC_INTERVAL;
+  if (syncInterval) clearInterval(syncInterval);
+  syncInterval = setInterval(syncTransactions, seconds * 1000);
+
+  // Compras novas são registradas logo em seguida; se o registro falhar, é
+  // refeito na próxima consulta
+  document.addEventListener('transactionCreated', (event) => {
+    const { transaction } = event.detail;
+    if (isAwaitingSubmission(transaction)) syncTransaction(transaction);
+  });
+
+  if (CONFIG.debugMode) {
+    console.log('FastCripto: Acompanhamento de transações inicializado');
+  }
+}
+
+// Atualizar o status, o hash e as confirmações das transações em andamento
+// Uma falha na consulta de uma transação não interrompe as demais
+export async function syncTransactions() {
+  for (const transaction of getTransactionsToSync()) {
+    await syncTransaction(transaction);
+  }
+}
+
+// Registrar ou consultar uma transação e aplicar o status informado pelo
+// backend
+async function syncTransaction(transaction) {
+  if (pendingSubmissions.has(transaction.id)) return;
+
+  try {
+    const { status, txHash, confirmations } = isAwaitingSubmission(transaction)
+      ? await submitTransaction(transaction)
+      : await fetchTransactionStatus(transaction);
+    await updateTransactionOnChain(transaction.id, { txHash, confirmations });
+    if (status !== transaction.status) {
+      await updateTransactionStatus(transaction.id, status, {
+        reason: isSellTransaction(transaction)
+          ? 'Status atualizado pela consulta da ordem de venda'
+          : 'Status atualizado pela consulta da transação',
+        actor: 'backend',
+      });
+    }
+  } catch (error) {
+    console.warn(
+      `FastCripto: Erro ao consultar a transação ${transaction.id}:`,
+      error
+    );
+  }
+}
+
+// Registrar uma compra no backend
+// O ID gerado no navegador identifica a compra: reenviar o mesmo ID, depois
+// de uma falha ou de outra aba, não cria uma segunda compra
+async function submitTransaction(transaction) {
+  pendingSubmissions.add(transaction.id);
+
+  try {
+    let data;
+    if (CONFIG.mockApiResponses) {
+      // Sem backend, a compra continua no status em que foi criada
+      data = { status: transaction.status };
+    } else {
+      const response = await fetch(`${CONFIG.apiBaseUrl}/transactions`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+          id: transaction.id,
+          quoteId: transaction.quoteId,
+          amount: transaction.brlAmount,
+          currency: transaction.currency,
+          network: transaction.network,
+          walletAddress: transaction.walletAddress,
+        }),
+      });
+      if (!response.ok) {
+        throw new Error(`Erro ao registrar transação: ${response.status}`);
+      }
+      data = await response.json();
+    }
+
+    await markTransactionSubmitted(transaction.id);
+    return parseTransactionStatus(data, BUY_STATUSES);
+  } finally {
+    pendingSubmissions.delete(transaction.id);
+  }
+}
+
+// Consultar o status de uma transação no backend
+async function fetchTransactionStatus(transaction) {
+  const sell = isSellTransaction(transaction);
+
+  if (CONFIG.mockApiResponses) {
+    // Sem backend, só a venda muda de status, quando o prazo de depósito acaba
+    const expired =
+      sell && new Date() >= new Date(transaction.depositExpiresAt);
+    return {
+      status:
+        transaction.status === 'awaiting_deposit' && expired
+          ? 'expired'
+          : transaction.status,
+    };
+  }
+
+  const response = await fetch(
+    sell
+      ? `${CONFIG.apiBaseUrl}/sell-orders/${transaction.id}`
+      : `${CONFIG.apiBaseUrl}/transactions/${transaction.id}`
+  );
+  if (!response.ok) {
+    throw new Error(`Erro ao consultar transação: ${response.status}`);
+  }
+
+  return parseTransactionStatus(
+    await response.json(),
+    sell ? SELL_STATUSES : BUY_STATUSES
+  );
+}
+
+// Validar o status, o hash e as confirmações informados pelo backend
+function parseTransactionStatus(data, statuses) {
+  if (!statuses[data.status]) {
+    throw new Error(`Status de transação desconhecido: ${data.status}`);
+  }
+
+  return {
+    status: data.status,
+    txHash: data.txHash || null,
+    confirmations: data.confirmations,
+  };
+}
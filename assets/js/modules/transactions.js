@@ -1,64 +1,806 @@
 /**
  * FastCripto - Módulo de Transações
- * Gerenciamento do histórico de transações e armazenamento
+ * Gerenciamento do histórico de transações e armazenamento (IndexedDB)
  */
 
+import { openDatabase, requestToPromise, transactionDone } from './idb.js';
+import { getAsset, getNetwork, validateAddress } from './asset-registry.js';
+import { PIX_KEY_TYPES, validatePixKey } from './security.js';
+import { ID_PATTERN } from './ids.js';
+
+const DB_NAME = 'fastcripto_transactions';
+const DB_VERSION = 1;
+const TRANSACTIONS_STORE = 'transactions';
+
+// Chave do armazenamento anterior ao IndexedDB, migrada na inicialização e
+// usada como reserva nos navegadores sem IndexedDB
+const LEGACY_STORAGE_KEY = 'fastcripto_transactions';
+
+// Canal pelo qual as abas avisam umas às outras das transações gravadas
+const CHANGES_CHANNEL = 'fastcripto_transactions';
+
+// Campos de data das transações (gravados como Date no IndexedDB)
+const DATE_FIELDS = [
+  'createdAt',
+  'updatedAt',
+  'quotedAt',
+  'expiresAt',
+  'rateUpdatedAt',
+  'depositExpiresAt',
+  'submittedAt',
+];
+
+// Variáveis do módulo
+let dbPromise = null;
+let useLegacyStorage = false;
+let changesChannel = null;
+// Cópia em memória das transações, por ID, para as leituras síncronas
+const transactionCache = new Map();
+
+// Status das transações de venda (cripto → BRL via PIX), na ordem do fluxo
+export const SELL_STATUSES = {
+  awaiting_deposit: { label: 'Aguardando depósito', className: 'pending' },
+  confirming_deposit: {
+    label: 'Confirmando depósito',
+    className: 'processing',
+  },
+  paying_out: { label: 'Pagamento PIX em andamento', className: 'processing' },
+  paid_out: { label: 'Paga via PIX', className: 'completed' },
+  expired: { label: 'Expirada', className: 'cancelled' },
+  cancelled: { label: 'Cancelada', className: 'cancelled' },
+  failed: { label: 'Falhou', className: 'cancelled' },
+};
+
+// Status das transações de compra (BRL → cripto), na ordem do fluxo
+export const BUY_STATUSES = {
+  quoted: { label: 'Cotada', className: 'pending' },
+  pending_kyc: { label: 'Pendente (KYC)', className: 'pending' },
+  awaiting_payment: { label: 'Aguardando pagamento', className: 'pending' },
+  paid: { label: 'Pagamento confirmado', className: 'processing' },
+  processing: { label: 'Processando', className: 'processing' },
+  broadcast: { label: 'Enviada à rede', className: 'processing' },
+  completed: { label: 'Concluída', className: 'completed' },
+  cancelled: { label: 'Cancelada', className: 'cancelled' },
+  expired: { label: 'Expirada', className: 'cancelled' },
+  failed: { label: 'Falhou', className: 'cancelled' },
+  refunded: { label: 'Estornada', className: 'cancelled' },
+};
+
+// Transições permitidas a partir de cada status de compra
+// Cancelamento só é possível antes do pagamento; depois dele, a saída é o
+// estorno. Como nas vendas, o status é acompanhado por consulta periódica,
+// que pode não observar os status intermediários: o fluxo pode avançar
+// vários passos de uma vez
+const BUY_TRANSITIONS = {
+  quoted: ['pending_kyc', 'awaiting_payment', 'cancelled', 'expired'],
+  pending_kyc: [
+    'awaiting_payment',
+    'paid',
+    'processing',
+    'broadcast',
+    'completed',
+    'cancelled',
+    'expired',
+  ],
+  awaiting_payment: [
+    'paid',
+    'processing',
+    'broadcast',
+    'completed',
+    'cancelled',
+    'expired',
+  ],
+  paid: ['processing', 'broadcast', 'completed', 'failed', 'refunded'],
+  processing: ['broadcast', 'completed', 'failed', 'refunded'],
+  broadcast: ['completed', 'failed', 'refunded'],
+  completed: [],
+  cancelled: [],
+  expired: [],
+  failed: ['refunded'],
+  refunded: [],
+};
+
+// Transições permitidas a partir de cada status de venda
+// O status é acompanhado por consulta periódica, que pode não observar os
+// status intermediários
+const SELL_TRANSITIONS = {
+  awaiting_deposit: [
+    'confirming_deposit',
+    'paying_out',
+    'paid_out',
+    'expired',
+    'cancelled',
+    'failed',
+  ],
+  confirming_deposit: ['paying_out', 'paid_out', 'failed'],
+  paying_out: ['paid_out', 'failed'],
+  paid_out: [],
+  expired: [],
+  cancelled: [],
+  failed: [],
+};
+
+// Status de compra atualizados pelo backend (verificação, pagamento, envio e
+// conclusão)
+const BACKEND_BUY_STATUSES = [
+  'pending_kyc',
+  'awaiting_payment',
+  'paid',
+  'processing',
+  'broadcast',
+];
+
+// Responsáveis por uma mudança de status, registrados no histórico
+export const TRANSITION_ACTORS = {
+  customer: 'Cliente',
+  system: 'Sistema',
+  backend: 'FastCripto',
+};
+
+// Status de transações encerradas sem liquidação, que não contam no volume
+// do cliente nem nos limites de conversão
+export const INACTIVE_STATUSES = ['cancelled', 'expired', 'failed', 'refunded'];
+
+// Verifica se uma transação é de venda (transações antigas não têm tipo)
+export function isSellTransaction(transaction) {
+  return transaction.type === 'sell';
+}
+
+// Transições permitidas a partir do status atual de uma transação
+export function getAllowedTransitions(transaction) {
+  const transitions = isSellTransaction(transaction)
+    ? SELL_TRANSITIONS
+    : BUY_TRANSITIONS;
+  return transitions[transaction.status] || [];
+}
+
+// Verifica se uma transação pode passar para o status informado
+export function canTransition(transaction, status) {
+  return getAllowedTransitions(transaction).includes(status);
+}
+
+// Rótulo e classe de exibição do status de uma transação
+export function getTransactionStatus(transaction) {
+  if (isSellTransaction(transaction)) {
+    return SELL_STATUSES[transaction.status] || SELL_STATUSES.awaiting_deposit;
+  }
+
+  return (
+    BUY_STATUSES[transaction.status] || {
+      label: 'Pendente',
+      className: 'pending',
+    }
+  );
+}
+
+// Obter as transações acompanhadas pelo backend: vendas em aberto, compras
+// entre a verificação (KYC) e a conclusão e transações enviadas à rede que ainda não
+// atingiram as confirmações definitivas
+export function getTransactionsToSync() {
+  return getTransactionHistory().filter((t) => {
+    const awaitingBackend = isSellTransaction(t)
+      ? getAllowedTransitions(t).length > 0
+      : BACKEND_BUY_STATUSES.includes(t.status);
+    return awaitingBackend || isAwaitingConfirmations(t);
+  });
+}
+
+// Verifica se a compra ainda não foi registrada no backend
+// As vendas são registradas antes de criadas, para obter o endereço de
+// depósito; as compras são criadas no navegador e registradas em seguida
+export function isAwaitingSubmission(transaction) {
+  return (
+    !isSellTransaction(transaction) &&
+    !transaction.submittedAt &&
+    BACKEND_BUY_STATUSES.includes(transaction.status)
+  );
+}
+
+// Verifica se a transação já está na rede, mas sem confirmações definitivas
+export function isAwaitingConfirmations(transaction) {
+  const network = getNetwork(transaction.network);
+  return (
+    Boolean(transaction.txHash) &&
+    Boolean(network) &&
+    !INACTIVE_STATUSES.includes(transaction.status) &&
+    (transaction.confirmations || 0) < network.confirmations
+  );
+}
+
 // Adicionar uma nova transação ao histórico
-export function addTransaction(transaction) {
-  // Obter transações existentes
-  const transactions = getTransactionHistory();
+// O status inicial abre o histórico de status da transação; a promessa só é
+// resolvida depois da gravação, e uma falha ao gravar é repassada a quem
+// chamou, sem incluir a transação
+export async function addTransaction(transaction, { actor = 'customer' } = {}) {
+  const statuses = isSellTransaction(transaction)
+    ? SELL_STATUSES
+    : BUY_STATUSES;
+  if (!statuses[transaction.status]) {
+    throw new Error(`Status inicial inválido: ${transaction.status}`);
+  }
+  if (transactionCache.has(transaction.id)) {
+    throw new Error(`Transação já registrada: ${transaction.id}`);
+  }
+
+  transaction.statusHistory = [
+    createHistoryEntry(null, transaction.status, {
+      reason: 'Transação criada',
+      actor,
+      at: transaction.createdAt,
+    }),
+  ];
 
-  // Adicionar nova transação
-  transactions.push(transaction);
+  const record = normalizeTransaction(transaction);
+  await saveTransaction(record);
 
-  // Salvar no armazenamento local
-  saveTransactions(transactions);
+  document.dispatchEvent(
+    new CustomEvent('transactionCreated', { detail: { transaction: record } })
+  );
 
-  return transaction;
+  return record;
 }
 
-// Obter o histórico completo de transações
-export function getTransactionHistory() {
-  const stored = localStorage.getItem('fastcripto_transactions');
-  return stored ? JSON.parse(stored) : [];
+// Incluir transações de um backup no histórico
+// IDs já registrados são ignorados, o que permite restaurar o mesmo backup
+// mais de uma vez; registros com algum campo fora do formato gerado pelo
+// aplicativo são recusados, e campos desconhecidos são descartados
+// O lote é gravado de uma só vez: se a gravação falhar, nenhuma transação é
+// incluída e o erro é repassado a quem chamou
+export async function importTransactions(records) {
+  const imported = [];
+  const ids = new Set();
+  let skipped = 0;
+  let rejected = 0;
+
+  records.forEach((candidate) => {
+    const transaction = sanitizeImportedTransaction(candidate);
+    if (!transaction) {
+      rejected++;
+      return;
+    }
+    if (transactionCache.has(transaction.id) || ids.has(transaction.id)) {
+      skipped++;
+      return;
+    }
+
+    const record = normalizeTransaction({
+      ...transaction,
+      // Transações sem histórico de status começam pelo status importado
+      statusHistory: Array.isArray(transaction.statusHistory)
+        ? transaction.statusHistory
+        : [
+            createHistoryEntry(null, transaction.status, {
+              reason: 'Transação importada',
+              actor: 'system',
+              at: transaction.createdAt,
+            }),
+          ],
+    });
+    ids.add(record.id);
+    imported.push(record);
+  });
+
+  if (imported.length > 0) {
+    await writeTransactions(imported);
+    imported.forEach((record) => transactionCache.set(record.id, record));
+    document.dispatchEvent(
+      new CustomEvent('transactionsImported', {
+        detail: { transactions: imported },
+      })
+    );
+  }
+
+  return { imported: imported.length, skipped, rejected };
 }
 
-// Salvar transações no armazenamento local
-export function saveTransactions(transactions) {
-  localStorage.setItem('fastcripto_transactions', JSON.stringify(transactions));
+// IDs anteriores ao gerador de IDs, só com o horário (ex.: TX1744299000000),
+// e IDs atribuídos pelo backend às vendas (ex.: SL12345678)
+const LEGACY_ID_PATTERN = /^[A-Z]{2}\d{8,16}$/;
+
+// Campos numéricos dos valores da transação
+const AMOUNT_FIELDS = [
+  'brlAmount',
+  'iofAmount',
+  'incomeTaxAmount',
+  'serviceAmount',
+  'netAmount',
+  'cryptoAmount',
+  'cryptoRate',
+  'networkFee',
+  'networkFeeBRL',
+  'finalCryptoAmount',
+  'targetCryptoAmount',
+];
+
+// Formato de cada campo aceito em uma transação importada, conforme gerado
+// pelo aplicativo (t é a transação importada, para os campos que dependem
+// de outros, como o endereço, que depende do ativo e da rede)
+const IMPORTED_FIELDS = {
+  id: (value, t) => isGeneratedId(value, isSellTransaction(t) ? 'SL' : 'TX'),
+  type: (value) => value === 'buy' || value === 'sell',
+  side: (value, t) => value === (isSellTransaction(t) ? 'sell' : 'buy'),
+  direction: (value) => value === 'forward' || value === 'reverse',
+  status: (value, t) => Boolean(getStatusesFor(t)[value]),
+  statusHistory: (value, t) =>
+    Array.isArray(value) &&
+    value.every((entry) => isValidHistoryEntry(entry, getStatusesFor(t))),
+  currency: (value) => typeof value === 'string' && Boolean(getAsset(value)),
+  network: (value, t) => {
+    const asset = getAsset(t.currency);
+    return Boolean(asset) && asset.networks.includes(value);
+  },
+  walletAddress: (value, t) => isValidAddress(t, value),
+  depositAddress: (value, t) => isValidAddress(t, value),
+  depositMemo: (value) =>
+    value === null || (typeof value === 'string' && /^\d{1,10}$/.test(value)),
+  pixKeyType: (value) =>
+    typeof value === 'string' && Boolean(PIX_KEY_TYPES[value]),
+  pixKey: (value, t) => {
+    if (!isSafeText(value)) return false;
+    const result = validatePixKey(t.pixKeyType, value);
+    return result.valid && result.key === value;
+  },
+  quoteId: (value) => isGeneratedId(value, 'QT'),
+  limitOrderId: (value) => isGeneratedId(value, 'LO'),
+  recurringOrderId: (value) => isGeneratedId(value, 'RC'),
+  txHash: (value) =>
+    typeof value === 'string' && /^(0x)?[0-9a-fA-F]{64}$/.test(value),
+  confirmations: (value) => Number.isInteger(value) && value >= 0,
+  unitDecimals: (value, t) =>
+    Boolean(getAsset(t.currency)) &&
+    value === getAsset(t.currency).unitDecimals,
+  units: (value) =>
+    isPlainObject(value) &&
+    Object.values(value).every(
+      (unit) => typeof unit === 'string' && /^-?\d{1,40}$/.test(unit)
+    ),
+  customerType: (value) => value === 'individual' || value === 'business',
+  rateProvenance: (value) =>
+    ['live', 'stream', 'cache', 'default'].includes(value),
+  rateStale: (value) => typeof value === 'boolean',
+  fiatRates: (value) =>
+    value === null ||
+    (isPlainObject(value) &&
+      Object.entries(value).every(
+        ([code, rate]) => /^[A-Z]{3}$/.test(code) && Number.isFinite(rate)
+      )),
+  taxes: (value) =>
+    isPlainObject(value) &&
+    Number.isInteger(value.version) &&
+    isValidDate(value.date) &&
+    ['iof', 'incomeTax'].every(
+      (tax) =>
+        isPlainObject(value[tax]) &&
+        Number.isFinite(value[tax].rate) &&
+        (value[tax].ruleId === null ||
+          (typeof value[tax].ruleId === 'string' &&
+            /^[A-Za-z0-9_-]{1,64}$/.test(value[tax].ruleId)))
+    ),
+  // Faixa, desconto e estimativa de taxa de rede têm vários campos
+  // informativos: basta que sejam dados simples, sem marcação
+  serviceFee: (value) =>
+    isPlainData(value) && isPlainObject(value) && Number.isFinite(value.rate),
+  networkFeeEstimate: (value) =>
+    isPlainData(value) &&
+    isPlainObject(value) &&
+    typeof value.amount === 'string' &&
+    /^\d+(\.\d+)?$/.test(value.amount),
+  ...Object.fromEntries(
+    AMOUNT_FIELDS.map((field) => [field, (value) => Number.isFinite(value)])
+  ),
+  ...Object.fromEntries(
+    DATE_FIELDS.map((field) => [
+      field,
+      (value) =>
+        (field !== 'createdAt' && value === null) || isValidDate(value),
+    ])
+  ),
+};
+
+// Campos que toda transação importada deve ter
+const REQUIRED_IMPORTED_FIELDS = [
+  'id',
+  'status',
+  'currency',
+  'network',
+  'brlAmount',
+  'createdAt',
+];
+
+// Validar uma transação importada, campo a campo
+// Retorna só os campos conhecidos, ou null se algum deles for inválido
+function sanitizeImportedTransaction(transaction) {
+  if (!isPlainObject(transaction)) return null;
+
+  const required = [
+    ...REQUIRED_IMPORTED_FIELDS,
+    isSellTransaction(transaction) ? 'depositAddress' : 'walletAddress',
+  ];
+  if (required.some((field) => transaction[field] === undefined)) return null;
+  if (!(transaction.brlAmount > 0)) return null;
+
+  const record = {};
+  for (const [field, value] of Object.entries(transaction)) {
+    const isValid = IMPORTED_FIELDS[field];
+    if (!isValid) continue;
+    if (!isValid(value, transaction)) return null;
+    record[field] = value;
+  }
+
+  return record;
+}
+
+// Status do fluxo de uma transação (compra ou venda)
+function getStatusesFor(transaction) {
+  return isSellTransaction(transaction) ? SELL_STATUSES : BUY_STATUSES;
+}
+
+// Verifica um ID no formato gerado pelo aplicativo, com o prefixo informado
+function isGeneratedId(value, prefix) {
+  return (
+    typeof value === 'string' &&
+    value.startsWith(prefix) &&
+    (ID_PATTERN.test(value) || LEGACY_ID_PATTERN.test(value))
+  );
+}
+
+// Verifica um endereço para o ativo e a rede da transação
+function isValidAddress(transaction, address) {
+  return (
+    typeof address === 'string' &&
+    validateAddress(transaction.currency, transaction.network, address).valid
+  );
+}
+
+// Verifica uma entrada do histórico de status
+function isValidHistoryEntry(entry, statuses) {
+  return (
+    isPlainObject(entry) &&
+    (entry.from === null || Boolean(statuses[entry.from])) &&
+    Boolean(statuses[entry.to]) &&
+    Boolean(TRANSITION_ACTORS[entry.actor]) &&
+    (entry.reason === null || isSafeText(entry.reason)) &&
+    isValidDate(entry.at)
+  );
+}
+
+// Verifica uma data válida (texto ISO do backup ou Date)
+function isValidDate(value) {
+  return (
+    (typeof value === 'string' || value instanceof Date) &&
+    !isNaN(new Date(value).getTime())
+  );
+}
+
+// Verifica um texto curto sem marcação HTML nem caracteres de controle
+function isSafeText(value) {
+  return (
+    typeof value === 'string' &&
+    value.length <= 200 &&
+    !/[<>"'`\u0000-\u001f]/.test(value)
+  );
+}
+
+// Verifica um objeto simples (não array, não null)
+function isPlainObject(value) {
+  return (
+    typeof value === 'object' &&
+    value !== null &&
+    !Array.isArray(value) &&
+    Object.getPrototypeOf(value) === Object.prototype
+  );
+}
+
+// Verifica dados simples: textos seguros, números finitos, booleanos, null
+// e objetos ou listas desses valores, com profundidade limitada
+function isPlainData(value, depth = 0) {
+  if (value === null || typeof value === 'boolean') return true;
+  if (typeof value === 'number') return Number.isFinite(value);
+  if (typeof value === 'string') return isSafeText(value);
+  if (depth >= 4) return false;
+  if (Array.isArray(value)) {
+    return value.every((item) => isPlainData(item, depth + 1));
+  }
+  return (
+    isPlainObject(value) &&
+    Object.values(value).every((item) => isPlainData(item, depth + 1))
+  );
+}
+
+// Obter o histórico completo de transações
+// As transações são lidas da cópia em memória, carregada na inicialização;
+// alterações devem passar pelas funções deste módulo
+export function getTransactionHistory() {
+  return [...transactionCache.values()].map((t) => structuredClone(t));
 }
 
 // Obter uma transação específica pelo ID
 export function getTransactionById(id) {
-  const transactions = getTransactionHistory();
-  return transactions.find((t) => t.id === id);
+  const transaction = transactionCache.get(id);
+  return transaction ? structuredClone(transaction) : undefined;
 }
 
 // Atualizar o status de uma transação
-export function updateTransactionStatus(id, status) {
-  const transactions = getTransactionHistory();
-  const index = transactions.findIndex((t) => t.id === id);
+// Só são aceitas as transições previstas no fluxo (compra ou venda); a
+// mudança é registrada no histórico de status com o motivo e o responsável
+// Se a gravação falhar, o status anterior é mantido e o erro é repassado
+export async function updateTransactionStatus(
+  id,
+  status,
+  { reason = null, actor = 'system' } = {}
+) {
+  const current = transactionCache.get(id);
+  if (!current) return false;
+
+  const transaction = structuredClone(current);
+
+  if (!canTransition(transaction, status)) {
+    throw new Error(
+      `Transição de status inválida em ${id}: ${transaction.status} → ${status}`
+    );
+  }
+  if (!TRANSITION_ACTORS[actor]) {
+    throw new Error(`Responsável desconhecido: ${actor}`);
+  }
+
+  const oldStatus = transaction.status;
+  const entry = createHistoryEntry(oldStatus, status, { reason, actor });
+
+  transaction.status = status;
+  transaction.updatedAt = entry.at;
+  // Transações anteriores ao histórico começam a partir desta mudança
+  transaction.statusHistory = [...(transaction.statusHistory || []), entry];
 
-  if (index !== -1) {
-    transactions[index].status = status;
-    transactions[index].updatedAt = new Date();
+  // Salvar alterações
+  await saveTransaction(transaction);
 
-    // Disparar evento de mudança de status
-    const event = new CustomEvent('transactionStatusChanged', {
+  // Disparar evento de mudança de status
+  document.dispatchEvent(
+    new CustomEvent('transactionStatusChanged', {
       detail: {
-        transaction: transactions[index],
-        oldStatus: transactions[index].status,
+        transaction,
+        oldStatus,
         newStatus: status,
+        reason,
+        actor,
       },
+    })
+  );
+
+  return true;
+}
+
+// Registrar o hash da transação na blockchain e o número de confirmações
+// informados pelo backend; retorna false se nada mudou
+export async function updateTransactionOnChain(id, { txHash, confirmations }) {
+  const current = transactionCache.get(id);
+  if (!current) return false;
+
+  const changes = {};
+  if (txHash && txHash !== current.txHash) changes.txHash = txHash;
+  if (
+    Number.isInteger(confirmations) &&
+    confirmations >= 0 &&
+    confirmations !== current.confirmations
+  ) {
+    changes.confirmations = confirmations;
+  }
+  if (Object.keys(changes).length === 0) return false;
+
+  const transaction = { ...structuredClone(current), ...changes };
+  transaction.updatedAt = new Date();
+
+  await saveTransaction(transaction);
+
+  document.dispatchEvent(
+    new CustomEvent('transactionUpdated', { detail: { transaction } })
+  );
+
+  return true;
+}
+
+// Registrar que a compra foi aceita pelo backend
+export async function markTransactionSubmitted(id, at = new Date()) {
+  const current = transactionCache.get(id);
+  if (!current) return false;
+
+  const transaction = {
+    ...structuredClone(current),
+    submittedAt: new Date(at),
+  };
+  transaction.updatedAt = transaction.submittedAt;
+
+  await saveTransaction(transaction);
+
+  document.dispatchEvent(
+    new CustomEvent('transactionUpdated', { detail: { transaction } })
+  );
+
+  return true;
+}
+
+// Entrada do histórico de status de uma transação
+function createHistoryEntry(from, to, { reason, actor, at = new Date() }) {
+  return {
+    from,
+    to,
+    reason,
+    actor,
+    at: new Date(at),
+  };
+}
+
+// Carrega as transações do IndexedDB para a memória
+// Deve ser aguardada antes de qualquer leitura ou gravação de transações
+// Na primeira execução, as transações do localStorage são migradas
+export async function initializeTransactionStore() {
+  let records;
+
+  try {
+    const db = await getDatabase();
+    await migrateLegacyTransactions(db);
+
+    const tx = db.transaction(TRANSACTIONS_STORE, 'readonly');
+    records = await requestToPromise(
+      tx.objectStore(TRANSACTIONS_STORE).getAll()
+    );
+  } catch (error) {
+    console.error(
+      'FastCripto: IndexedDB indisponível, usando o armazenamento local:',
+      error
+    );
+    useLegacyStorage = true;
+    records = readLegacyTransactions();
+  }
+
+  transactionCache.clear();
+  records.map(normalizeTransaction).forEach((record) => {
+    transactionCache.set(record.id, record);
+  });
+
+  openChangesChannel();
+
+  if (CONFIG.debugMode) {
+    console.log(`FastCripto: ${transactionCache.size} transações carregadas`);
+  }
+}
+
+// Acompanhar as gravações feitas em outras abas
+// Sem isso, a cópia em memória só as veria ao recarregar a página, e os
+// limites e o volume dos últimos 30 dias ficariam abaixo do real
+function openChangesChannel() {
+  if (changesChannel || typeof BroadcastChannel === 'undefined') return;
+
+  changesChannel = new BroadcastChannel(CHANGES_CHANNEL);
+  changesChannel.onmessage = (event) => receiveTransactions(event.data);
+}
+
+// Aplicar à memória as transações gravadas por outra aba
+function receiveTransactions(records) {
+  if (!Array.isArray(records)) return;
+
+  const received = records
+    .filter((record) => record && typeof record.id === 'string')
+    .map(normalizeTransaction);
+  if (received.length === 0) return;
+
+  received.forEach((record) => transactionCache.set(record.id, record));
+
+  document.dispatchEvent(
+    new CustomEvent('transactionsRefreshed', {
+      detail: { transactions: received },
+    })
+  );
+}
+
+// Abrir o banco de dados de transações
+// Cada versão do schema tem seu passo de upgrade, aplicado em ordem a partir
+// da versão instalada no navegador
+function getDatabase() {
+  if (!dbPromise) {
+    dbPromise = openDatabase(DB_NAME, DB_VERSION, (db, oldVersion) => {
+      if (oldVersion < 1) {
+        const store = db.createObjectStore(TRANSACTIONS_STORE, {
+          keyPath: 'id',
+        });
+        store.createIndex('status', 'status');
+        store.createIndex('currency', 'currency');
+        store.createIndex('createdAt', 'createdAt');
+      }
     });
-    document.dispatchEvent(event);
+  }
+  return dbPromise;
+}
+
+// Copiar para o IndexedDB as transações gravadas no localStorage
+// A chave antiga só é removida depois da gravação concluída; se a migração
+// for interrompida, é refeita por completo na próxima inicialização
+async function migrateLegacyTransactions(db) {
+  if (localStorage.getItem(LEGACY_STORAGE_KEY) === null) return;
+
+  const legacy = readLegacyTransactions();
+
+  const tx = db.transaction(TRANSACTIONS_STORE, 'readwrite');
+  const store = tx.objectStore(TRANSACTIONS_STORE);
+  legacy.map(normalizeTransaction).forEach((record) => store.put(record));
+  await transactionDone(tx);
+
+  localStorage.removeItem(LEGACY_STORAGE_KEY);
+
+  if (CONFIG.debugMode) {
+    console.log(
+      `FastCripto: ${legacy.length} transações migradas para o IndexedDB`
+    );
+  }
+}
+
+// Ler as transações do armazenamento anterior
+function readLegacyTransactions() {
+  const stored = localStorage.getItem(LEGACY_STORAGE_KEY);
+  return stored ? JSON.parse(stored) : [];
+}
+
+// Gravar uma transação nova ou alterada
+// A memória é atualizada antes da gravação, para que as leituras seguintes
+// (ex.: limites) já a considerem; se a gravação falhar, a memória volta ao
+// estado anterior e o erro é repassado a quem chamou
+async function saveTransaction(record) {
+  const previous = transactionCache.get(record.id);
+  transactionCache.set(record.id, record);
+
+  try {
+    await writeTransactions([record]);
+  } catch (error) {
+    // Uma alteração posterior da mesma transação não é desfeita
+    if (transactionCache.get(record.id) === record) {
+      if (previous) transactionCache.set(record.id, previous);
+      else transactionCache.delete(record.id);
+    }
+    throw error;
+  }
+}
+
+// Gravar transações em uma única transação do IndexedDB (tudo ou nada)
+// No armazenamento local, as transações são mescladas à lista salva, relida
+// a cada gravação, para não sobrescrever as gravadas por outras abas
+// Concluída a gravação, as outras abas recebem as transações pelo canal de
+// alterações
+async function writeTransactions(records) {
+  if (useLegacyStorage) {
+    const stored = new Map(
+      readLegacyTransactions().map((record) => [record.id, record])
+    );
+    records.forEach((record) => stored.set(record.id, record));
+    localStorage.setItem(
+      LEGACY_STORAGE_KEY,
+      JSON.stringify([...stored.values()])
+    );
+  } else {
+    const db = await getDatabase();
+    const tx = db.transaction(TRANSACTIONS_STORE, 'readwrite');
+    const store = tx.objectStore(TRANSACTIONS_STORE);
+    records.forEach((record) => store.put(record));
+    await transactionDone(tx);
+  }
+
+  changesChannel?.postMessage(records);
+}
+
+// Converter os campos de data gravados como texto (JSON) em Date
+function normalizeTransaction(transaction) {
+  const record = { ...transaction };
 
-    // Salvar alterações
-    saveTransactions(transactions);
-    return true;
+  DATE_FIELDS.forEach((field) => {
+    if (record[field]) record[field] = new Date(record[field]);
+  });
+  if (record.statusHistory) {
+    record.statusHistory = record.statusHistory.map((entry) => ({
+      ...entry,
+      at: new Date(entry.at),
+    }));
   }
 
-  return false;
+  return record;
 }
 
 // Converter string de data para objeto Date
@@ -69,7 +811,9 @@ export function parseDateString(dateString) {
 // Exportar localmente para uso global
 window.transactionsModule = {
   addTransaction,
+  importTransactions,
   getTransactionHistory,
   getTransactionById,
   updateTransactionStatus,
+  updateTransactionOnChain,
 };
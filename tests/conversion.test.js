@@ -0,0 +1,210 @@
+/**
+ * FastCripto - Testes do Módulo de Conversão
+ */
+
+import './helpers/browser-globals.js';
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  convertCurrency,
+  applyNetworkFee,
+  convertCurrencyReverse,
+  convertCryptoToBRL,
+  formatCurrency,
+} from '../assets/js/modules/conversion.js';
+
+const FEES = { iof: 0.0038, incomeTax: 0, service: 0.01 };
+const BTC_RATE = 254871.35;
+
+test('convertCurrency calcula tributos, taxa e cripto em unidades inteiras', () => {
+  const conversion = convertCurrency(1000, BTC_RATE, FEES, 'BTC');
+
+  assert.deepEqual(conversion.units, {
+    brlAmount: '100000',
+    iofAmount: '380',
+    incomeTaxAmount: '0',
+    serviceAmount: '1000',
+    netAmount: '98620',
+    // 986,20 / 254.871,35 = 0,003869403... BTC, arredondado para baixo
+    cryptoAmount: '386940',
+    cryptoRate: '25487135000000',
+  });
+  assert.equal(conversion.netAmount, 986.2);
+  assert.equal(conversion.cryptoAmount, 0.0038694);
+});
+
+test('convertCurrency mantém o líquido igual ao bruto menos as deduções', () => {
+  [100, 123.45, 999.99, 54321.07].forEach((amount) => {
+    const { units } = convertCurrency(amount, BTC_RATE, FEES, 'BTC');
+    assert.equal(
+      BigInt(units.netAmount),
+      BigInt(units.brlAmount) -
+        BigInt(units.iofAmount) -
+        BigInt(units.incomeTaxAmount) -
+        BigInt(units.serviceAmount)
+    );
+  });
+});
+
+test('IOF arredonda meio centavo para cima e a taxa de serviço para baixo', () => {
+  // R$ 125,00 × 0,38% = R$ 0,475
+  assert.equal(convertCurrency(125, BTC_RATE, FEES, 'BTC').iofAmount, 0.48);
+  // R$ 1,50 × 1% = R$ 0,015
+  assert.equal(
+    convertCurrency(1.5, 5, { iof: 0, incomeTax: 0, service: 0.01 }, 'USDT')
+      .serviceAmount,
+    0.01
+  );
+});
+
+test('o valor em cripto é limitado às casas decimais entregues', () => {
+  // ETH tem 18 casas na menor unidade, mas entrega 6
+  const { units } = convertCurrency(1000, 14875.22, FEES, 'ETH');
+  assert.equal(units.cryptoAmount, '66298000000000000');
+  assert.equal(BigInt(units.cryptoAmount) % 10n ** 12n, 0n);
+});
+
+test('applyNetworkFee desconta a taxa de rede e a converte em reais', () => {
+  const conversion = applyNetworkFee(
+    convertCurrency(1000, BTC_RATE, FEES, 'BTC'),
+    '0.000015'
+  );
+
+  assert.equal(conversion.units.networkFee, '1500');
+  // 0,000015 BTC × 254.871,35 = R$ 3,823...
+  assert.equal(conversion.units.networkFeeBRL, '382');
+  assert.equal(conversion.units.finalCryptoAmount, '385440');
+  assert.equal(conversion.finalCryptoAmount, 0.0038544);
+});
+
+test('applyNetworkFee nunca subestima a taxa de rede', () => {
+  const conversion = applyNetworkFee(
+    convertCurrency(1000, BTC_RATE, FEES, 'BTC'),
+    '0.0000150001'
+  );
+  assert.equal(conversion.units.networkFee, '1501');
+});
+
+test('applyNetworkFee arredonda a taxa para cima nas casas entregues do ativo', () => {
+  // ETH entrega 6 casas: 0,0000021 ETH é cobrado como 0,000003 ETH
+  const conversion = applyNetworkFee(
+    convertCurrency(1000, 14875.22, FEES, 'ETH'),
+    '0.0000021'
+  );
+
+  assert.equal(conversion.units.networkFee, '3000000000000');
+  assert.equal(BigInt(conversion.units.finalCryptoAmount) % 10n ** 12n, 0n);
+  assert.equal(conversion.finalCryptoAmount, 0.066295);
+});
+
+test('formatCurrency exibe valores em cripto arredondados para baixo', () => {
+  assert.equal(formatCurrency(0.0659599, 'ETH'), '0.065959 ETH');
+  assert.equal(formatCurrency(0.0038694, 'BTC'), '0.00386940 BTC');
+  assert.equal(formatCurrency(NaN, 'BTC'), 'N/A');
+});
+
+test('convertCryptoToBRL arredonda o valor bruto da venda para baixo', () => {
+  const sale = convertCryptoToBRL(0.01, BTC_RATE, FEES, 'BTC');
+
+  assert.equal(sale.side, 'sell');
+  // 0,01 BTC × 254.871,35 = R$ 2.548,7135
+  assert.equal(sale.units.brlAmount, '254871');
+  assert.equal(sale.units.iofAmount, '969');
+  assert.equal(sale.units.serviceAmount, '2548');
+  assert.equal(sale.units.netAmount, '251354');
+});
+
+test('convertCurrency recusa criptomoedas não suportadas', () => {
+  assert.throws(
+    () => convertCurrency(1000, 1, FEES, 'DOGE'),
+    /Criptomoeda não suportada/
+  );
+});
+
+// Conversão direta do valor em centavos, como feita pelo resumo da cotação
+function forwardFromCents(cents, rate, fees, currency, networkFee) {
+  return applyNetworkFee(
+    convertCurrency((cents / 100).toFixed(2), rate, fees, currency),
+    networkFee
+  );
+}
+
+test('convertCurrencyReverse encontra o menor valor em reais que entrega o pedido', () => {
+  const conversion = convertCurrencyReverse(
+    0.01,
+    BTC_RATE,
+    FEES,
+    'BTC',
+    '0.000015'
+  );
+  const cents = Number(conversion.units.brlAmount);
+
+  assert.equal(conversion.units.targetCryptoAmount, '1000000');
+  assert.ok(BigInt(conversion.units.finalCryptoAmount) >= 1000000n);
+  assert.ok(
+    BigInt(
+      forwardFromCents(cents - 1, BTC_RATE, FEES, 'BTC', '0.000015').units
+        .finalCryptoAmount
+    ) < 1000000n
+  );
+});
+
+test('convertCurrencyReverse coincide com a conversão direta do valor encontrado', () => {
+  const cases = [
+    ['BTC', 254871.35, 0.5, '0.00002'],
+    ['BTC', 198765.43, 0.00000001, '0.00002'],
+    ['ETH', 14875.22, 1.234567, '0.0003'],
+    ['USDT', 5.04, 1500, '1'],
+    ['XRP', 2.67, 0.01, '0.00001'],
+  ];
+  const fees = { iof: 0.0038, incomeTax: 0.15, service: 0.0125 };
+
+  cases.forEach(([currency, rate, target, networkFee]) => {
+    const conversion = convertCurrencyReverse(
+      target,
+      rate,
+      fees,
+      currency,
+      networkFee
+    );
+    const cents = Number(conversion.units.brlAmount);
+    const targetUnits = BigInt(conversion.units.targetCryptoAmount);
+    const { units: forwardUnits } = forwardFromCents(
+      cents,
+      rate,
+      fees,
+      currency,
+      networkFee
+    );
+    const { units: cheaperUnits } = forwardFromCents(
+      cents - 1,
+      rate,
+      fees,
+      currency,
+      networkFee
+    );
+
+    assert.equal(
+      forwardUnits.finalCryptoAmount,
+      conversion.units.finalCryptoAmount
+    );
+    assert.ok(BigInt(forwardUnits.finalCryptoAmount) >= targetUnits);
+    assert.ok(BigInt(cheaperUnits.finalCryptoAmount) < targetUnits, currency);
+  });
+});
+
+test('convertCurrencyReverse recusa taxas que consomem todo o valor', () => {
+  assert.throws(
+    () =>
+      convertCurrencyReverse(
+        0.001,
+        BTC_RATE,
+        { iof: 0.5, incomeTax: 0.5, service: 0.01 },
+        'BTC',
+        '0.00002'
+      ),
+    /As taxas consomem todo o valor da conversão/
+  );
+});
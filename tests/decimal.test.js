@@ -0,0 +1,72 @@
+/**
+ * FastCripto - Testes do Módulo de Aritmética Decimal
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  toUnits,
+  fromUnits,
+  formatUnits,
+  mulDiv,
+  rescale,
+  quantize,
+} from '../assets/js/modules/decimal.js';
+
+test('toUnits aplica cada modo de arredondamento', () => {
+  assert.equal(toUnits('12.345', 2, 'halfUp'), 1235n);
+  assert.equal(toUnits('12.345', 2, 'down'), 1234n);
+  assert.equal(toUnits('12.341', 2, 'up'), 1235n);
+  assert.equal(toUnits('12.345', 2, 'halfEven'), 1234n);
+  assert.equal(toUnits('12.355', 2, 'halfEven'), 1236n);
+});
+
+test('toUnits arredonda negativos para longe de zero', () => {
+  assert.equal(toUnits('-1.005', 2, 'halfUp'), -101n);
+  assert.equal(toUnits('-1.009', 2, 'down'), -100n);
+  assert.equal(toUnits('-1.001', 2, 'up'), -101n);
+});
+
+test('toUnits lê números sem erro de ponto flutuante', () => {
+  // 0.1 + 0.2 === 0.30000000000000004
+  assert.equal(toUnits(0.1 + 0.2, 2), 30n);
+  assert.equal(toUnits(1e-8, 8), 1n);
+  assert.equal(toUnits('2.5e3', 2), 250000n);
+  assert.equal(toUnits(254871.35, 8), 25487135000000n);
+});
+
+test('toUnits recusa valores que não são decimais', () => {
+  assert.throws(() => toUnits('abc', 2), /Valor decimal inválido/);
+  assert.throws(() => toUnits('', 2), /Valor decimal inválido/);
+  assert.throws(() => toUnits('1,5', 2), /Valor decimal inválido/);
+});
+
+test('formatUnits e fromUnits preservam a escala e o sinal', () => {
+  assert.equal(formatUnits(123456789n, 8), '1.23456789');
+  assert.equal(formatUnits(-5n, 2), '-0.05');
+  assert.equal(formatUnits(42n, 0), '42');
+  assert.equal(fromUnits(98620n, 2), 986.2);
+});
+
+test('mulDiv calcula sem perda com valores acima de Number.MAX_SAFE_INTEGER', () => {
+  const wei = 10n ** 30n;
+  assert.equal(mulDiv(wei, 3n, 7n, 'down'), 428571428571428571428571428571n);
+  assert.equal(mulDiv(wei, 3n, 7n, 'up'), 428571428571428571428571428572n);
+  assert.equal(mulDiv(-10n, 1n, 4n, 'halfUp'), -3n);
+});
+
+test('mulDiv recusa divisão por zero e modos desconhecidos', () => {
+  assert.throws(() => mulDiv(1n, 1n, 0n, 'down'), /Divisão por zero/);
+  assert.throws(() => mulDiv(1n, 1n, 3n, 'ceil'), /Modo de arredondamento/);
+});
+
+test('rescale e quantize ajustam a precisão das unidades', () => {
+  // wei (18 casas) para 6 casas
+  assert.equal(rescale(1234567890123456789n, 18, 6, 'down'), 1234567n);
+  assert.equal(rescale(15n, 2, 4, 'down'), 1500n);
+  // satoshis arredondados a 6 casas, mantendo a escala de 8
+  assert.equal(quantize(123456789n, 8, 6, 'down'), 123456700n);
+  assert.equal(quantize(123456701n, 8, 6, 'up'), 123456800n);
+  assert.equal(quantize(123456789n, 8, 8, 'down'), 123456789n);
+});
@@ -0,0 +1,86 @@
+/**
+ * FastCripto - Ambiente de navegador para os testes
+ * Globais usados pelos módulos (CONFIG, window, document, localStorage e
+ * BroadcastChannel); deve ser importado antes dos módulos testados
+ */
+
+// localStorage em memória
+class MemoryStorage {
+  constructor() {
+    this.items = new Map();
+  }
+
+  getItem(key) {
+    return this.items.has(key) ? this.items.get(key) : null;
+  }
+
+  setItem(key, value) {
+    this.items.set(key, String(value));
+  }
+
+  removeItem(key) {
+    this.items.delete(key);
+  }
+
+  clear() {
+    this.items.clear();
+  }
+}
+
+// BroadcastChannel entre as instâncias do processo; o do Node manteria o
+// processo dos testes aberto
+class MemoryBroadcastChannel {
+  static channels = new Set();
+
+  constructor(name) {
+    this.name = name;
+    this.onmessage = null;
+    MemoryBroadcastChannel.channels.add(this);
+  }
+
+  // Como no navegador, a mensagem é copiada e entregue depois, a todos os
+  // canais com o mesmo nome, menos o que enviou
+  postMessage(data) {
+    MemoryBroadcastChannel.channels.forEach((channel) => {
+      if (channel === this || channel.name !== this.name) return;
+      const message = structuredClone(data);
+      setTimeout(() => channel.onmessage?.({ data: message }));
+    });
+  }
+
+  close() {
+    MemoryBroadcastChannel.channels.delete(this);
+  }
+}
+
+globalThis.CONFIG = {
+  appName: 'FastCripto',
+  environment: 'test',
+  apiBaseUrl: 'https://api.fastcripto.test',
+  fees: { iof: 0.0038, incomeTax: 0, service: 0.01 },
+  quoteTTL: 30,
+  minConversionAmount: 100,
+};
+
+globalThis.window = globalThis;
+globalThis.localStorage = new MemoryStorage();
+globalThis.BroadcastChannel = MemoryBroadcastChannel;
+
+// Os eventos dos módulos são disparados em document
+globalThis.document = Object.assign(new EventTarget(), {
+  getElementById: () => null,
+  querySelector: () => null,
+  querySelectorAll: () => [],
+});
+
+// Registrar os eventos disparados em document com o nome informado
+export function recordEvents(type) {
+  const events = [];
+  document.addEventListener(type, (event) => events.push(event.detail));
+  return events;
+}
+
+// Fechar os canais abertos, como ao fechar as outras abas
+export function closeBroadcastChannels() {
+  MemoryBroadcastChannel.channels.clear();
+}
@@ -0,0 +1,186 @@
+/**
+ * FastCripto - IndexedDB em memória para os testes
+ * Implementa apenas o que os módulos usam: abertura com upgrade de versão,
+ * object stores com keyPath e índices, put e getAll; as gravações de uma
+ * transação só são aplicadas quando ela termina sem erro
+ */
+
+// Requisição com os eventos de sucesso e erro
+class FakeRequest {
+  constructor(transaction = null) {
+    this.transaction = transaction;
+    this.result = undefined;
+    this.error = null;
+    this.onsuccess = null;
+    this.onerror = null;
+  }
+
+  succeed(result) {
+    this.result = result;
+    this.onsuccess?.({ target: this });
+  }
+
+  fail(error) {
+    this.error = error;
+    this.onerror?.({ target: this });
+  }
+}
+
+// Store de registros indexados pelo keyPath
+class FakeObjectStore {
+  constructor(transaction, store) {
+    this.transaction = transaction;
+    this.store = store;
+  }
+
+  put(value) {
+    if (this.transaction.mode === 'readonly') {
+      throw new DOMException('Transação somente leitura', 'ReadOnlyError');
+    }
+
+    const key = value[this.store.keyPath];
+    return this.transaction.queue((request, writes) => {
+      if (key === undefined) {
+        throw new DOMException('Registro sem chave', 'DataError');
+      }
+      writes.push([this.store, key, structuredClone(value)]);
+      request.succeed(key);
+    });
+  }
+
+  getAll() {
+    return this.transaction.queue((request, writes) => {
+      const records = new Map(this.store.records);
+      writes
+        .filter(([store]) => store === this.store)
+        .forEach(([, key, value]) => records.set(key, value));
+
+      request.succeed(
+        [...records.keys()]
+          .sort()
+          .map((key) => structuredClone(records.get(key)))
+      );
+    });
+  }
+}
+
+// Transação que executa as requisições na próxima volta do event loop
+class FakeTransaction {
+  constructor(database, mode) {
+    this.database = database;
+    this.mode = mode;
+    this.error = null;
+    this.oncomplete = null;
+    this.onerror = null;
+    this.onabort = null;
+    this.operations = [];
+
+    setTimeout(() => this.finish());
+  }
+
+  objectStore(name) {
+    const store = this.database.stores.get(name);
+    if (!store) {
+      throw new DOMException(`Store ${name} não existe`, 'NotFoundError');
+    }
+    return new FakeObjectStore(this, store);
+  }
+
+  queue(operation) {
+    const request = new FakeRequest(this);
+    this.operations.push([request, operation]);
+    return request;
+  }
+
+  finish() {
+    const writes = [];
+
+    for (const [request, operation] of this.operations) {
+      try {
+        operation(request, writes);
+      } catch (error) {
+        this.error = error;
+        request.fail(error);
+        this.onerror?.({ target: this });
+        this.onabort?.({ target: this });
+        return;
+      }
+    }
+
+    writes.forEach(([store, key, value]) => store.records.set(key, value));
+    this.oncomplete?.({ target: this });
+  }
+}
+
+// Conexão com um banco; as stores ficam no próprio banco em memória
+class FakeDatabase {
+  constructor(data) {
+    this.data = data;
+    this.stores = data.stores;
+  }
+
+  get version() {
+    return this.data.version;
+  }
+
+  createObjectStore(name, { keyPath } = {}) {
+    if (this.stores.has(name)) {
+      throw new DOMException(`Store ${name} já existe`, 'ConstraintError');
+    }
+    const store = { keyPath, indexes: new Map(), records: new Map() };
+    this.stores.set(name, store);
+
+    return {
+      createIndex(indexName, indexKeyPath) {
+        store.indexes.set(indexName, indexKeyPath);
+      },
+    };
+  }
+
+  transaction(storeNames, mode = 'readonly') {
+    return new FakeTransaction(this, mode);
+  }
+
+  close() {}
+}
+
+// Criar um IndexedDB vazio, com a mesma interface de window.indexedDB
+export function createFakeIndexedDB() {
+  const databases = new Map();
+
+  return {
+    databases,
+
+    open(name, version = 1) {
+      const request = new FakeRequest();
+
+      setTimeout(() => {
+        if (!databases.has(name)) {
+          databases.set(name, { version: 0, stores: new Map() });
+        }
+        const data = databases.get(name);
+
+        if (version < data.version) {
+          request.fail(new DOMException('Versão menor', 'VersionError'));
+          return;
+        }
+
+        request.result = new FakeDatabase(data);
+
+        if (version > data.version) {
+          const oldVersion = data.version;
+          data.version = version;
+          request.onupgradeneeded?.({
+            target: request,
+            oldVersion,
+            newVersion: version,
+          });
+        }
+
+        request.succeed(request.result);
+      });
+
+      return request;
+    },
+  };
+}
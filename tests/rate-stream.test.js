@@ -0,0 +1,74 @@
+/**
+ * FastCripto - Testes do Streaming de Cotações
+ */
+
+import './helpers/browser-globals.js';
+
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { connectRateStream } from '../assets/js/modules/rate-stream.js';
+
+// Conexão SSE aberta pelo módulo
+let source;
+let stream;
+let received;
+
+globalThis.EventSource = class {
+  constructor(url) {
+    this.url = url;
+    source = this;
+  }
+
+  close() {}
+};
+
+beforeEach(() => {
+  received = [];
+  stream = connectRateStream(
+    { type: 'sse', url: 'http://localhost:8787/rates/stream' },
+    { onRates: (rates, timestamp) => received.push({ rates, timestamp }) }
+  );
+});
+
+afterEach(() => {
+  stream.close();
+});
+
+// Entregar uma mensagem do servidor
+function send(message) {
+  source.onmessage({ data: JSON.stringify(message) });
+}
+
+test('a data das taxas vem do timestamp da mensagem', () => {
+  send({
+    type: 'tick',
+    symbol: 'BTC',
+    rate: 254903.1,
+    timestamp: '2025-04-10T15:30:02Z',
+  });
+
+  assert.deepEqual(received[0].rates, { BTC: 254903.1 });
+  assert.equal(received[0].timestamp.toISOString(), '2025-04-10T15:30:02.000Z');
+});
+
+test('datas no futuro são substituídas pelo horário de recebimento', () => {
+  const before = Date.now();
+  send({
+    type: 'rates',
+    rates: { BTC: 254871.35 },
+    timestamp: new Date(before + 3600 * 1000).toISOString(),
+  });
+
+  assert.ok(received[0].timestamp.getTime() >= before);
+  assert.ok(received[0].timestamp.getTime() <= Date.now());
+});
+
+test('mensagens com data inválida são descartadas', (t) => {
+  t.mock.method(console, 'warn', () => {});
+
+  send({ type: 'tick', symbol: 'BTC', rate: 1, timestamp: 'ontem' });
+  send({ type: 'tick', symbol: 'BTC', rate: 1, timestamp: { at: 0 } });
+
+  assert.equal(received.length, 0);
+});
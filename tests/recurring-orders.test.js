@@ -0,0 +1,111 @@
+/**
+ * FastCripto - Testes do Módulo de Compras Recorrentes
+ */
+
+import './helpers/browser-globals.js';
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  createRecurringOrder,
+  updateRecurringOrder,
+  getRecurringOrders,
+} from '../assets/js/modules/recurring-orders.js';
+
+const WALLET_ADDRESS = 'bc1qxy2kgdygjrsqtzq2n0yrf2493p83kkfjhx0wlh';
+const STORAGE_KEY = 'fastcripto_recurring_orders_local';
+
+// Dia atual às 9h (horário das execuções)
+function todayAtRunHour() {
+  const now = new Date();
+  return new Date(now.getFullYear(), now.getMonth(), now.getDate(), 9);
+}
+
+// Data de ontem no formato AAAA-MM-DD (hora local)
+function yesterday() {
+  const date = todayAtRunHour();
+  date.setDate(date.getDate() - 1);
+  const pad = (number) => String(number).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(
+    date.getDate()
+  )}`;
+}
+
+// Registrar nas ordens salvas a execução de hoje, como faria a verificação
+function recordTodaysExecution(order) {
+  const orders = getRecurringOrders().map((saved) =>
+    saved.id === order.id
+      ? {
+          ...saved,
+          executions: [
+            {
+              scheduledAt: todayAtRunHour().toISOString(),
+              executedAt: todayAtRunHour().toISOString(),
+              missed: 0,
+              status: 'executed',
+            },
+          ],
+          nextRunIndex: saved.nextRunIndex + 1,
+        }
+      : saved
+  );
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(orders));
+}
+
+beforeEach(() => {
+  localStorage.clear();
+});
+
+test('uma ordem nova é agendada para hoje às 9h', () => {
+  const order = createRecurringOrder({
+    amountBRL: 200,
+    currency: 'BTC',
+    network: 'BTC',
+    walletAddress: WALLET_ADDRESS,
+    frequency: 'daily',
+    startDate: yesterday(),
+  });
+
+  assert.equal(order.nextRunAt, todayAtRunHour().toISOString());
+});
+
+test('editar a ordem depois da execução do dia não repete a compra', () => {
+  const order = createRecurringOrder({
+    amountBRL: 200,
+    currency: 'BTC',
+    network: 'BTC',
+    walletAddress: WALLET_ADDRESS,
+    frequency: 'weekly',
+    startDate: yesterday(),
+  });
+  recordTodaysExecution(order);
+
+  const updated = updateRecurringOrder(order.id, {
+    frequency: 'daily',
+    startDate: yesterday(),
+  });
+
+  const tomorrow = todayAtRunHour();
+  tomorrow.setDate(tomorrow.getDate() + 1);
+  assert.equal(updated.status, 'active');
+  assert.equal(updated.nextRunAt, tomorrow.toISOString());
+});
+
+test('editar a ordem antes da execução do dia mantém a execução de hoje', () => {
+  const order = createRecurringOrder({
+    amountBRL: 200,
+    currency: 'BTC',
+    network: 'BTC',
+    walletAddress: WALLET_ADDRESS,
+    frequency: 'weekly',
+    startDate: yesterday(),
+  });
+
+  const updated = updateRecurringOrder(order.id, {
+    frequency: 'daily',
+    startDate: yesterday(),
+  });
+
+  assert.equal(updated.nextRunAt, todayAtRunHour().toISOString());
+});
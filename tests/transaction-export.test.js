@@ -0,0 +1,271 @@
+/**
+ * FastCripto - Testes da Exportação e Restauração de Transações
+ */
+
+import { recordEvents } from './helpers/browser-globals.js';
+
+import { test, before, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  initializeTransactionStore,
+  getTransactionById,
+} from '../assets/js/modules/transactions.js';
+import {
+  buildTransactionsCSV,
+  buildTransactionsOFX,
+  buildTransactionsBackup,
+  restoreTransactionsBackup,
+} from '../assets/js/modules/transaction-export.js';
+import { createId } from '../assets/js/modules/ids.js';
+
+const WALLET_ADDRESS = 'bc1qxy2kgdygjrsqtzq2n0yrf2493p83kkfjhx0wlh';
+
+const importEvents = recordEvents('transactionsImported');
+
+// Sem IndexedDB, o armazenamento usa o localStorage
+before(async () => {
+  const consoleError = mock.method(console, 'error', () => {});
+  await initializeTransactionStore();
+  consoleError.mock.restore();
+});
+
+// Compra concluída, com os campos gravados pelo aplicativo
+function createBuy(overrides = {}) {
+  return {
+    id: createId('TX'),
+    status: 'completed',
+    createdAt: new Date('2025-04-10T12:30:00.000Z'),
+    currency: 'BTC',
+    network: 'BTC',
+    walletAddress: WALLET_ADDRESS,
+    brlAmount: 1000,
+    iofAmount: 3.8,
+    incomeTaxAmount: 0,
+    serviceAmount: 10,
+    netAmount: 986.2,
+    cryptoRate: 254871.35,
+    networkFee: 0.000015,
+    networkFeeBRL: 3.82,
+    finalCryptoAmount: 0.0038544,
+    quoteId: createId('QT'),
+    taxes: {
+      version: 1,
+      date: '2025-04-10',
+      iof: { rate: 0.0038, ruleId: 'iof-cambio' },
+      incomeTax: { rate: 0, ruleId: null },
+    },
+    serviceFee: { rate: 0.01 },
+    ...overrides,
+  };
+}
+
+// Venda paga via PIX
+function createSell(overrides = {}) {
+  return {
+    id: createId('SL'),
+    type: 'sell',
+    status: 'paid_out',
+    createdAt: new Date('2025-04-11T09:00:00.000Z'),
+    currency: 'BTC',
+    network: 'BTC',
+    depositAddress: WALLET_ADDRESS,
+    depositMemo: null,
+    pixKeyType: 'email',
+    pixKey: 'cliente@example.com',
+    cryptoAmount: 0.01,
+    brlAmount: 2548.71,
+    iofAmount: 9.69,
+    incomeTaxAmount: 0,
+    serviceAmount: 25.48,
+    netAmount: 2513.54,
+    cryptoRate: 254871.35,
+    ...overrides,
+  };
+}
+
+// Linhas do CSV, sem o BOM, separadas em células
+function parseCSVRows(csv, delimiter) {
+  return csv
+    .slice(1)
+    .trimEnd()
+    .split('\r\n')
+    .map((line) => line.split(delimiter));
+}
+
+test('buildTransactionsCSV começa com BOM e usa o formato brasileiro por padrão', () => {
+  const csv = buildTransactionsCSV([createBuy()]);
+
+  assert.ok(csv.startsWith('\uFEFF'));
+  assert.ok(csv.endsWith('\r\n'));
+
+  const [header, row] = parseCSVRows(csv, ';');
+  const cell = (name) => row[header.indexOf(name)];
+  assert.equal(row.length, header.length);
+  assert.equal(cell('Tipo'), 'Compra');
+  assert.equal(cell('Status'), 'Concluída');
+  assert.equal(cell('Valor bruto (R$)'), '1000,00');
+  assert.equal(cell('IOF (%)'), '0,3800');
+  assert.equal(cell('Taxa de rede (cripto)'), '0,00001500');
+  assert.equal(cell('Destino'), WALLET_ADDRESS);
+});
+
+test('buildTransactionsCSV acompanha o separador do formato de número', () => {
+  const buy = createBuy({ brlAmount: 1234.5 });
+
+  const [grouped] = parseCSVRows(
+    buildTransactionsCSV([buy], 'pt-BR-grouped'),
+    ';'
+  ).slice(1);
+  assert.ok(grouped.includes('1.234,50'));
+
+  const [header, row] = parseCSVRows(buildTransactionsCSV([buy], 'en'), ',');
+  assert.equal(row[header.indexOf('Valor bruto (R$)')], '1234.50');
+  assert.equal(row[header.indexOf('Data')], '2025-04-10T12:30:00.000Z');
+});
+
+test('buildTransactionsCSV neutraliza fórmulas e mantém números negativos', () => {
+  const csv = buildTransactionsCSV([
+    createBuy({
+      walletAddress: '=HYPERLINK("https://example.com")',
+      netAmount: -1.5,
+    }),
+    createBuy({ walletAddress: '@SUM(A1:A2)' }),
+  ]);
+
+  assert.ok(csv.includes(';"\'=HYPERLINK(""https://example.com"")";'));
+  assert.ok(csv.includes(";'@SUM(A1:A2);"));
+  assert.ok(csv.includes(';-1,50;'));
+});
+
+test('buildTransactionsCSV mascara a chave PIX das vendas', () => {
+  const [header, row] = parseCSVRows(buildTransactionsCSV([createSell()]), ';');
+
+  assert.equal(row[header.indexOf('Tipo')], 'Venda');
+  assert.equal(row[header.indexOf('Destino')], 'E-mail: cl***@example.com');
+  assert.equal(row[header.indexOf('Quantidade (cripto)')], '0,01000000');
+});
+
+test('buildTransactionsOFX lança compras a débito e vendas a crédito', () => {
+  const ofx = buildTransactionsOFX(
+    [
+      createSell(),
+      createBuy(),
+      createBuy({ status: 'cancelled', brlAmount: 500 }),
+    ],
+    new Date('2025-04-12T00:00:00.000Z')
+  );
+  const amounts = [...ofx.matchAll(/<TRNAMT>(.+)/g)].map((match) => match[1]);
+
+  // Ordenadas por data, sem a compra cancelada
+  assert.deepEqual(amounts, ['-1000.00', '2513.54']);
+  assert.match(ofx, /<TRNTYPE>DEBIT\n<DTPOSTED>20250410123000\[0:GMT\]/);
+  assert.match(ofx, /<BALAMT>1513\.54/);
+  assert.match(ofx, /<DTSTART>20250410123000/);
+  assert.match(ofx, /<DTEND>20250411090000/);
+  assert.match(ofx, /<ACCTID>local/);
+});
+
+test('o backup restaura as transações com os mesmos dados', async () => {
+  const buy = createBuy();
+  const sell = createSell();
+  const backup = buildTransactionsBackup([buy, sell]);
+
+  assert.deepEqual(await restoreTransactionsBackup(backup), {
+    imported: 2,
+    skipped: 0,
+    rejected: 0,
+  });
+
+  const restored = getTransactionById(buy.id);
+  assert.ok(restored.createdAt instanceof Date);
+  assert.equal(restored.createdAt.getTime(), buy.createdAt.getTime());
+  assert.deepEqual(restored.taxes, buy.taxes);
+  assert.equal(restored.statusHistory[0].reason, 'Transação importada');
+  assert.equal(getTransactionById(sell.id).pixKey, 'cliente@example.com');
+
+  // Restaurar o mesmo backup de novo não duplica as transações
+  assert.deepEqual(await restoreTransactionsBackup(backup), {
+    imported: 0,
+    skipped: 2,
+    rejected: 0,
+  });
+});
+
+test('restoreTransactionsBackup recusa registros fora do formato do aplicativo', async () => {
+  const crafted = [
+    createBuy({ id: 'TX<img src=x onerror=alert(1)>' }),
+    createBuy({ currency: '<b>BTC</b>' }),
+    createBuy({ walletAddress: 'bc1q<script>' }),
+    createBuy({ network: 'ETH' }),
+    createBuy({ status: 'paid_out' }),
+    createBuy({ statusHistory: [null] }),
+    createBuy({ quoteId: 'QT"onmouseover' }),
+    createBuy({ brlAmount: '1e3' }),
+    createBuy({ createdAt: null }),
+    createSell({ pixKey: '<script>@example.com' }),
+    createBuy({ walletAddress: undefined }),
+  ];
+  const accepted = createBuy({ note: '<script>alert(1)</script>' });
+
+  const result = await restoreTransactionsBackup(
+    buildTransactionsBackup([...crafted, accepted])
+  );
+
+  assert.deepEqual(result, {
+    imported: 1,
+    skipped: 0,
+    rejected: crafted.length,
+  });
+  assert.ok(!('note' in getTransactionById(accepted.id)));
+});
+
+test('restoreTransactionsBackup ignora IDs repetidos no mesmo backup', async () => {
+  const buy = createBuy();
+
+  const result = await restoreTransactionsBackup(
+    buildTransactionsBackup([buy, { ...buy, brlAmount: 2000 }])
+  );
+
+  assert.deepEqual(result, { imported: 1, skipped: 1, rejected: 0 });
+  assert.equal(getTransactionById(buy.id).brlAmount, 1000);
+});
+
+test('restoreTransactionsBackup explica por que o arquivo foi recusado', async () => {
+  const backup = JSON.parse(buildTransactionsBackup([]));
+
+  await assert.rejects(
+    restoreTransactionsBackup('{ não é JSON'),
+    /O arquivo não é um JSON válido/
+  );
+  await assert.rejects(
+    restoreTransactionsBackup(JSON.stringify({ ...backup, format: 'outro' })),
+    /não é um backup de transações da FastCripto/
+  );
+  await assert.rejects(
+    restoreTransactionsBackup(JSON.stringify({ ...backup, version: 2 })),
+    /Versão de backup não suportada: 2/
+  );
+  await assert.rejects(
+    restoreTransactionsBackup(
+      JSON.stringify({ ...backup, transactions: undefined })
+    ),
+    /não contém a lista de transações/
+  );
+});
+
+test('se a gravação falhar, nenhuma transação do backup é incluída', async (t) => {
+  const buys = [createBuy(), createBuy()];
+  const eventCount = importEvents.length;
+  t.mock.method(localStorage, 'setItem', () => {
+    throw new DOMException('Cota excedida', 'QuotaExceededError');
+  });
+
+  await assert.rejects(
+    restoreTransactionsBackup(buildTransactionsBackup(buys)),
+    /Cota excedida/
+  );
+
+  buys.forEach((buy) => assert.equal(getTransactionById(buy.id), undefined));
+  assert.equal(importEvents.length, eventCount);
+});
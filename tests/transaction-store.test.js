@@ -0,0 +1,173 @@
+/**
+ * FastCripto - Testes do Armazenamento de Transações
+ * Migração do localStorage para o IndexedDB e reserva sem IndexedDB
+ */
+
+import { closeBroadcastChannels } from './helpers/browser-globals.js';
+import { createFakeIndexedDB } from './helpers/fake-indexeddb.js';
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { once } from 'node:events';
+
+const LEGACY_STORAGE_KEY = 'fastcripto_transactions';
+
+let instanceCount = 0;
+
+// Carregar uma nova instância do módulo, como em uma nova aba ou recarga
+async function loadTransactions() {
+  instanceCount++;
+  const transactions = await import(
+    `../assets/js/modules/transactions.js?instance=${instanceCount}`
+  );
+  await transactions.initializeTransactionStore();
+  return transactions;
+}
+
+// Transação como era gravada no localStorage (datas em texto)
+function createLegacyTransaction(id, status = 'completed') {
+  return {
+    id,
+    status,
+    createdAt: '2025-04-10T12:30:00.000Z',
+    updatedAt: '2025-04-10T12:45:00.000Z',
+    currency: 'BTC',
+    network: 'BTC',
+    brlAmount: 1000,
+    statusHistory: [{ from: null, to: status, at: '2025-04-10T12:30:00.000Z' }],
+  };
+}
+
+beforeEach(() => {
+  closeBroadcastChannels();
+  localStorage.clear();
+  window.indexedDB = createFakeIndexedDB();
+});
+
+test('as transações do localStorage são migradas para o IndexedDB', async () => {
+  localStorage.setItem(
+    LEGACY_STORAGE_KEY,
+    JSON.stringify([
+      createLegacyTransaction('TX1744299000001'),
+      createLegacyTransaction('TX1744299000002', 'cancelled'),
+    ])
+  );
+
+  const { getTransactionById } = await loadTransactions();
+
+  const transaction = getTransactionById('TX1744299000001');
+  assert.ok(transaction.createdAt instanceof Date);
+  assert.equal(transaction.createdAt.toISOString(), '2025-04-10T12:30:00.000Z');
+  assert.ok(transaction.statusHistory[0].at instanceof Date);
+  assert.equal(getTransactionById('TX1744299000002').status, 'cancelled');
+  assert.equal(localStorage.getItem(LEGACY_STORAGE_KEY), null);
+
+  // Na próxima carga, as transações vêm do IndexedDB
+  const reloaded = await loadTransactions();
+  assert.equal(reloaded.getTransactionHistory().length, 2);
+  assert.ok(
+    reloaded.getTransactionById('TX1744299000001').updatedAt instanceof Date
+  );
+});
+
+test('o banco é criado na versão 1 com a store e os índices', async () => {
+  await loadTransactions();
+
+  const database = window.indexedDB.databases.get('fastcripto_transactions');
+  assert.equal(database.version, 1);
+  assert.deepEqual([...database.stores.keys()], ['transactions']);
+  assert.equal(database.stores.get('transactions').keyPath, 'id');
+  assert.deepEqual(
+    Object.fromEntries(database.stores.get('transactions').indexes),
+    { status: 'status', currency: 'currency', createdAt: 'createdAt' }
+  );
+});
+
+test('transações novas e alterações são gravadas no IndexedDB', async () => {
+  const { addTransaction, updateTransactionStatus } = await loadTransactions();
+
+  await addTransaction({
+    id: 'TX1744299000003',
+    status: 'pending_kyc',
+    createdAt: new Date('2025-04-10T13:00:00.000Z'),
+    currency: 'BTC',
+    network: 'BTC',
+    brlAmount: 500,
+  });
+  await updateTransactionStatus('TX1744299000003', 'cancelled', {
+    actor: 'customer',
+  });
+
+  const { getTransactionById } = await loadTransactions();
+  const transaction = getTransactionById('TX1744299000003');
+  assert.equal(transaction.status, 'cancelled');
+  assert.equal(transaction.statusHistory.length, 2);
+  assert.ok(transaction.createdAt instanceof Date);
+});
+
+test('as transações gravadas em outra aba aparecem sem recarregar', async () => {
+  const otherTab = await loadTransactions();
+  const { getTransactionById, getTransactionHistory } =
+    await loadTransactions();
+
+  const refreshed = once(document, 'transactionsRefreshed');
+  await otherTab.addTransaction({
+    id: 'TX1744299000007',
+    status: 'pending_kyc',
+    createdAt: new Date(),
+    currency: 'BTC',
+    network: 'BTC',
+    brlAmount: 500,
+  });
+  const [event] = await refreshed;
+
+  assert.deepEqual(
+    event.detail.transactions.map((record) => record.id),
+    ['TX1744299000007']
+  );
+  assert.ok(getTransactionById('TX1744299000007').createdAt instanceof Date);
+  assert.equal(getTransactionHistory().length, 1);
+});
+
+test('sem IndexedDB, as transações ficam no localStorage', async (t) => {
+  const consoleError = t.mock.method(console, 'error', () => {});
+  delete window.indexedDB;
+  localStorage.setItem(
+    LEGACY_STORAGE_KEY,
+    JSON.stringify([createLegacyTransaction('TX1744299000004')])
+  );
+
+  const { getTransactionById } = await loadTransactions();
+
+  assert.equal(consoleError.mock.callCount(), 1);
+  assert.ok(getTransactionById('TX1744299000004').createdAt instanceof Date);
+  assert.notEqual(localStorage.getItem(LEGACY_STORAGE_KEY), null);
+});
+
+test('sem IndexedDB, as gravações preservam as transações de outras abas', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  delete window.indexedDB;
+
+  const { addTransaction } = await loadTransactions();
+
+  // Outra aba grava uma transação depois da carga desta
+  localStorage.setItem(
+    LEGACY_STORAGE_KEY,
+    JSON.stringify([createLegacyTransaction('TX1744299000005')])
+  );
+
+  await addTransaction({
+    id: 'TX1744299000006',
+    status: 'pending_kyc',
+    createdAt: new Date(),
+    currency: 'BTC',
+    network: 'BTC',
+    brlAmount: 500,
+  });
+
+  const stored = JSON.parse(localStorage.getItem(LEGACY_STORAGE_KEY));
+  assert.deepEqual(
+    stored.map((record) => record.id),
+    ['TX1744299000005', 'TX1744299000006']
+  );
+});
@@ -0,0 +1,139 @@
+/**
+ * FastCripto - Testes do Acompanhamento de Transações
+ */
+
+import './helpers/browser-globals.js';
+
+import { test, before, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  initializeTransactionStore,
+  addTransaction,
+  getTransactionById,
+  updateTransactionStatus,
+} from '../assets/js/modules/transactions.js';
+import { syncTransactions } from '../assets/js/modules/transaction-sync.js';
+import { createId } from '../assets/js/modules/ids.js';
+
+// Respostas do backend simulado, por método e URL
+let responses;
+let requests;
+
+// Sem IndexedDB, o armazenamento usa o localStorage
+before(async () => {
+  const consoleError = mock.method(console, 'error', () => {});
+  await initializeTransactionStore();
+  consoleError.mock.restore();
+
+  // As compras dos testes anteriores continuam sendo consultadas e recebem
+  // 404 do backend simulado
+  mock.method(console, 'warn', () => {});
+
+  globalThis.fetch = async (url, { method = 'GET', body } = {}) => {
+    requests.push({ method, url, body: body && JSON.parse(body) });
+    const data = responses[`${method} ${url}`];
+    return {
+      ok: Boolean(data),
+      status: data ? 200 : 404,
+      json: async () => data,
+    };
+  };
+});
+
+beforeEach(() => {
+  responses = {};
+  requests = [];
+});
+
+// Compra criada pelo conversor
+async function createBuy() {
+  return addTransaction({
+    id: createId('TX'),
+    status: 'pending_kyc',
+    createdAt: new Date(),
+    quoteId: createId('QT'),
+    currency: 'BTC',
+    network: 'BTC',
+    walletAddress: 'bc1qxy2kgdygjrsqtzq2n0yrf2493p83kkfjhx0wlh',
+    brlAmount: 1000,
+  });
+}
+
+test('compras novas são registradas no backend com o ID do navegador', async () => {
+  const buy = await createBuy();
+  responses[`POST ${CONFIG.apiBaseUrl}/transactions`] = {
+    id: buy.id,
+    status: 'pending_kyc',
+  };
+
+  await syncTransactions();
+
+  const submission = requests.find((request) => request.method === 'POST');
+  assert.equal(submission.body.id, buy.id);
+  assert.equal(submission.body.quoteId, buy.quoteId);
+  assert.equal(submission.body.amount, 1000);
+  assert.ok(getTransactionById(buy.id).submittedAt instanceof Date);
+
+  // Depois de registrada, a compra passa a ser consultada
+  responses[`GET ${CONFIG.apiBaseUrl}/transactions/${buy.id}`] = {
+    id: buy.id,
+    status: 'awaiting_payment',
+  };
+  await syncTransactions();
+  assert.equal(getTransactionById(buy.id).status, 'awaiting_payment');
+});
+
+test('uma compra cujo registro falhou é reenviada na próxima consulta', async () => {
+  const buy = await createBuy();
+
+  await syncTransactions();
+  assert.equal(getTransactionById(buy.id).submittedAt, undefined);
+
+  responses[`POST ${CONFIG.apiBaseUrl}/transactions`] = {
+    id: buy.id,
+    status: 'pending_kyc',
+  };
+  await syncTransactions();
+  assert.ok(getTransactionById(buy.id).submittedAt instanceof Date);
+});
+
+test('a consulta aplica status que pularam etapas intermediárias', async () => {
+  const buy = await createBuy();
+  responses[`POST ${CONFIG.apiBaseUrl}/transactions`] = {
+    id: buy.id,
+    status: 'pending_kyc',
+  };
+  await syncTransactions();
+  await updateTransactionStatus(buy.id, 'awaiting_payment', {
+    actor: 'backend',
+  });
+  await updateTransactionStatus(buy.id, 'paid', { actor: 'backend' });
+
+  // Entre duas consultas, a compra foi processada e enviada à rede
+  responses[`GET ${CONFIG.apiBaseUrl}/transactions/${buy.id}`] = {
+    id: buy.id,
+    status: 'broadcast',
+    txHash: 'a'.repeat(64),
+    confirmations: 0,
+  };
+  await syncTransactions();
+
+  let transaction = getTransactionById(buy.id);
+  assert.equal(transaction.status, 'broadcast');
+  assert.equal(transaction.txHash, 'a'.repeat(64));
+
+  // A conclusão segue consultada até as confirmações definitivas
+  responses[`GET ${CONFIG.apiBaseUrl}/transactions/${buy.id}`] = {
+    id: buy.id,
+    status: 'completed',
+    txHash: 'a'.repeat(64),
+    confirmations: 3,
+  };
+  await syncTransactions();
+
+  transaction = getTransactionById(buy.id);
+  assert.equal(transaction.status, 'completed');
+  assert.equal(transaction.confirmations, 3);
+  assert.deepEqual(transaction.statusHistory.at(-2).to, 'broadcast');
+});
@@ -0,0 +1,187 @@
+/**
+ * FastCripto - Testes do Ciclo de Vida das Transações
+ */
+
+import { recordEvents } from './helpers/browser-globals.js';
+
+import { test, before, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  initializeTransactionStore,
+  addTransaction,
+  getTransactionById,
+  updateTransactionStatus,
+  getAllowedTransitions,
+  canTransition,
+} from '../assets/js/modules/transactions.js';
+import { createId } from '../assets/js/modules/ids.js';
+
+const statusEvents = recordEvents('transactionStatusChanged');
+
+// Sem IndexedDB, o armazenamento usa o localStorage
+before(async () => {
+  const consoleError = mock.method(console, 'error', () => {});
+  await initializeTransactionStore();
+  consoleError.mock.restore();
+});
+
+// Compra com os campos mínimos para o ciclo de vida
+async function createBuy(status = 'pending_kyc') {
+  return addTransaction({
+    id: createId('TX'),
+    status,
+    createdAt: new Date(),
+    currency: 'BTC',
+    network: 'BTC',
+    brlAmount: 1000,
+  });
+}
+
+test('addTransaction abre o histórico de status com o status inicial', async () => {
+  const transaction = await createBuy();
+
+  assert.equal(transaction.statusHistory.length, 1);
+  assert.deepEqual(
+    {
+      from: transaction.statusHistory[0].from,
+      to: transaction.statusHistory[0].to,
+      actor: transaction.statusHistory[0].actor,
+    },
+    { from: null, to: 'pending_kyc', actor: 'customer' }
+  );
+  assert.ok(transaction.statusHistory[0].at instanceof Date);
+});
+
+test('addTransaction recusa status inicial desconhecido e ID repetido', async () => {
+  await assert.rejects(createBuy('paid_out'), /Status inicial inválido/);
+
+  const transaction = await createBuy();
+  await assert.rejects(
+    addTransaction({ ...transaction, statusHistory: undefined }),
+    /Transação já registrada/
+  );
+});
+
+test('updateTransactionStatus registra a transição, o motivo e o responsável', async () => {
+  const { id } = await createBuy();
+
+  await updateTransactionStatus(id, 'awaiting_payment', { actor: 'system' });
+  await updateTransactionStatus(id, 'paid', {
+    reason: 'Pagamento confirmado',
+    actor: 'backend',
+  });
+
+  const transaction = getTransactionById(id);
+  assert.equal(transaction.status, 'paid');
+  assert.deepEqual(
+    transaction.statusHistory.map((entry) => [entry.from, entry.to]),
+    [
+      [null, 'pending_kyc'],
+      ['pending_kyc', 'awaiting_payment'],
+      ['awaiting_payment', 'paid'],
+    ]
+  );
+  assert.equal(transaction.statusHistory[2].reason, 'Pagamento confirmado');
+  assert.equal(transaction.statusHistory[2].actor, 'backend');
+
+  const event = statusEvents.at(-1);
+  assert.equal(event.transaction.id, id);
+  assert.equal(event.oldStatus, 'awaiting_payment');
+  assert.equal(event.newStatus, 'paid');
+  assert.equal(event.actor, 'backend');
+});
+
+test('updateTransactionStatus recusa transições fora do fluxo', async () => {
+  const { id } = await createBuy();
+  const eventCount = statusEvents.length;
+
+  await assert.rejects(
+    updateTransactionStatus(id, 'refunded'),
+    /Transição de status inválida/
+  );
+  assert.equal(getTransactionById(id).status, 'pending_kyc');
+  assert.equal(getTransactionById(id).statusHistory.length, 1);
+  assert.equal(statusEvents.length, eventCount);
+});
+
+test('updateTransactionStatus recusa responsáveis desconhecidos', async () => {
+  const { id } = await createBuy();
+
+  await assert.rejects(
+    updateTransactionStatus(id, 'cancelled', { actor: 'admin' }),
+    /Responsável desconhecido/
+  );
+  assert.equal(getTransactionById(id).status, 'pending_kyc');
+});
+
+test('status encerrados não admitem novas transições', async () => {
+  const { id } = await createBuy();
+  await updateTransactionStatus(id, 'cancelled', { actor: 'customer' });
+
+  const transaction = getTransactionById(id);
+  assert.deepEqual(getAllowedTransitions(transaction), []);
+  await assert.rejects(updateTransactionStatus(id, 'awaiting_payment'));
+});
+
+test('vendas seguem o próprio fluxo e podem pular status intermediários', async () => {
+  const sell = await addTransaction(
+    {
+      id: createId('SL'),
+      type: 'sell',
+      status: 'awaiting_deposit',
+      createdAt: new Date(),
+      currency: 'BTC',
+      network: 'BTC',
+      brlAmount: 1000,
+    },
+    { actor: 'backend' }
+  );
+
+  assert.ok(canTransition(sell, 'paid_out'));
+  assert.ok(!canTransition(sell, 'completed'));
+
+  await updateTransactionStatus(sell.id, 'paid_out', { actor: 'backend' });
+  assert.deepEqual(getAllowedTransitions(getTransactionById(sell.id)), []);
+});
+
+test('getTransactionById devolve uma cópia da transação', async () => {
+  const { id } = await createBuy();
+
+  const copy = getTransactionById(id);
+  copy.status = 'completed';
+  copy.statusHistory.push({});
+
+  assert.equal(getTransactionById(id).status, 'pending_kyc');
+  assert.equal(getTransactionById(id).statusHistory.length, 1);
+});
+
+test('uma falha ao gravar é repassada e não altera a transação', async (t) => {
+  const { id } = await createBuy();
+  const eventCount = statusEvents.length;
+  const setItem = t.mock.method(localStorage, 'setItem', () => {
+    throw new DOMException('Cota excedida', 'QuotaExceededError');
+  });
+
+  await assert.rejects(
+    updateTransactionStatus(id, 'cancelled', { actor: 'customer' }),
+    /Cota excedida/
+  );
+  assert.equal(getTransactionById(id).status, 'pending_kyc');
+  assert.equal(statusEvents.length, eventCount);
+
+  const newId = createId('TX');
+  await assert.rejects(
+    addTransaction({
+      id: newId,
+      status: 'pending_kyc',
+      createdAt: new Date(),
+      currency: 'BTC',
+      network: 'BTC',
+      brlAmount: 1000,
+    }),
+    /Cota excedida/
+  );
+  assert.equal(getTransactionById(newId), undefined);
+  assert.equal(setItem.mock.callCount(), 2);
+});
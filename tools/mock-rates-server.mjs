@@ -0,0 +1,146 @@
+/**
+ * FastCripto - Servidor local de cotações simuladas
+ * Publica cotações via Server-Sent Events (/rates/stream), WebSocket
+ * (/rates/ws) e REST (/rates/current) para desenvolvimento local
+ *
+ * Uso: node tools/mock-rates-server.mjs [porta]
+ */
+
+import http from 'node:http';
+import crypto from 'node:crypto';
+
+const PORT = Number(process.argv[2] || process.env.PORT || 8787);
+const TICK_INTERVAL = 2000;
+
+// Mesmas taxas base usadas pelo simulador do navegador
+const rates = {
+  BTC: 254871.35,
+  ETH: 14875.22,
+  USDT: 5.04,
+  BNB: 1543.67,
+  XRP: 2.67,
+};
+
+const sseClients = new Set();
+const wsClients = new Set();
+
+// Passeio aleatório de até 0,2% por tick em uma moeda
+function nextTick() {
+  const symbols = Object.keys(rates);
+  const symbol = symbols[Math.floor(Math.random() * symbols.length)];
+  rates[symbol] *= 1 + (Math.random() * 2 - 1) * 0.002;
+
+  return {
+    type: 'tick',
+    symbol,
+    rate: rates[symbol],
+    timestamp: new Date().toISOString(),
+  };
+}
+
+function snapshot() {
+  return {
+    type: 'rates',
+    rates: { ...rates },
+    timestamp: new Date().toISOString(),
+  };
+}
+
+function broadcast(message) {
+  const data = JSON.stringify(message);
+
+  sseClients.forEach((res) => res.write(`data: ${data}\n\n`));
+  wsClients.forEach((socket) => socket.write(encodeWebSocketFrame(data)));
+}
+
+// Codificar uma mensagem de texto como frame WebSocket (sem máscara)
+function encodeWebSocketFrame(text) {
+  const payload = Buffer.from(text);
+  let header;
+
+  if (payload.length < 126) {
+    header = Buffer.from([0x81, payload.length]);
+  } else if (payload.length < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x81;
+    header[1] = 126;
+    header.writeUInt16BE(payload.length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x81;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(payload.length), 2);
+  }
+
+  return Buffer.concat([header, payload]);
+}
+
+const server = http.createServer((req, res) => {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+
+  if (req.url === '/rates/current') {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(rates));
+    return;
+  }
+
+  if (req.url === '/rates/stream') {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+    });
+    res.write(`data: ${JSON.stringify(snapshot())}\n\n`);
+
+    sseClients.add(res);
+    req.on('close', () => sseClients.delete(res));
+    return;
+  }
+
+  res.writeHead(404);
+  res.end();
+});
+
+// Handshake WebSocket (RFC 6455)
+server.on('upgrade', (req, socket) => {
+  if (req.url !== '/rates/ws') {
+    socket.destroy();
+    return;
+  }
+
+  const accept = crypto
+    .createHash('sha1')
+    .update(
+      `${req.headers['sec-websocket-key']}258EAFA5-E914-47DA-95CA-C5AB0DC85B11`
+    )
+    .digest('base64');
+
+  socket.write(
+    [
+      'HTTP/1.1 101 Switching Protocols',
+      'Upgrade: websocket',
+      'Connection: Upgrade',
+      `Sec-WebSocket-Accept: ${accept}`,
+      '',
+      '',
+    ].join('\r\n')
+  );
+  socket.write(encodeWebSocketFrame(JSON.stringify(snapshot())));
+
+  wsClients.add(socket);
+  socket.on('data', (buffer) => {
+    // Opcode 0x8: o cliente pediu para encerrar a conexão
+    if ((buffer[0] & 0x0f) === 0x8) socket.end();
+  });
+  socket.on('close', () => wsClients.delete(socket));
+  socket.on('error', () => wsClients.delete(socket));
+});
+
+setInterval(() => broadcast(nextTick()), TICK_INTERVAL);
+
+server.listen(PORT, () => {
+  console.log(`Servidor de cotações simuladas em http://localhost:${PORT}`);
+  console.log(`  SSE:       http://localhost:${PORT}/rates/stream`);
+  console.log(`  WebSocket: ws://localhost:${PORT}/rates/ws`);
+  console.log(`  REST:      http://localhost:${PORT}/rates/current`);
+});